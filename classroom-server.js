@@ -0,0 +1,162 @@
+// classroom-server.js - Spy School classroom sync server (Node, no dependencies)
+// Serves the app and collects attempts and live progress from student devices.
+// Usage: node classroom-server.js [--port 8787] [--data classroom-data.json]
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ---------- Options ----------
+function readOption(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const PORT = parseInt(readOption('port', process.env.PORT || '8787'), 10);
+const DATA_FILE = readOption('data', null);
+const ROOT = __dirname;
+const MAX_BODY = 5 * 1024 * 1024;
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/index.html': ['index.html', 'text/html; charset=utf-8'],
+    '/script.js': ['script.js', 'text/javascript; charset=utf-8'],
+    '/styles.css': ['styles.css', 'text/css; charset=utf-8'],
+    '/sw.js': ['sw.js', 'text/javascript; charset=utf-8'],
+    '/manifest.webmanifest': ['manifest.webmanifest', 'application/manifest+json; charset=utf-8'],
+    '/icon.svg': ['icon.svg', 'image/svg+xml']
+};
+
+// ---------- Store ----------
+// classes[code] = { attempts: [], progress: { studentKey: progress } }
+const Store = {
+    classes: {},
+
+    load() {
+        if (!DATA_FILE || !fs.existsSync(DATA_FILE)) return;
+        try {
+            Store.classes = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).classes || {};
+        } catch (e) {
+            console.warn(`Could not read ${DATA_FILE}, starting empty:`, e.message);
+        }
+    },
+
+    save() {
+        if (!DATA_FILE) return;
+        fs.writeFile(DATA_FILE, JSON.stringify({ classes: Store.classes }), (err) => {
+            if (err) console.warn(`Could not write ${DATA_FILE}:`, err.message);
+        });
+    },
+
+    key(code) {
+        return String(code).trim().toUpperCase();
+    },
+
+    // Reads never create a class; only a POST from a device does
+    find(code) {
+        return Store.classes[Store.key(code)] || null;
+    },
+
+    get(code) {
+        const key = Store.key(code);
+        if (!Store.classes[key]) Store.classes[key] = { attempts: [], progress: {} };
+        return Store.classes[key];
+    },
+
+    // Devices retry from an outbox, so the same attempt may arrive twice
+    addAttempt(code, record) {
+        const cls = Store.get(code);
+        if (record.id && cls.attempts.some(a => a.id === record.id)) return false;
+        cls.attempts.push(record);
+        Store.save();
+        return true;
+    },
+
+    setProgress(code, progress) {
+        Store.get(code).progress[String(progress.studentId).toLowerCase()] = progress;
+    }
+};
+
+// ---------- HTTP ----------
+function send(res, status, body, type = 'application/json; charset=utf-8') {
+    res.writeHead(status, {
+        'Content-Type': type,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(type.startsWith('application/json') ? JSON.stringify(body) : body);
+}
+
+function readJSON(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+            } catch (e) {
+                reject(new Error('Body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function handleApi(req, res, url) {
+    if (url.pathname === '/api/ping') return send(res, 200, { ok: true });
+
+    const match = /^\/api\/classes\/([^/]+)\/(attempts|progress)$/.exec(url.pathname);
+    if (!match) return send(res, 404, { error: 'Unknown endpoint' });
+    let code;
+    try {
+        code = decodeURIComponent(match[1]);
+    } catch (e) {
+        return send(res, 400, { error: 'Class code is not valid URL encoding' });
+    }
+    const resource = match[2];
+
+    if (req.method === 'GET') {
+        const cls = Store.find(code);
+        if (!cls) return send(res, 200, []);
+        return send(res, 200, resource === 'attempts' ? cls.attempts : Object.values(cls.progress));
+    }
+    if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+    readJSON(req).then(body => {
+        if (!body || typeof body !== 'object' || !body.studentId) return send(res, 400, { error: 'Expected a JSON object with a studentId' });
+        if (resource === 'attempts') return send(res, 200, { added: Store.addAttempt(code, body) });
+        Store.setProgress(code, body);
+        return send(res, 200, { ok: true });
+    }).catch(e => send(res, 400, { error: e.message }));
+}
+
+function handleStatic(req, res, url) {
+    const entry = STATIC_FILES[url.pathname];
+    if (!entry || req.method !== 'GET') return send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+    fs.readFile(path.join(ROOT, entry[0]), (err, data) => {
+        if (err) return send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+        send(res, 200, data, entry[1]);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') return send(res, 204, '', 'text/plain');
+    if (url.pathname.startsWith('/api/')) return handleApi(req, res, url);
+    return handleStatic(req, res, url);
+});
+
+Store.load();
+server.listen(PORT, () => {
+    console.log(`Spy School classroom server on http://localhost:${PORT}`);
+    console.log('Students open this address using the machine\'s network IP; the app then syncs through this server.');
+});
@@ -5,15 +5,53 @@
 function $id(id) { return document.getElementById(id) || null; }
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
 
+// Adds on / off / emit to a core object. on() returns a function that unsubscribes.
+function withEvents(target) {
+    const listeners = {};
+    target.on = (name, fn) => {
+        (listeners[name] = listeners[name] || []).push(fn);
+        return () => target.off(name, fn);
+    };
+    target.off = (name, fn) => {
+        listeners[name] = (listeners[name] || []).filter(f => f !== fn);
+    };
+    target.emit = (name, ...args) => {
+        (listeners[name] || []).slice().forEach(fn => fn(...args));
+    };
+    return target;
+}
+
+// Autoplay interval (ms) from the 1-5 speed slider
+function playbackSpeed() {
+    const speedEl = $id('speedSlider');
+    let val = speedEl ? parseInt(speedEl.value, 10) : 3;
+    val = isNaN(val) ? 3 : val;
+    const speedIdx = clamp(val - 1, 0, CONFIG.SPEED_LEVELS.length - 1);
+    return CONFIG.SPEED_LEVELS[speedIdx] || 1000;
+}
+
 // ---------- Config & Database ----------
 const CONFIG = {
     ALPHABET: 'abcdefghijklmnopqrstuvwxyz'.split(''),
     DEFAULT_KEY: 3,
-    SPEED_LEVELS: [2000, 1500, 1000, 600, 300]
+    SPEED_LEVELS: [2000, 1500, 1000, 600, 300],
+    STEP_SIZES: ['char', 'word', 'sentence', 'end'], // how far Step Forward moves
+    // Relative letter frequencies of English text (%), a-z
+    ENGLISH_FREQUENCIES: [
+        8.17, 1.49, 2.78, 4.25, 12.70, 2.23, 2.02, 6.09, 6.97, 0.15, 0.77, 4.03, 2.41,
+        6.75, 7.51, 1.93, 0.10, 5.99, 6.33, 9.06, 2.76, 0.98, 2.36, 0.15, 1.97, 0.07
+    ]
+};
+
+// Assessment Mode: the student types each letter; after MAX_TRIES wrong
+// answers the letter is shown and scores nothing
+const ASSESSMENT_CONFIG = {
+    MAX_TRIES: 3
 };
 
-// [TEACHER EDITABLE AREA] --------------------------------------------------
-// Add new student names here (Case-insensitive)
+// Seed roster for the first run only. After that, classes, access codes and
+// students are managed from the Teacher Dashboard (see TeacherStore).
+const DEFAULT_CLASS_ID = "SPY-ACADEMY";
 const STUDENT_DATABASE = [
     "Goodnews",
     "Gabriel",
@@ -25,514 +63,5771 @@ const STUDENT_DATABASE = [
     "Sherlock Holmes",
     "Nancy Drew"
 ];
-// -------------------------------------------------------------------------
-
-// ---------- CipherEngine ----------
-const CipherEngine = {
-    calculateNewPosition(position, key) {
-        // safe handling of negative
-        return ((position - key) % 26 + 26) % 26;
-    },
-
-    decryptChar(letter, key, preserveCase = true) {
-        const isUpper = /[A-Z]/.test(letter);
-        const lowerLetter = letter.toLowerCase();
-        const index = CONFIG.ALPHABET.indexOf(lowerLetter);
 
-        if (index === -1) {
-            return { isSpecial: true, char: letter, originalIndex: -1, newIndex: -1, rawCalculation: null };
-        }
+// ---------- Campaign ----------
+// Built-in campaign, used until a teacher authors their own missions in the
+// Teacher Dashboard. Each mission unlocks the next; `rank` is awarded on completion.
+const DEFAULT_RANK = 'RECRUIT';
 
-        const rawCalc = index - key;
-        const newIndex = CipherEngine.calculateNewPosition(index, key);
-        let newChar = CONFIG.ALPHABET[newIndex];
-        if (preserveCase && isUpper) newChar = newChar.toUpperCase();
+const DEFAULT_CAMPAIGN = [
+    { id: 'm1-first-contact', title: 'First Contact', rank: 'CADET', cipher: 'caesar', key: 3, mode: 'decrypt',
+        briefing: 'A short intercepted greeting. Small key, lowercase only.', text: 'khoor zruog' },
+    { id: 'm2-bigger-key', title: 'Bigger Key', rank: 'FIELD AGENT', cipher: 'caesar', key: 8, mode: 'decrypt',
+        briefing: 'The enemy upgraded to a larger shift. Watch the wrap-around.', text: 'ummb ib bpm ainm pwcam' },
+    { id: 'm3-mixed-case', title: 'Mixed Case', rank: 'SPECIAL AGENT', cipher: 'caesar', key: 11, mode: 'decrypt',
+        briefing: 'Capital letters now appear. Keep their case.', text: 'Lrpye Ylynj Ocph Td Zy Esp Nldp' },
+    { id: 'm4-punctuation', title: 'Punctuation', rank: 'SENIOR AGENT', cipher: 'caesar', key: 19, mode: 'decrypt',
+        briefing: 'Numbers and punctuation are kept as they are.', text: 'Tuhkm! Max itvdtzx bl vhfikhfblxw, kxmkxtm tm 9if.' },
+    { id: 'm5-long-transmission', title: 'Long Transmission', rank: 'CODE BREAKER', cipher: 'caesar', key: 23, mode: 'decrypt',
+        briefing: 'A full set of orders. Use autoplay when you are confident.',
+        text: 'Qeb alzrjbkqp xob efaabk fkpfab qeb lia zilzh qltbo. Txfq rkqfi qeb drxoap zexkdb pefcqp xq jfakfdeq, qebk zifjy qeb kloqe pqxfop. Ibxsb kl qoxzb xka obmloq yxzh ybclob prkofpb.' },
+    { id: 'm6-rot13', title: 'ROT13', rank: 'CRYPTANALYST', cipher: 'rot13', key: '', mode: 'decrypt',
+        briefing: 'A fixed shift of 13: halfway round the alphabet.', text: 'Gur rntyr unf ynaqrq.' },
+    { id: 'm7-atbash', title: 'Atbash', rank: 'MASTER CRYPTANALYST', cipher: 'atbash', key: '', mode: 'decrypt',
+        briefing: 'The alphabet is mirrored: a becomes z, b becomes y.', text: 'Gifhg ml lmv rm gsv vnyzhhb.' },
+    { id: 'm8-vigenere', title: 'Vigenère', rank: 'SPYMASTER', cipher: 'vigenere', key: 'cipher', mode: 'decrypt',
+        briefing: 'Every letter uses a different shift from the keyword "cipher".', text: 'Jmpkulczilvj umckw zva rvrxtiibprvqduw, Jrgbhwkgz.' }
+];
 
-        return { isSpecial: false, char: newChar, originalIndex: index, newIndex, rawCalculation: rawCalc };
-    }
+// ---------- Diagnostic Question Bank ----------
+// type: 'choice' (options + answer index), 'numeric' (number answer) or
+// 'output' (predict what a Python snippet prints). Text in `backticks` renders as code.
+const DIAGNOSTIC_CONFIG = {
+    QUESTION_COUNT: 3,
+    MAX_TRIES: 3,      // after this many wrong answers the answer is shown and the deck moves on
+    STRUGGLE_TRIES: 3  // needing at least this many tries sends the student to the remedial notes
 };
 
-// ---------- ClassSync (local storage based) ----------
-const ClassSync = {
-    storageKey(classId) { return `spyclass_${classId || 'default'}`; },
+const DIAGNOSTIC_BANK = [
+    { id: 'range-3', topic: 'range', type: 'choice', title: 'Loop Range',
+        prompt: 'What numbers does `range(3)` produce?', options: ['1, 2, 3', '0, 1, 2', '0, 1, 2, 3'], answer: 1 },
+    { id: 'range-output', topic: 'range', type: 'output', title: 'Predict the Output',
+        prompt: 'What does this program print?', code: 'for i in range(3):\n    print(i)', answer: '0\n1\n2' },
+    { id: 'index-a', topic: 'index', type: 'choice', title: 'Alphabet Index',
+        prompt: "What is the index of 'a' in our list?", options: ['1', '0', '26'], answer: 1 },
+    { id: 'index-e', topic: 'index', type: 'numeric', title: 'Alphabet Index',
+        prompt: "With `alphabet = ['a', 'b', ..., 'z']`, what is `alphabet.index('e')`?", answer: 4 },
+    { id: 'index-25', topic: 'index', type: 'choice', title: 'List Lookup',
+        prompt: 'Which letter is `alphabet[25]`?', options: ['y', 'z', 'a'], answer: 1 },
+    { id: 'subtract-negative', topic: 'subtract', type: 'choice', title: 'Cipher Math',
+        prompt: 'If `position = 2` and `key = 5`, what is `position - key`?', options: ['-3', '3', '7'], answer: 0 },
+    { id: 'subtract-numeric', topic: 'subtract', type: 'numeric', title: 'Cipher Math',
+        prompt: 'If `position = 7` and `key = 3`, what is `position - key`?', answer: 4 },
+    { id: 'modulo-negative', topic: 'modulo', type: 'numeric', title: 'Wrap-Around',
+        prompt: 'In Python, what is `-3 % 26`?', answer: 23 },
+    { id: 'modulo-over', topic: 'modulo', type: 'numeric', title: 'Wrap-Around',
+        prompt: 'In Python, what is `27 % 26`?', answer: 1 },
+    { id: 'modulo-output', topic: 'modulo', type: 'output', title: 'Predict the Output',
+        prompt: 'What does this program print?', code: 'position = 1\nkey = 3\nprint((position - key) % 26)', answer: '24' },
+    { id: 'loop-count', topic: 'loop', type: 'choice', title: 'String Loops',
+        prompt: 'How many times does the body of `for letter in "spy":` run?', options: ['2', '3', '4'], answer: 1 },
+    { id: 'loop-output', topic: 'loop', type: 'output', title: 'Predict the Output',
+        prompt: 'What does this program print?', code: 'word = ""\nfor letter in "spy":\n    word = letter + word\nprint(word)', answer: 'yps' }
+];
 
-    saveAttempt(classId, studentId, snapshot) {
-        try {
-            const key = ClassSync.storageKey(classId);
-            const data = JSON.parse(localStorage.getItem(key) || '[]');
-            data.push({
-                timestamp: new Date().toISOString(),
-                studentId: studentId || 'unknown',
-                encrypted: LoopEngine.state.encryptedText,
-                key: LoopEngine.state.key,
-                finalDecrypted: LoopEngine.state.accumulatedText,
-                history: snapshot || LoopEngine.state.history
-            });
-            localStorage.setItem(key, JSON.stringify(data));
-        } catch (e) {
-            console.warn('ClassSync save failed', e);
-        }
-    },
+// Shown before the mission for every topic the student struggled with
+const REMEDIAL_NOTES = {
+    range: { title: 'Counting with range()', text: 'Python counts from 0. `range(3)` gives 0, 1 and 2: three numbers, stopping before 3.' },
+    index: { title: 'List positions', text: "The first item in a list is at index 0, so `alphabet.index('a')` is 0 and `alphabet[25]` is 'z', the 26th letter." },
+    subtract: { title: 'Subtracting the key', text: 'Decrypting moves each letter back by the key. `position - key` can go below zero: 2 - 5 = -3.' },
+    modulo: { title: 'Wrapping around with %', text: '`% 26` keeps the answer between 0 and 25. A negative number wraps to the end of the alphabet: -3 % 26 = 23, which is "x".' },
+    loop: { title: 'Looping over text', text: '`for letter in "spy":` runs once for every character, so the body runs 3 times with letter = "s", then "p", then "y".' }
+};
 
-    exportClassCSV(classId) {
-        const key = ClassSync.storageKey(classId);
-        const data = JSON.parse(localStorage.getItem(key) || '[]');
-        if (!data.length) { alert('No attempts found for this class.'); return; }
-
-        const rows = [['timestamp', 'studentId', 'encrypted', 'key', 'finalDecrypted', 'historyJSON']];
-        data.forEach(r => rows.push([r.timestamp, r.studentId, `"${r.encrypted}"`, r.key, `"${r.finalDecrypted}"`, `"${JSON.stringify(r.history).replace(/"/g, '""')}"`]));
-        const csv = rows.map(r => r.join(',')).join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `spy_school_class_${classId || 'default'}.csv`;
-        a.click();
-        URL.revokeObjectURL(url);
-    }
+// ---------- Alphabets ----------
+// A mission plays in one alphabet and its length is the modulus for every
+// cipher. Letters are stored lowercase. A mission's `alphabet` is either an id
+// from ALPHABETS or a string of custom letters (e.g. "0123456789abcdef").
+const ALPHABETS = {
+    latin: { name: 'English (a-z)', letters: 'abcdefghijklmnopqrstuvwxyz' },
+    spanish: { name: 'Spanish (with ñ)', letters: 'abcdefghijklmnñopqrstuvwxyz' },
+    german: { name: 'German (with ä ö ü)', letters: 'abcdefghijklmnopqrstuvwxyzäöü' },
+    nordic: { name: 'Danish / Norwegian (with æ ø å)', letters: 'abcdefghijklmnopqrstuvwxyzæøå' },
+    // Final sigma ς is read as σ
+    greek: { name: 'Greek (α-ω)', letters: 'αβγδεζηθικλμνξοπρστυφχψω', fold: { 'ς': 'σ' } },
+    // Written right to left; hamza forms and ة / ى are not in the 28 and are copied unchanged
+    arabic: { name: 'Arabic (ا-ي)', letters: 'ابتثجحخدذرزسشصضطظعغفقكلمنهوي' },
+    digits: { name: 'Digits (0-9)', letters: '0123456789' }
 };
 
-// ---------- LoopEngine ----------
-const LoopEngine = {
-    state: {
-        encryptedText: "",
-        key: CONFIG.DEFAULT_KEY,
-        currentIndex: -1,
-        history: [],
-        isPlaying: false,
-        timer: null,
-        accumulatedText: "",
-        waitingForReveal: false // for Think Mode
-    },
+const Alphabet = {
+    DEFAULT: 'latin',
+    MAX_CUSTOM: 100,
+    cache: {},
 
-    init(text, key) {
-        this.pause();
-        this.state = {
-            encryptedText: text || "",
-            key: clamp(parseInt(key, 10) || CONFIG.DEFAULT_KEY, 0, 25),
-            currentIndex: -1,
-            history: [],
-            isPlaying: false,
-            timer: null,
-            accumulatedText: "",
-            waitingForReveal: false
+    // Spec (id or custom letters) -> { id, name, letters, size, fold, custom }
+    resolve(spec) {
+        if (spec && typeof spec === 'object' && Array.isArray(spec.letters)) return spec;
+        const key = spec ? String(spec) : Alphabet.DEFAULT;
+        if (Alphabet.cache[key]) return Alphabet.cache[key];
+
+        const known = ALPHABETS[key];
+        const letters = Alphabet.parseLetters(known ? known.letters : key).slice(0, Alphabet.MAX_CUSTOM);
+        if (!known && letters.length < 2) return Alphabet.resolve(Alphabet.DEFAULT);
+        const alphabet = {
+            id: key,
+            name: known ? known.name : `Custom (${letters.length} letters)`,
+            letters,
+            size: letters.length,
+            fold: (known && known.fold) || {},
+            custom: !known
         };
-        UIController.reset();
-        this.notifyUI();
+        Alphabet.cache[key] = alphabet;
+        return alphabet;
     },
 
-    nextStep() {
-        const s = LoopEngine.state;
-        if (s.currentIndex >= s.encryptedText.length - 1) {
-            LoopEngine.pause();
-            if (s.currentIndex === s.encryptedText.length - 1) UIController.showMissionComplete();
-            return;
-        }
+    // Unique lowercase characters in order; whitespace and commas are separators
+    parseLetters(text) {
+        const letters = [];
+        Array.from(String(text || '').normalize('NFC')).forEach(ch => {
+            if (/[\s,]/.test(ch)) return;
+            const lower = ch.toLowerCase();
+            if (Array.from(lower).length === 1 && !letters.includes(lower)) letters.push(lower);
+        });
+        return letters;
+    },
 
-        s.currentIndex++;
-        const char = s.encryptedText[s.currentIndex];
-        const preserveCase = UIController.elements.preserveCaseToggle ? UIController.elements.preserveCaseToggle.checked : true;
-        const result = CipherEngine.decryptChar(char, s.key, preserveCase);
+    // Position of a character in either case (-1 if not a letter of this alphabet)
+    locate(alphabet, ch) {
+        const lower = ch.toLowerCase();
+        const index = alphabet.letters.indexOf(alphabet.fold[lower] || lower);
+        return { index, isUpper: index !== -1 && lower !== ch };
+    },
 
-        const nextChar = result.char;
-        s.accumulatedText += nextChar;
+    // Capital form, unless it is not a single character (e.g. ß -> SS)
+    toUpper(ch) {
+        const upper = ch.toUpperCase();
+        return Array.from(upper).length === 1 ? upper : ch;
+    }
+};
 
-        const snapshot = {
-            iteration: s.currentIndex,
-            inputChar: char,
-            key: s.key,
-            result,
-            accumulated: s.accumulatedText
-        };
+// ---------- Cipher Registry ----------
+// Each cipher supplies its own per-character step, key schema, equation text
+// and Python lines, for both directions ('decrypt' | 'encrypt').
+// `shift(pos, key, ctx, direction)` returns the raw (pre-modulo) position plus
+// any detail the inspector needs; ctx.letterIndex counts alphabet letters
+// already processed (Vigenère uses it to pick the keyword letter) and
+// ctx.alphabet is the mission alphabet, whose size is the modulus.
+function mod(n, m) { return ((n % m) + m) % m; }
 
-        s.history.push(snapshot);
+function modInverse(a, m) {
+    for (let x = 1; x < m; x++) if (mod(a * x, m) === 1) return x;
+    return null;
+}
 
-        // If Think Mode on -> set waiting state so we hide calculations until reveal
-        const thinkOn = UIController.elements.thinkModeToggle ? UIController.elements.thinkModeToggle.checked : false;
-        s.waitingForReveal = !!thinkOn;
-        LoopEngine.notifyUI();
+function shiftSign(direction) { return direction === 'encrypt' ? '+' : '-'; }
 
-        // If autoplay and think mode on -> auto-pause immediately after pushing snapshot to allow reveal
-        if (s.waitingForReveal && s.isPlaying) {
-            LoopEngine.pause();
+const CIPHERS = {
+    caesar: {
+        name: 'Caesar',
+        keySchema: {
+            type: 'number', label: 'Key', placeholder: '0 - 25', default: 3,
+            parse(raw, alphabet = Alphabet.resolve()) {
+                const n = parseInt(raw, 10);
+                return clamp(isNaN(n) ? CONFIG.DEFAULT_KEY : n, 0, alphabet.size - 1);
+            },
+            format(key) { return String(key); }
+        },
+        shift(pos, key, ctx, direction) {
+            return { raw: direction === 'encrypt' ? pos + key : pos - key };
+        },
+        equation(key, direction, alphabet) { return `new_pos = (pos ${shiftSign(direction)} key) % ${alphabet.size}`; },
+        steps(result, key, direction, alphabet) {
+            return [
+                `Step 1: ${result.originalIndex} ${shiftSign(direction)} ${key} = ${result.rawCalculation}`,
+                `Step 2: ${result.rawCalculation} % ${alphabet.size} = ${result.newIndex}`
+            ];
+        },
+        python(key, direction, alphabet) {
+            return {
+                setup: [`key = ${key}`],
+                body: [`new_position = (position ${shiftSign(direction)} key) % ${alphabet.size}`]
+            };
         }
     },
 
-    prevStep() {
-        this.pause();
-        const s = this.state;
-        if (s.currentIndex < 0) return;
-
-        s.history.pop();
-        s.currentIndex--;
+    rot13: {
+        name: 'ROT13',
+        keySchema: {
+            type: 'none', label: 'Key (fixed 13)', placeholder: '13', default: 13,
+            parse() { return 13; },
+            format() { return '13'; }
+        },
+        shift(pos, key, ctx, direction) {
+            return { raw: direction === 'encrypt' ? pos + 13 : pos - 13 };
+        },
+        equation(key, direction, alphabet) { return `new_pos = (pos ${shiftSign(direction)} 13) % ${alphabet.size}`; },
+        steps(result, key, direction, alphabet) {
+            return [
+                `Step 1: ${result.originalIndex} ${shiftSign(direction)} 13 = ${result.rawCalculation}`,
+                `Step 2: ${result.rawCalculation} % ${alphabet.size} = ${result.newIndex}`
+            ];
+        },
+        python(key, direction, alphabet) {
+            return {
+                setup: [],
+                body: [`new_position = (position ${shiftSign(direction)} 13) % ${alphabet.size}`]
+            };
+        }
+    },
 
-        if (s.history.length > 0) {
-            s.accumulatedText = s.history[s.history.length - 1].accumulated;
-        } else {
-            s.accumulatedText = "";
+    // Atbash mirrors the alphabet, so both directions are the same step
+    atbash: {
+        name: 'Atbash',
+        keySchema: {
+            type: 'none', label: 'Key (none)', placeholder: '-', default: '',
+            parse() { return null; },
+            format() { return ''; }
+        },
+        shift(pos, key, ctx) { return { raw: ctx.alphabet.size - 1 - pos }; },
+        equation(key, direction, alphabet) { return `new_pos = ${alphabet.size - 1} - pos`; },
+        steps(result, key, direction, alphabet) {
+            return [
+                `Step 1: ${alphabet.size - 1} - ${result.originalIndex} = ${result.rawCalculation}`,
+                `Step 2: ${result.rawCalculation} % ${alphabet.size} = ${result.newIndex}`
+            ];
+        },
+        python(key, direction, alphabet) {
+            return {
+                setup: [],
+                body: [`new_position = ${alphabet.size - 1} - position`]
+            };
         }
+    },
 
-        s.waitingForReveal = false;
-        this.notifyUI();
+    affine: {
+        name: 'Affine',
+        keySchema: {
+            type: 'text', label: 'Key (a, b)', placeholder: 'e.g. 5, 8', default: '5, 8',
+            // `a` must be coprime with the alphabet size or the cipher cannot be undone
+            parse(raw, alphabet = Alphabet.resolve()) {
+                const m = alphabet.size;
+                const parts = String(raw == null ? '' : raw).split(/[\s,]+/).filter(Boolean).map(p => parseInt(p, 10));
+                let a = isNaN(parts[0]) ? 5 : mod(parts[0], m);
+                const b = isNaN(parts[1]) ? mod(8, m) : mod(parts[1], m);
+                if (modInverse(a, m) === null) a = [5, 3, 7, 1].map(x => mod(x, m)).find(x => modInverse(x, m) !== null);
+                return { a, b };
+            },
+            format(key) { return `${key.a}, ${key.b}`; }
+        },
+        shift(pos, key, ctx, direction) {
+            if (direction === 'encrypt') return { raw: key.a * pos + key.b };
+            const aInverse = modInverse(key.a, ctx.alphabet.size);
+            return { raw: aInverse * (pos - key.b), aInverse };
+        },
+        equation(key, direction, alphabet) {
+            return direction === 'encrypt' ? `new_pos = (a * pos + b) % ${alphabet.size}` : `new_pos = a_inverse * (pos - b) % ${alphabet.size}`;
+        },
+        steps(result, key, direction, alphabet) {
+            if (direction === 'encrypt') {
+                return [
+                    `Step 1: ${key.a} * ${result.originalIndex} + ${key.b} = ${result.rawCalculation}`,
+                    `Step 2: ${result.rawCalculation} % ${alphabet.size} = ${result.newIndex}`
+                ];
+            }
+            return [
+                `Step 1: a_inverse of ${key.a} = ${result.detail.aInverse}`,
+                `Step 2: ${result.detail.aInverse} * (${result.originalIndex} - ${key.b}) = ${result.rawCalculation}`,
+                `Step 3: ${result.rawCalculation} % ${alphabet.size} = ${result.newIndex}`
+            ];
+        },
+        python(key, direction, alphabet) {
+            if (direction === 'encrypt') {
+                return {
+                    setup: [`a = ${key.a}`, `b = ${key.b}`],
+                    body: [`new_position = (a * position + b) % ${alphabet.size}`]
+                };
+            }
+            return {
+                setup: [`a_inverse = ${modInverse(key.a, alphabet.size)}`, `b = ${key.b}`],
+                body: [`new_position = (a_inverse * (position - b)) % ${alphabet.size}`]
+            };
+        }
     },
 
-    play() {
-        const s = this.state;
-        if (s.currentIndex >= s.encryptedText.length - 1) return;
+    vigenere: {
+        name: 'Vigenère',
+        keySchema: {
+            type: 'text', label: 'Keyword', placeholder: 'e.g. lemon', default: 'lemon',
+            parse(raw, alphabet = Alphabet.resolve()) {
+                const keep = (text) => Array.from(String(text == null ? '' : text).toLowerCase())
+                    .map(c => alphabet.fold[c] || c).filter(c => alphabet.letters.includes(c)).join('');
+                return keep(raw) || keep('key') || alphabet.letters.slice(1, 4).join('');
+            },
+            format(key) { return key; }
+        },
+        shift(pos, key, ctx, direction) {
+            const keyLetters = Array.from(key);
+            const keyLetter = keyLetters[(ctx.letterIndex || 0) % keyLetters.length];
+            const shift = ctx.alphabet.letters.indexOf(keyLetter);
+            return { raw: direction === 'encrypt' ? pos + shift : pos - shift, keyLetter, shift };
+        },
+        equation(key, direction, alphabet) { return `new_pos = (pos ${shiftSign(direction)} shift) % ${alphabet.size}`; },
+        steps(result, key, direction, alphabet) {
+            return [
+                `Step 1: shift = index of "${result.detail.keyLetter}" = ${result.detail.shift}`,
+                `Step 2: ${result.originalIndex} ${shiftSign(direction)} ${result.detail.shift} = ${result.rawCalculation}`,
+                `Step 3: ${result.rawCalculation} % ${alphabet.size} = ${result.newIndex}`
+            ];
+        },
+        python(key, direction, alphabet) {
+            return {
+                setup: [`keyword = ${PythonTemplate.quote(key)}`, 'count = 0'],
+                body: [
+                    'shift = alphabet.index(keyword[count % len(keyword)])',
+                    `new_position = (position ${shiftSign(direction)} shift) % ${alphabet.size}`,
+                    'count += 1'
+                ]
+            };
+        }
+    }
+};
 
-        const speedEl = $id('speedSlider');
-        let val = speedEl ? parseInt(speedEl.value, 10) : 3;
-        val = isNaN(val) ? 3 : val;
-        const speedIdx = clamp(val - 1, 0, CONFIG.SPEED_LEVELS.length - 1);
-        const speed = CONFIG.SPEED_LEVELS[speedIdx] || 1000;
+// ---------- CipherEngine ----------
+const CipherEngine = {
+    getCipher(id) { return CIPHERS[id] || CIPHERS.caesar; },
 
-        s.isPlaying = true;
-        s.timer = setInterval(() => {
-            // If think mode waiting, do not auto advance
-            if (s.waitingForReveal) {
-                LoopEngine.pause();
-            } else {
-                LoopEngine.nextStep();
-            }
-        }, speed);
-        UIController.updatePlayButton(true);
-    },
+    parseKey(cipherId, raw, alphabet) { return CipherEngine.getCipher(cipherId).keySchema.parse(raw, Alphabet.resolve(alphabet)); },
 
-    pause() {
-        const s = this.state;
-        s.isPlaying = false;
-        if (s.timer) clearInterval(s.timer);
-        s.timer = null;
-        UIController.updatePlayButton(false);
+    formatKey(cipherId, key) { return CipherEngine.getCipher(cipherId).keySchema.format(key); },
+
+    calculateNewPosition(position, key, alphabet) {
+        // safe handling of negative
+        return mod(position - key, Alphabet.resolve(alphabet).size);
     },
 
-    reset() {
-        this.init(this.state.encryptedText, this.state.key);
+    decryptChar(letter, key, preserveCase = true, options = {}) {
+        return CipherEngine.transformChar(letter, key, preserveCase, { ...options, direction: 'decrypt' });
     },
 
-    revealPrediction() {
-        this.state.waitingForReveal = false;
-        this.notifyUI();
+    encryptChar(letter, key, preserveCase = true, options = {}) {
+        return CipherEngine.transformChar(letter, key, preserveCase, { ...options, direction: 'encrypt' });
     },
 
-    skipPrediction() {
-        this.state.waitingForReveal = false;
-        this.notifyUI();
+    // Whole-text helper; letterIndex advances only on alphabet letters (for Vigenère)
+    transformText(text, key, options = {}) {
+        let letterIndex = 0;
+        let out = '';
+        for (const ch of String(text || '')) {
+            const result = CipherEngine.transformChar(ch, key, true, { ...options, letterIndex });
+            if (!result.isSpecial) letterIndex++;
+            out += result.char;
+        }
+        return out;
     },
 
-    notifyUI() {
-        const s = this.state;
-        const currentSnapshot = s.history.length > 0 ? s.history[s.history.length - 1] : null;
+    // Shared step for both directions; `wrapped` marks a raw value outside
+    // 0 .. size-1. options.alphabet is an alphabet id, custom letters or a
+    // resolved alphabet (default a-z).
+    transformChar(letter, key, preserveCase = true, options = {}) {
+        const cipher = CipherEngine.getCipher(options.cipher);
+        const direction = options.direction === 'encrypt' ? 'encrypt' : 'decrypt';
+        const alphabet = Alphabet.resolve(options.alphabet);
+        const { index, isUpper } = Alphabet.locate(alphabet, letter);
 
-        UIController.updateLoopInspector(s.currentIndex, s.encryptedText.length, currentSnapshot, s.key, s.waitingForReveal);
-        if (currentSnapshot && !currentSnapshot.result.isSpecial) {
-            UIController.updateAlphabet(currentSnapshot.result.originalIndex, currentSnapshot.result.newIndex);
-        } else {
-            UIController.clearAlphabetHighlight();
+        if (index === -1) {
+            return { isSpecial: true, char: letter, originalIndex: -1, newIndex: -1, rawCalculation: null, wrapped: false };
         }
-        UIController.updateEncryptedVisualizer(s.encryptedText, s.currentIndex);
-        UIController.updateProgress(s.currentIndex, s.encryptedText.length);
+
+        const { raw: rawCalc, ...detail } = cipher.shift(index, key, { letterIndex: options.letterIndex || 0, alphabet }, direction);
+        const newIndex = mod(rawCalc, alphabet.size);
+        let newChar = alphabet.letters[newIndex];
+        if (preserveCase && isUpper) newChar = Alphabet.toUpper(newChar);
+
+        return {
+            isSpecial: false, char: newChar, originalIndex: index, newIndex, rawCalculation: rawCalc,
+            wrapped: rawCalc < 0 || rawCalc >= alphabet.size, detail
+        };
     }
 };
 
-// ---------- UIController ----------
-const UIController = {
-    elements: {
-        alphabetVisualizer: null,
-        iterationDisplay: null,
-        resultLetter: null,
-        accumulatedText: null,
-        equationDisplay: null,
-        currentLetterDisplay: null,
-        indexDisplay: null,
-        btnStepForward: null, btnStepBack: null, btnPlay: null, btnPause: null,
-        btnReset: null, speedSlider: null, explicitIndexToggle: null, thonnyScreen: null,
-        decryptionScreen: null, pythonCodeTemplate: null, agentRank: null,
-        encryptedVisualizer: null, thinkModeToggle: null, preserveCaseToggle: null,
-        predictInput: null, btnReveal: null, btnSkipPredict: null, predictFeedback: null,
-        btnExportData: null, classIdInput: null, studentIdInput: null, btnStartClass: null,
-        diagnosticScreen: null, classSetupScreen: null
+// ---------- PythonTemplate ----------
+const PythonTemplate = {
+    // Encrypt missions read `message` and build `encrypted`; decrypt missions
+    // read `encrypted` and build `decrypted`
+    variableNames(mode) {
+        return mode === 'encrypt' ? { input: 'message', output: 'encrypted' } : { input: 'encrypted', output: 'decrypted' };
     },
 
-    init() {
-        const ids = [
-            'alphabetVisualizer', 'iterationDisplay', 'resultLetter', 'accumulatedText', 'equationDisplay',
-            'currentLetterDisplay', 'indexDisplay', 'btnStepForward', 'btnStepBack', 'btnPlay', 'btnPause',
-            'btnReset', 'speedSlider', 'explicitIndexToggle', 'thonnyScreen', 'decryptionScreen',
-            'pythonCodeTemplate', 'agentRank', 'encryptedVisualizer', 'thinkModeToggle',
-            'preserveCaseToggle', 'predictInput', 'btnReveal', 'btnSkipPredict', 'predictFeedback',
-            'btnExportData', 'classIdInput', 'studentIdInput', 'btnStartClass', 'diagnosticScreen', 'classSetupScreen'
+    // Python string literal for any mission text. Quotes, backslashes and control
+    // characters are escaped; readable letters, digits and symbols (accents,
+    // Greek, Arabic, emoji) stay as typed, but invisible ones such as bidi
+    // overrides are written as escapes so the listing shows what the string holds
+    quote(value, quoteChar = '"') {
+        const hex = (cp, width) => cp.toString(16).padStart(width, '0');
+        let out = quoteChar;
+        for (const ch of String(value)) {
+            const cp = ch.codePointAt(0);
+            if (ch === '\\' || ch === quoteChar) out += `\\${ch}`;
+            else if (ch === '\n') out += '\\n';
+            else if (ch === '\r') out += '\\r';
+            else if (ch === '\t') out += '\\t';
+            else if (ch === ' ' || /[\p{L}\p{M}\p{N}\p{P}\p{S}]/u.test(ch)) out += ch;
+            else if (cp <= 0xff) out += `\\x${hex(cp, 2)}`;
+            else if (cp <= 0xffff) out += `\\u${hex(cp, 4)}`;
+            else out += `\\U${hex(cp, 8)}`;
+        }
+        return out + quoteChar;
+    },
+
+    // Program lines tagged with a role so the trace panel can follow the loop
+    lines(text, cipherId, key, mode = 'decrypt', alphabetSpec) {
+        const alphabet = Alphabet.resolve(alphabetSpec);
+        const py = CipherEngine.getCipher(cipherId).python(key, mode, alphabet);
+        const names = PythonTemplate.variableNames(mode);
+        const letters = alphabet.letters.map(c => PythonTemplate.quote(c, "'")).join(',');
+        return [
+            { role: 'setup', code: `alphabet = [${letters}]` },
+            { role: 'setup', code: `${names.input} = ${PythonTemplate.quote(text)}` },
+            ...py.setup.map(code => ({ role: 'setup', code })),
+            { role: 'setup', code: `${names.output} = ""` },
+            { role: 'blank', code: '' },
+            { role: 'for', code: `for letter in ${names.input}:` },
+            { role: 'if', code: '    if letter in alphabet:' },
+            { role: 'position', code: '        position = alphabet.index(letter)' },
+            ...py.body.map(l => ({ role: 'calc', code: `        ${l}` })),
+            { role: 'new_letter', code: '        new_letter = alphabet[new_position]' },
+            { role: 'append', code: `        ${names.output} += new_letter` },
+            { role: 'else', code: '    else:' },
+            { role: 'copy', code: `        ${names.output} += letter` },
+            { role: 'blank', code: '' },
+            { role: 'print', code: `print(${names.output})` }
         ];
-        ids.forEach(id => { this.elements[id] = $id(id); });
+    },
 
-        if (this.elements.alphabetVisualizer) this.generateAlphabetGrid();
-        this.attachListeners();
-        DiagnosticController.init();
+    build(text, cipherId, key, mode = 'decrypt', alphabet) {
+        return PythonTemplate.lines(text, cipherId, key, mode, alphabet).map(l => l.code).join('\n');
+    }
+};
 
-        // Initial Screen Setup
-        this.showScreen('classSetupScreen');
+// ---------- PythonTrace ----------
+// Replays the loop history the way the generated program runs it. The program's
+// alphabet list is lowercase, so capitals take the else branch there even though
+// the inspector shifts them.
+const PythonTrace = {
+    ITERATION_ROLES: {
+        if: ['for', 'if', 'position', 'calc', 'new_letter', 'append'],
+        else: ['for', 'if', 'else', 'copy']
     },
 
-    showScreen(screenId) {
-        document.querySelectorAll('.screen').forEach(s => {
-            s.classList.remove('active');
-            s.classList.add('hidden'); // Ensure defensive hidden state
-        });
+    // Per-run cache: one small snapshot per iteration, so stepping forward, back or
+    // jumping never replays the run. Snapshots share one output string and keep
+    // its length before and after their iteration.
+    cache: null,
 
-        const target = $id(screenId);
-        if (target) {
-            target.classList.remove('hidden');
-            target.classList.add('active');
-            // Auto scroll to top
-            window.scrollTo({ top: 0, behavior: 'smooth' });
+    // Variables after the first `count` steps of `steps` (the LoopEngine timeline);
+    // Think Mode stops on the position line
+    state(steps, count, cipherId, key, mode, waitingForReveal, alphabetSpec) {
+        const run = PythonTrace.replay(steps, count, cipherId, key, mode, alphabetSpec);
+        const snap = count ? run.snapshots[count - 1] : null;
+        const vars = { letter: null, position: null, new_position: null, new_letter: null, output: '' };
+        if (snap) {
+            vars.letter = snap.letter;
+            vars.position = snap.position;
+            vars.new_position = snap.new_position;
+            vars.new_letter = snap.new_letter;
+            vars.output = run.output.slice(0, snap.after);
         }
-    },
+        const branch = snap ? snap.branch : null;
 
-    generateAlphabetGrid() {
-        const container = this.elements.alphabetVisualizer;
-        if (!container) return;
-        container.innerHTML = '';
-        CONFIG.ALPHABET.forEach((letter, index) => {
-            const div = document.createElement('div');
-            div.className = 'char-box';
-            div.id = `char-${index}`;
-            div.innerHTML = `<span class="idx">${index}</span>${letter}`;
-            container.appendChild(div);
-        });
+        let ran = branch ? PythonTrace.ITERATION_ROLES[branch] : [];
+        if (branch === 'if' && waitingForReveal) {
+            ran = ['for', 'if', 'position'];
+            vars.new_position = '?';
+            vars.new_letter = '?';
+            vars.output = run.output.slice(0, snap.before);
+        }
+        return { vars, branch, ran, current: ran[ran.length - 1] || null };
     },
 
-    updateAlphabet(oldIdx, newIdx) {
-        this.clearAlphabetHighlight();
-        if (oldIdx !== -1) {
-            const oldEl = $id(`char-${oldIdx}`);
-            if (oldEl) oldEl.classList.add('highlight-old');
+    // Brings the cache up to `count` steps; a different run (other settings, or new
+    // step objects after a reset or restore) starts a fresh one
+    replay(steps, count, cipherId, key, mode, alphabetSpec) {
+        const signature = JSON.stringify([cipherId, key, mode, alphabetSpec]);
+        let run = PythonTrace.cache;
+        const shared = Math.min(run ? run.steps.length : 0, count);
+        if (!run || run.signature !== signature || (shared && run.steps[shared - 1] !== steps[shared - 1])) {
+            run = PythonTrace.cache = { signature, alphabet: Alphabet.resolve(alphabetSpec), steps: [], snapshots: [], output: '' };
         }
-        if (newIdx !== -1) {
-            const newEl = $id(`char-${newIdx}`);
-            if (newEl) newEl.classList.add('highlight-new');
+        for (let i = run.steps.length; i < count; i++) {
+            const step = steps[i];
+            const prev = i ? run.snapshots[i - 1] : { position: null, new_position: null, new_letter: null, count: 0 };
+            const snap = { ...prev, letter: step.inputChar, before: run.output.length };
+            if (run.alphabet.letters.includes(step.inputChar)) {
+                const r = CipherEngine.transformChar(step.inputChar, key, false, { cipher: cipherId, direction: mode, letterIndex: prev.count, alphabet: run.alphabet });
+                snap.count = prev.count + 1;
+                snap.position = r.originalIndex;
+                snap.new_position = r.newIndex;
+                snap.new_letter = r.char;
+                snap.branch = 'if';
+                run.output += r.char;
+            } else {
+                snap.branch = 'else';
+                run.output += step.inputChar;
+            }
+            snap.after = run.output.length;
+            run.steps.push(step);
+            run.snapshots.push(snap);
         }
-    },
-
-    clearAlphabetHighlight() {
-        document.querySelectorAll('.char-box').forEach(el => el.classList.remove('highlight-old', 'highlight-new'));
-    },
-
-    updateLoopInspector(currentIndex, total, snapshot, key, waitingForReveal) {
-        const els = this.elements;
-        const showExplicit = els.explicitIndexToggle ? els.explicitIndexToggle.checked : false;
+        return run;
+    }
+};
 
-        const displayIndex = currentIndex >= 0 ? (currentIndex + 1) : '-';
-        if (els.iterationDisplay) els.iterationDisplay.innerText = `Iteration: ${displayIndex} / ${total}`;
+// ---------- MiniPython ----------
+// Small offline interpreter for the Python subset the generated templates use:
+// ints, strings, lists, variables, for / while / if / elif / else, + - * // %,
+// comparisons, in / not in, and / or / not, indexing, a few builtins (print, len,
+// range, str, int, abs, ord, chr) and common string and list methods.
+const MiniPython = {
+    MAX_STEPS: 200000,
+    MAX_SIZE: 1000000, // longest string or list that + or * will build
 
-        if (snapshot) {
-            const inputChar = snapshot.inputChar;
-            const origIdx = snapshot.result.originalIndex;
-            let letterText = `Current: ${inputChar}`;
-            let indexText = `Index: ${origIdx}`;
+    // Runs a program; returns { output, error } where error is a Python-style message or null
+    run(source) {
+        const output = [];
+        try {
+            const program = MiniPython.parse(source);
+            const ctx = { env: Object.create(null), output, steps: 0 };
+            MiniPython.execBlock(program, ctx);
+            return { output: output.join('\n'), error: null };
+        } catch (e) {
+            if (e && e.pyControl) return { output: output.join('\n'), error: `SyntaxError: '${e.pyControl}' outside loop` };
+            if (!e || !e.pyType) e = MiniPython.hostError(e);
+            const where = e.line ? `Line ${e.line}: ` : '';
+            return { output: output.join('\n'), error: `${where}${e.pyType}: ${e.message}` };
+        }
+    },
 
-            if (showExplicit) {
-                letterText = `letter: "${inputChar}" (encrypted[${currentIndex}])`;
-                indexText = `i: ${currentIndex} (Index of "${inputChar}")`;
-            }
+    // A JavaScript error from the page itself (stack or string length exhausted)
+    // is reported like Python would report running out of room
+    hostError(e) {
+        if (e instanceof RangeError && /call stack/i.test(e.message)) return MiniPython.error('RecursionError', 'expression is nested too deeply');
+        if (e instanceof RangeError) return MiniPython.error('MemoryError', 'value is too large for this interpreter');
+        return MiniPython.error('RuntimeError', (e && e.message) || String(e));
+    },
 
-            if (els.currentLetterDisplay) els.currentLetterDisplay.innerText = letterText;
+    error(pyType, message, line) {
+        const err = new Error(message);
+        err.pyType = pyType;
+        err.line = line || null;
+        return err;
+    },
 
-            if (snapshot.result.isSpecial) {
-                if (els.indexDisplay) els.indexDisplay.innerText = `Index: N/A`;
-                if (els.equationDisplay) els.equationDisplay.innerHTML = `<div class="equation-template">Special Character: Keep as is.</div>`;
-            } else {
-                if (els.indexDisplay) els.indexDisplay.innerText = indexText;
+    // ----- Tokenizer -----
+    OPERATORS: ['//=', '//', '==', '!=', '<=', '>=', '+=', '-=', '*=', '%=', '+', '-', '*', '%', '<', '>', '=', '(', ')', '[', ']', ',', ':', '.'],
+    KEYWORDS: ['for', 'in', 'if', 'elif', 'else', 'while', 'and', 'or', 'not', 'pass', 'break', 'continue', 'True', 'False', 'None'],
 
-                // Handle Think Mode hiding
-                if (waitingForReveal) {
-                    // hide calculations, show predict prompt
-                    if (els.equationDisplay) els.equationDisplay.innerHTML = `<div class="equation-template">Prediction required — reveal to see calculation</div>`;
-                    this.showThinkPrompt(snapshot);
-                } else {
-                    // show full calculation
-                    const raw = snapshot.result.rawCalculation;
-                    const final = snapshot.result.newIndex;
-                    if (els.equationDisplay) els.equationDisplay.innerHTML = `
-            <div class="equation-template">new_pos = (pos - key) % 26</div>
-            <div class="calculation-step">Step 1: ${snapshot.result.originalIndex} - ${key} = ${raw}</div>
-            <div class="calculation-step">Step 2: ${raw} % 26 = ${final}</div>
-          `;
-                    this.hideThinkPrompt();
+    readString(src, start, lineNo) {
+        const quote = src[start];
+        let i = start + 1;
+        let value = '';
+        const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', '0': '\0' };
+        while (i < src.length && src[i] !== quote) {
+            if (src[i] === '\\') {
+                const next = src[i + 1];
+                if (next === 'x' || next === 'u' || next === 'U') {
+                    const len = next === 'x' ? 2 : (next === 'u' ? 4 : 8);
+                    const hex = src.substr(i + 2, len);
+                    if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== len) throw MiniPython.error('SyntaxError', 'invalid escape in string', lineNo);
+                    value += String.fromCodePoint(parseInt(hex, 16));
+                    i += 2 + len;
+                    continue;
                 }
+                value += next in escapes ? escapes[next] : `\\${next}`;
+                i += 2;
+                continue;
             }
+            value += src[i];
+            i++;
+        }
+        if (src[i] !== quote) throw MiniPython.error('SyntaxError', 'unterminated string literal', lineNo);
+        return { value, end: i + 1 };
+    },
 
-            if (els.resultLetter) els.resultLetter.innerText = snapshot.result.char;
-            if (els.accumulatedText) els.accumulatedText.innerText = snapshot.accumulated;
-        } else {
-            if (els.resultLetter) els.resultLetter.innerText = '-';
-            if (els.accumulatedText) els.accumulatedText.innerText = '-';
-            if (els.currentLetterDisplay) els.currentLetterDisplay.innerText = `Current: -`;
-            if (els.indexDisplay) els.indexDisplay.innerText = `Index: -`;
-            if (els.equationDisplay) els.equationDisplay.innerHTML = `<div class="equation-template">new_pos = (pos - key) % 26</div>`;
-            this.hideThinkPrompt();
+    tokenize(text, lineNo) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === ' ' || ch === '\t') { i++; continue; }
+            if (ch === '#') break;
+            if (/[0-9]/.test(ch)) {
+                let j = i;
+                while (j < text.length && /[0-9_]/.test(text[j])) j++;
+                if (text[j] === '.' && /[0-9]/.test(text[j + 1] || '')) throw MiniPython.error('SyntaxError', 'decimal numbers are not supported here', lineNo);
+                tokens.push({ t: 'num', v: parseInt(text.slice(i, j).replace(/_/g, ''), 10) });
+                i = j;
+                continue;
+            }
+            if (ch === '"' || ch === "'") {
+                const str = MiniPython.readString(text, i, lineNo);
+                tokens.push({ t: 'str', v: str.value });
+                i = str.end;
+                continue;
+            }
+            if (/[A-Za-z_]/.test(ch)) {
+                let j = i;
+                while (j < text.length && /[A-Za-z0-9_]/.test(text[j])) j++;
+                const word = text.slice(i, j);
+                tokens.push({ t: MiniPython.KEYWORDS.includes(word) ? 'kw' : 'name', v: word });
+                i = j;
+                continue;
+            }
+            const op = MiniPython.OPERATORS.find(o => text.startsWith(o, i));
+            if (!op) throw MiniPython.error('SyntaxError', `invalid character '${ch}'`, lineNo);
+            tokens.push({ t: 'op', v: op });
+            i += op.length;
         }
+        return tokens;
     },
 
-    showThinkPrompt(snapshot) {
-        const tp = this.elements.btnReveal ? this.elements.btnReveal.closest('.think-prompt') : null;
-        // toggle container visibility
-        const prompt = $id('thinkPrompt');
-        if (!prompt) return;
-        prompt.classList.remove('hidden');
-        // clear previous feedback/input
-        if (this.elements.predictInput) this.elements.predictInput.value = '';
-        if (this.elements.predictFeedback) this.elements.predictFeedback.innerText = '';
+    // ----- Parser -----
+    // Logical lines (brackets may span physical lines) -> nested statement blocks
+    parse(source) {
+        const physical = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+        const lines = [];
+        for (let n = 0; n < physical.length; n++) {
+            const raw = physical[n].replace(/\t/g, '    ');
+            const indent = raw.length - raw.trimStart().length;
+            let tokens = MiniPython.tokenize(raw, n + 1);
+            if (!tokens.length) continue;
+            const lineNo = n + 1;
+            let depth = MiniPython.bracketDepth(tokens);
+            while (depth > 0 && n + 1 < physical.length) {
+                n++;
+                tokens = tokens.concat(MiniPython.tokenize(physical[n], n + 1));
+                depth = MiniPython.bracketDepth(tokens);
+            }
+            if (depth !== 0) throw MiniPython.error('SyntaxError', 'unmatched bracket', lineNo);
+            lines.push({ indent, tokens, line: lineNo });
+        }
+        const state = { lines, pos: 0 };
+        const block = MiniPython.parseBlock(state, lines.length ? lines[0].indent : 0);
+        if (state.pos < lines.length) throw MiniPython.error('IndentationError', 'unexpected indent', lines[state.pos].line);
+        return block;
     },
 
-    hideThinkPrompt() {
-        const prompt = $id('thinkPrompt');
-        if (!prompt) return;
-        prompt.classList.add('hidden');
-        if (this.elements.predictFeedback) this.elements.predictFeedback.innerText = '';
+    bracketDepth(tokens) {
+        return tokens.reduce((d, tok) => {
+            if (tok.t !== 'op') return d;
+            if (tok.v === '(' || tok.v === '[') return d + 1;
+            if (tok.v === ')' || tok.v === ']') return d - 1;
+            return d;
+        }, 0);
     },
 
-    updateEncryptedVisualizer(text, currentIndex) {
-        const container = this.elements.encryptedVisualizer;
-        if (!container) return;
-        container.innerHTML = '';
-        for (let i = 0; i < text.length; i++) {
-            const ch = text[i];
-            const span = document.createElement('span');
-            span.className = 'char';
-            span.innerText = ch;
-            if (i === currentIndex) span.classList.add('char-current');
-            else if (i < currentIndex) span.classList.add('char-decrypted');
-            container.appendChild(span);
+    parseBlock(state, indent) {
+        const stmts = [];
+        while (state.pos < state.lines.length) {
+            const line = state.lines[state.pos];
+            if (line.indent < indent) break;
+            if (line.indent > indent) throw MiniPython.error('IndentationError', 'unexpected indent', line.line);
+            stmts.push(MiniPython.parseStatement(state));
         }
+        return stmts;
     },
 
-    updateProgress(currentIndex, total) {
-        const bar = $id('progressBar');
-        if (!bar) return;
-        const pct = total === 0 ? 0 : clamp(((currentIndex + 1) / total) * 100, 0, 100);
-        bar.style.width = `${pct}%`;
+    parseBody(state, header) {
+        const next = state.lines[state.pos];
+        if (!next || next.indent <= header.indent) throw MiniPython.error('IndentationError', 'expected an indented block', header.line);
+        return MiniPython.parseBlock(state, next.indent);
     },
 
-    updatePlayButton(isPlaying) {
-        const btnPlay = this.elements.btnPlay;
-        const btnPause = this.elements.btnPause;
-        if (!btnPlay || !btnPause) return;
-        if (isPlaying) { btnPlay.classList.add('hidden'); btnPause.classList.remove('hidden'); }
-        else { btnPlay.classList.remove('hidden'); btnPause.classList.add('hidden'); }
+    // Header tokens "<kw> ... :" -> the tokens between keyword and colon
+    headerTokens(line) {
+        const last = line.tokens[line.tokens.length - 1];
+        if (!last || last.v !== ':' || last.t !== 'op') throw MiniPython.error('SyntaxError', "expected ':'", line.line);
+        return line.tokens.slice(1, -1);
     },
 
-    showMissionComplete() {
-        const code = `
-alphabet = ['a','b','c','d','e','f','g','h','i','j','k','l','m','n','o','p','q','r','s','t','u','v','w','x','y','z']
-encrypted = "${LoopEngine.state.encryptedText}"
-key = ${LoopEngine.state.key}
-decrypted = ""
-
-for letter in encrypted:
-    if letter in alphabet:
-        position = alphabet.index(letter)
-        new_position = (position - key) % 26
-        new_letter = alphabet[new_position]
-        decrypted += new_letter
-    else:
-        decrypted += letter
-
-print(decrypted)
-`.trim();
-
-        if (this.elements.pythonCodeTemplate) this.elements.pythonCodeTemplate.innerText = code;
-        setTimeout(() => {
-            alert("MISSION COMPLETE. AGENT PROMOTED.");
-            if (this.elements.agentRank) this.elements.agentRank.innerText = "RANK: CODE BREAKER";
-            // Save attempt to localStorage
+    parseStatement(state) {
+        const line = state.lines[state.pos++];
+        const first = line.tokens[0];
+
+        if (first.t === 'kw' && first.v === 'for') {
+            const inner = MiniPython.headerTokens(line);
+            const inIdx = inner.findIndex(tok => tok.t === 'kw' && tok.v === 'in');
+            if (inIdx !== 1 || inner[0].t !== 'name') throw MiniPython.error('SyntaxError', 'expected "for <name> in <iterable>:"', line.line);
+            return { k: 'for', line: line.line, name: inner[0].v, iter: MiniPython.parseExpression(inner.slice(2), line.line), body: MiniPython.parseBody(state, line) };
+        }
+
+        if (first.t === 'kw' && first.v === 'while') {
+            return { k: 'while', line: line.line, test: MiniPython.parseExpression(MiniPython.headerTokens(line), line.line), body: MiniPython.parseBody(state, line) };
+        }
+
+        if (first.t === 'kw' && first.v === 'if') {
+            const branches = [{ test: MiniPython.parseExpression(MiniPython.headerTokens(line), line.line), body: MiniPython.parseBody(state, line), line: line.line }];
+            let orelse = null;
+            while (state.pos < state.lines.length) {
+                const next = state.lines[state.pos];
+                if (next.indent !== line.indent || next.tokens[0].t !== 'kw') break;
+                if (next.tokens[0].v === 'elif') {
+                    state.pos++;
+                    branches.push({ test: MiniPython.parseExpression(MiniPython.headerTokens(next), next.line), body: MiniPython.parseBody(state, next), line: next.line });
+                } else if (next.tokens[0].v === 'else') {
+                    state.pos++;
+                    if (next.tokens.length !== 2 || next.tokens[1].v !== ':') throw MiniPython.error('SyntaxError', "expected ':'", next.line);
+                    orelse = { body: MiniPython.parseBody(state, next), line: next.line };
+                    break;
+                } else {
+                    break;
+                }
+            }
+            return { k: 'if', line: line.line, branches, orelse };
+        }
+
+        if (first.t === 'kw' && (first.v === 'elif' || first.v === 'else')) {
+            throw MiniPython.error('SyntaxError', `'${first.v}' without a matching 'if'`, line.line);
+        }
+
+        if (first.t === 'kw' && ['pass', 'break', 'continue'].includes(first.v)) {
+            if (line.tokens.length !== 1) throw MiniPython.error('SyntaxError', 'invalid syntax', line.line);
+            return { k: first.v, line: line.line };
+        }
+
+        // Assignment (plain or augmented) at bracket depth 0
+        let depth = 0;
+        for (let i = 0; i < line.tokens.length; i++) {
+            const tok = line.tokens[i];
+            if (tok.t !== 'op') continue;
+            if (tok.v === '(' || tok.v === '[') depth++;
+            else if (tok.v === ')' || tok.v === ']') depth--;
+            else if (depth === 0 && ['=', '+=', '-=', '*=', '%=', '//='].includes(tok.v)) {
+                const target = MiniPython.parseExpression(line.tokens.slice(0, i), line.line);
+                if (target.k !== 'name' && target.k !== 'index') throw MiniPython.error('SyntaxError', 'cannot assign to expression', line.line);
+                const value = MiniPython.parseExpression(line.tokens.slice(i + 1), line.line);
+                return { k: 'assign', line: line.line, target, op: tok.v === '=' ? null : tok.v.slice(0, -1), value };
+            }
+        }
+
+        return { k: 'expr', line: line.line, expr: MiniPython.parseExpression(line.tokens, line.line) };
+    },
+
+    parseExpression(tokens, line) {
+        if (!tokens.length) throw MiniPython.error('SyntaxError', 'invalid syntax', line);
+        const p = { tokens, pos: 0, line };
+        const expr = MiniPython.parseOr(p);
+        if (p.pos < tokens.length) throw MiniPython.error('SyntaxError', 'invalid syntax', line);
+        return expr;
+    },
+
+    peek(p, v) {
+        const tok = p.tokens[p.pos];
+        return tok && (tok.t === 'op' || tok.t === 'kw') && tok.v === v;
+    },
+
+    expect(p, v) {
+        if (!MiniPython.peek(p, v)) throw MiniPython.error('SyntaxError', `expected '${v}'`, p.line);
+        p.pos++;
+    },
+
+    parseOr(p) {
+        let left = MiniPython.parseAnd(p);
+        while (MiniPython.peek(p, 'or')) { p.pos++; left = { k: 'or', left, right: MiniPython.parseAnd(p) }; }
+        return left;
+    },
+
+    parseAnd(p) {
+        let left = MiniPython.parseNot(p);
+        while (MiniPython.peek(p, 'and')) { p.pos++; left = { k: 'and', left, right: MiniPython.parseNot(p) }; }
+        return left;
+    },
+
+    parseNot(p) {
+        if (MiniPython.peek(p, 'not')) { p.pos++; return { k: 'not', operand: MiniPython.parseNot(p) }; }
+        return MiniPython.parseComparison(p);
+    },
+
+    parseComparison(p) {
+        const first = MiniPython.parseArith(p);
+        const ops = [];
+        const operands = [first];
+        for (;;) {
+            let op = null;
+            if (['==', '!=', '<', '>', '<=', '>='].some(o => MiniPython.peek(p, o))) op = p.tokens[p.pos++].v;
+            else if (MiniPython.peek(p, 'in')) { p.pos++; op = 'in'; }
+            else if (MiniPython.peek(p, 'not') && p.tokens[p.pos + 1] && p.tokens[p.pos + 1].v === 'in') { p.pos += 2; op = 'not in'; }
+            if (!op) break;
+            ops.push(op);
+            operands.push(MiniPython.parseArith(p));
+        }
+        return ops.length ? { k: 'compare', ops, operands } : first;
+    },
+
+    parseArith(p) {
+        let left = MiniPython.parseTerm(p);
+        while (MiniPython.peek(p, '+') || MiniPython.peek(p, '-')) {
+            const op = p.tokens[p.pos++].v;
+            left = { k: 'bin', op, left, right: MiniPython.parseTerm(p) };
+        }
+        return left;
+    },
+
+    parseTerm(p) {
+        let left = MiniPython.parseUnary(p);
+        while (MiniPython.peek(p, '*') || MiniPython.peek(p, '//') || MiniPython.peek(p, '%')) {
+            const op = p.tokens[p.pos++].v;
+            left = { k: 'bin', op, left, right: MiniPython.parseUnary(p) };
+        }
+        return left;
+    },
+
+    parseUnary(p) {
+        if (MiniPython.peek(p, '-')) { p.pos++; return { k: 'neg', operand: MiniPython.parseUnary(p) }; }
+        if (MiniPython.peek(p, '+')) { p.pos++; return MiniPython.parseUnary(p); }
+        return MiniPython.parsePostfix(p);
+    },
+
+    parseArgs(p, close) {
+        const args = [];
+        while (!MiniPython.peek(p, close)) {
+            args.push(MiniPython.parseOr(p));
+            if (!MiniPython.peek(p, ',')) break;
+            p.pos++;
+        }
+        MiniPython.expect(p, close);
+        return args;
+    },
+
+    parsePostfix(p) {
+        let node = MiniPython.parseAtom(p);
+        for (;;) {
+            if (MiniPython.peek(p, '(')) {
+                p.pos++;
+                node = { k: 'call', fn: node, args: MiniPython.parseArgs(p, ')') };
+            } else if (MiniPython.peek(p, '[')) {
+                p.pos++;
+                const index = MiniPython.parseOr(p);
+                MiniPython.expect(p, ']');
+                node = { k: 'index', obj: node, index };
+            } else if (MiniPython.peek(p, '.')) {
+                p.pos++;
+                const name = p.tokens[p.pos++];
+                if (!name || name.t !== 'name') throw MiniPython.error('SyntaxError', 'invalid syntax', p.line);
+                node = { k: 'attr', obj: node, name: name.v };
+            } else {
+                return node;
+            }
+        }
+    },
+
+    parseAtom(p) {
+        const tok = p.tokens[p.pos++];
+        if (!tok) throw MiniPython.error('SyntaxError', 'unexpected end of line', p.line);
+        if (tok.t === 'num') return { k: 'lit', v: tok.v };
+        if (tok.t === 'str') {
+            // Adjacent string literals join, as in Python
+            let v = tok.v;
+            while (p.tokens[p.pos] && p.tokens[p.pos].t === 'str') v += p.tokens[p.pos++].v;
+            return { k: 'lit', v };
+        }
+        if (tok.t === 'kw' && tok.v === 'True') return { k: 'lit', v: true };
+        if (tok.t === 'kw' && tok.v === 'False') return { k: 'lit', v: false };
+        if (tok.t === 'kw' && tok.v === 'None') return { k: 'lit', v: null };
+        if (tok.t === 'name') return { k: 'name', name: tok.v };
+        if (tok.t === 'op' && tok.v === '(') {
+            const inner = MiniPython.parseOr(p);
+            MiniPython.expect(p, ')');
+            return inner;
+        }
+        if (tok.t === 'op' && tok.v === '[') return { k: 'list', items: MiniPython.parseArgs(p, ']') };
+        throw MiniPython.error('SyntaxError', 'invalid syntax', p.line);
+    },
+
+    // ----- Values -----
+    typeName(v) {
+        if (typeof v === 'string') return 'str';
+        if (typeof v === 'boolean') return 'bool';
+        if (typeof v === 'number') return 'int';
+        if (Array.isArray(v)) return 'list';
+        if (v === null) return 'NoneType';
+        return 'builtin_function_or_method';
+    },
+
+    truthy(v) {
+        if (Array.isArray(v)) return v.length > 0;
+        return !!v;
+    },
+
+    repr(v) {
+        if (typeof v === 'string') {
+            const quote = v.includes("'") && !v.includes('"') ? '"' : "'";
+            const body = v.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(new RegExp(quote, 'g'), `\\${quote}`);
+            return `${quote}${body}${quote}`;
+        }
+        return MiniPython.str(v);
+    },
+
+    str(v) {
+        if (typeof v === 'string') return v;
+        if (typeof v === 'boolean') return v ? 'True' : 'False';
+        if (v === null) return 'None';
+        if (Array.isArray(v)) return `[${v.map(MiniPython.repr).join(', ')}]`;
+        if (typeof v === 'function') return `<built-in function ${Object.keys(MiniPython.builtins).find(name => MiniPython.builtins[name] === v) || 'function'}>`;
+        return String(v);
+    },
+
+    equals(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((x, i) => MiniPython.equals(x, b[i]));
+        if (typeof a === 'boolean' || typeof b === 'boolean') return Number(a) === Number(b);
+        return a === b;
+    },
+
+    isInt(v) { return typeof v === 'number' || typeof v === 'boolean'; },
+
+    // Python floor-division semantics for // and %
+    binary(op, a, b) {
+        const type = `unsupported operand type(s) for ${op}: '${MiniPython.typeName(a)}' and '${MiniPython.typeName(b)}'`;
+        if (op === '+') {
+            if (MiniPython.isInt(a) && MiniPython.isInt(b)) return Number(a) + Number(b);
+            const joinable = (typeof a === 'string' && typeof b === 'string') || (Array.isArray(a) && Array.isArray(b));
+            if (joinable && a.length + b.length > MiniPython.MAX_SIZE) throw MiniPython.error('MemoryError', `${MiniPython.typeName(a)} is too large for this interpreter`);
+            if (typeof a === 'string' && typeof b === 'string') return a + b;
+            if (Array.isArray(a) && Array.isArray(b)) return a.concat(b);
+            if (typeof a === 'string') throw MiniPython.error('TypeError', `can only concatenate str (not "${MiniPython.typeName(b)}") to str`);
+            throw MiniPython.error('TypeError', type);
+        }
+        if (op === '*') {
+            if (MiniPython.isInt(a) && MiniPython.isInt(b)) return Number(a) * Number(b);
+            if ((typeof a === 'string' || Array.isArray(a)) && MiniPython.isInt(b)) {
+                const times = Math.max(0, Number(b));
+                if (!a.length || !times) return typeof a === 'string' ? '' : [];
+                if (a.length * times > MiniPython.MAX_SIZE) throw MiniPython.error('MemoryError', `${MiniPython.typeName(a)} is too large for this interpreter`);
+                if (typeof a === 'string') return a.repeat(times);
+                const out = [];
+                for (let i = 0; i < times; i++) a.forEach(item => out.push(item));
+                return out;
+            }
+            throw MiniPython.error('TypeError', type);
+        }
+        if (!MiniPython.isInt(a) || !MiniPython.isInt(b)) throw MiniPython.error('TypeError', type);
+        a = Number(a); b = Number(b);
+        if (op === '-') return a - b;
+        if (b === 0) throw MiniPython.error('ZeroDivisionError', op === '%' ? 'integer modulo by zero' : 'integer division by zero');
+        if (op === '//') return Math.floor(a / b);
+        if (op === '%') return a - b * Math.floor(a / b);
+        throw MiniPython.error('SyntaxError', `unknown operator ${op}`);
+    },
+
+    compare(op, a, b) {
+        if (op === '==') return MiniPython.equals(a, b);
+        if (op === '!=') return !MiniPython.equals(a, b);
+        if (op === 'in' || op === 'not in') {
+            let found;
+            if (typeof b === 'string') {
+                if (typeof a !== 'string') throw MiniPython.error('TypeError', `'in <string>' requires string as left operand, not ${MiniPython.typeName(a)}`);
+                found = b.includes(a);
+            } else if (Array.isArray(b)) {
+                found = b.some(x => MiniPython.equals(x, a));
+            } else {
+                throw MiniPython.error('TypeError', `argument of type '${MiniPython.typeName(b)}' is not iterable`);
+            }
+            return op === 'in' ? found : !found;
+        }
+        const comparable = (MiniPython.isInt(a) && MiniPython.isInt(b)) || (typeof a === 'string' && typeof b === 'string');
+        if (!comparable) throw MiniPython.error('TypeError', `'${op}' not supported between instances of '${MiniPython.typeName(a)}' and '${MiniPython.typeName(b)}'`);
+        if (op === '<') return a < b;
+        if (op === '>') return a > b;
+        if (op === '<=') return a <= b;
+        return a >= b;
+    },
+
+    iterate(v) {
+        if (typeof v === 'string') return Array.from(v);
+        if (Array.isArray(v)) return v;
+        throw MiniPython.error('TypeError', `'${MiniPython.typeName(v)}' object is not iterable`);
+    },
+
+    indexOf(obj, index) {
+        if (typeof obj !== 'string' && !Array.isArray(obj)) throw MiniPython.error('TypeError', `'${MiniPython.typeName(obj)}' object is not subscriptable`);
+        if (!MiniPython.isInt(index)) throw MiniPython.error('TypeError', `${MiniPython.typeName(obj)} indices must be integers`);
+        const items = typeof obj === 'string' ? Array.from(obj) : obj;
+        const i = Number(index) < 0 ? items.length + Number(index) : Number(index);
+        if (i < 0 || i >= items.length) throw MiniPython.error('IndexError', `${typeof obj === 'string' ? 'string' : 'list'} index out of range`);
+        return i;
+    },
+
+    builtins: {
+        print(ctx, args) { ctx.output.push(args.map(MiniPython.str).join(' ')); return null; },
+        len(ctx, args) {
+            const v = args[0];
+            if (typeof v === 'string') return Array.from(v).length;
+            if (Array.isArray(v)) return v.length;
+            throw MiniPython.error('TypeError', `object of type '${MiniPython.typeName(v)}' has no len()`);
+        },
+        range(ctx, args) {
+            if (!args.length || args.length > 3 || !args.every(MiniPython.isInt)) throw MiniPython.error('TypeError', 'range() expects 1 to 3 integers');
+            let [start, stop, step] = args.length === 1 ? [0, args[0], 1] : [args[0], args[1], args[2] === undefined ? 1 : args[2]];
+            if (step === 0) throw MiniPython.error('ValueError', 'range() arg 3 must not be zero');
+            const out = [];
+            for (let i = start; step > 0 ? i < stop : i > stop; i += step) {
+                out.push(i);
+                if (out.length > MiniPython.MAX_STEPS) throw MiniPython.error('MemoryError', 'range is too large for this interpreter');
+            }
+            return out;
+        },
+        str(ctx, args) { return args.length ? MiniPython.str(args[0]) : ''; },
+        int(ctx, args) {
+            const v = args[0];
+            if (MiniPython.isInt(v)) return Number(v);
+            if (typeof v === 'string' && /^\s*[-+]?\d+\s*$/.test(v)) return parseInt(v, 10);
+            throw MiniPython.error('ValueError', `invalid literal for int() with base 10: ${MiniPython.repr(v)}`);
+        },
+        abs(ctx, args) {
+            if (!MiniPython.isInt(args[0])) throw MiniPython.error('TypeError', `bad operand type for abs(): '${MiniPython.typeName(args[0])}'`);
+            return Math.abs(Number(args[0]));
+        },
+        ord(ctx, args) {
+            if (typeof args[0] !== 'string' || Array.from(args[0]).length !== 1) throw MiniPython.error('TypeError', 'ord() expected a character');
+            return args[0].codePointAt(0);
+        },
+        chr(ctx, args) {
+            if (!MiniPython.isInt(args[0])) throw MiniPython.error('TypeError', 'an integer is required');
+            return String.fromCodePoint(Number(args[0]));
+        }
+    },
+
+    callMethod(obj, name, args) {
+        if (typeof obj === 'string') {
+            switch (name) {
+                case 'upper': return obj.toUpperCase();
+                case 'lower': return obj.toLowerCase();
+                case 'isupper': return obj !== obj.toLowerCase() && obj === obj.toUpperCase();
+                case 'islower': return obj !== obj.toUpperCase() && obj === obj.toLowerCase();
+                case 'isalpha': return obj.length > 0 && /^\p{L}+$/u.test(obj);
+                case 'isdigit': return obj.length > 0 && /^\p{Nd}+$/u.test(obj);
+                case 'strip': return obj.trim();
+                case 'replace': return obj.split(MiniPython.str(args[0])).join(MiniPython.str(args[1]));
+                case 'find':
+                case 'index': {
+                    const i = typeof args[0] === 'string' ? obj.indexOf(args[0]) : -1;
+                    if (i === -1 && name === 'index') throw MiniPython.error('ValueError', 'substring not found');
+                    return i === -1 ? -1 : Array.from(obj.slice(0, i)).length;
+                }
+            }
+        }
+        if (Array.isArray(obj)) {
+            switch (name) {
+                case 'index': {
+                    const i = obj.findIndex(x => MiniPython.equals(x, args[0]));
+                    if (i === -1) throw MiniPython.error('ValueError', `${MiniPython.repr(args[0])} is not in list`);
+                    return i;
+                }
+                case 'append': obj.push(args[0]); return null;
+                case 'count': return obj.filter(x => MiniPython.equals(x, args[0])).length;
+            }
+        }
+        throw MiniPython.error('AttributeError', `'${MiniPython.typeName(obj)}' object has no attribute '${name}'`);
+    },
+
+    // ----- Evaluation -----
+    evaluate(node, ctx) {
+        switch (node.k) {
+            case 'lit': return node.v;
+            case 'name': {
+                if (node.name in ctx.env) return ctx.env[node.name];
+                if (node.name in MiniPython.builtins) return MiniPython.builtins[node.name];
+                throw MiniPython.error('NameError', `name '${node.name}' is not defined`);
+            }
+            case 'list': return node.items.map(item => MiniPython.evaluate(item, ctx));
+            case 'neg': {
+                const v = MiniPython.evaluate(node.operand, ctx);
+                if (!MiniPython.isInt(v)) throw MiniPython.error('TypeError', `bad operand type for unary -: '${MiniPython.typeName(v)}'`);
+                return -Number(v);
+            }
+            case 'not': return !MiniPython.truthy(MiniPython.evaluate(node.operand, ctx));
+            case 'and': {
+                const left = MiniPython.evaluate(node.left, ctx);
+                return MiniPython.truthy(left) ? MiniPython.evaluate(node.right, ctx) : left;
+            }
+            case 'or': {
+                const left = MiniPython.evaluate(node.left, ctx);
+                return MiniPython.truthy(left) ? left : MiniPython.evaluate(node.right, ctx);
+            }
+            case 'bin': return MiniPython.binary(node.op, MiniPython.evaluate(node.left, ctx), MiniPython.evaluate(node.right, ctx));
+            case 'compare': {
+                let left = MiniPython.evaluate(node.operands[0], ctx);
+                for (let i = 0; i < node.ops.length; i++) {
+                    const right = MiniPython.evaluate(node.operands[i + 1], ctx);
+                    if (!MiniPython.compare(node.ops[i], left, right)) return false;
+                    left = right;
+                }
+                return true;
+            }
+            case 'index': {
+                const obj = MiniPython.evaluate(node.obj, ctx);
+                const i = MiniPython.indexOf(obj, MiniPython.evaluate(node.index, ctx));
+                return typeof obj === 'string' ? Array.from(obj)[i] : obj[i];
+            }
+            case 'attr': throw MiniPython.error('SyntaxError', `'.${node.name}' must be called, e.g. .${node.name}()`);
+            case 'call': {
+                const args = node.args.map(a => MiniPython.evaluate(a, ctx));
+                if (node.fn.k === 'attr') return MiniPython.callMethod(MiniPython.evaluate(node.fn.obj, ctx), node.fn.name, args);
+                const fn = MiniPython.evaluate(node.fn, ctx);
+                if (typeof fn !== 'function') throw MiniPython.error('TypeError', `'${MiniPython.typeName(fn)}' object is not callable`);
+                return fn(ctx, args);
+            }
+        }
+        throw MiniPython.error('SyntaxError', 'invalid syntax');
+    },
+
+    assign(target, value, ctx) {
+        if (target.k === 'name') { ctx.env[target.name] = value; return; }
+        const obj = MiniPython.evaluate(target.obj, ctx);
+        if (!Array.isArray(obj)) throw MiniPython.error('TypeError', `'${MiniPython.typeName(obj)}' object does not support item assignment`);
+        obj[MiniPython.indexOf(obj, MiniPython.evaluate(target.index, ctx))] = value;
+    },
+
+    execBlock(stmts, ctx) {
+        for (const stmt of stmts) MiniPython.exec(stmt, ctx);
+    },
+
+    exec(stmt, ctx) {
+        if (++ctx.steps > MiniPython.MAX_STEPS) throw MiniPython.error('RuntimeError', 'program stopped after too many steps (infinite loop?)', stmt.line);
+        try {
+            switch (stmt.k) {
+                case 'expr': MiniPython.evaluate(stmt.expr, ctx); return;
+                case 'pass': return;
+                case 'break': throw { pyControl: 'break' };
+                case 'continue': throw { pyControl: 'continue' };
+                case 'assign': {
+                    let value = MiniPython.evaluate(stmt.value, ctx);
+                    if (stmt.op) value = MiniPython.binary(stmt.op, MiniPython.evaluate(stmt.target, ctx), value);
+                    MiniPython.assign(stmt.target, value, ctx);
+                    return;
+                }
+                case 'if': {
+                    for (const branch of stmt.branches) {
+                        if (MiniPython.truthy(MiniPython.evaluate(branch.test, ctx))) { MiniPython.execBlock(branch.body, ctx); return; }
+                    }
+                    if (stmt.orelse) MiniPython.execBlock(stmt.orelse.body, ctx);
+                    return;
+                }
+                case 'for': {
+                    const items = MiniPython.iterate(MiniPython.evaluate(stmt.iter, ctx));
+                    for (let i = 0; i < items.length; i++) {
+                        ctx.env[stmt.name] = items[i];
+                        if (MiniPython.runLoopBody(stmt.body, ctx) === 'break') break;
+                    }
+                    return;
+                }
+                case 'while': {
+                    while (MiniPython.truthy(MiniPython.evaluate(stmt.test, ctx))) {
+                        if (++ctx.steps > MiniPython.MAX_STEPS) throw MiniPython.error('RuntimeError', 'program stopped after too many steps (infinite loop?)', stmt.line);
+                        if (MiniPython.runLoopBody(stmt.body, ctx) === 'break') break;
+                    }
+                    return;
+                }
+            }
+        } catch (e) {
+            if (e && e.pyType && !e.line) e.line = stmt.line;
+            throw e;
+        }
+    },
+
+    runLoopBody(body, ctx) {
+        try {
+            MiniPython.execBlock(body, ctx);
+        } catch (e) {
+            if (e && e.pyControl) return e.pyControl;
+            throw e;
+        }
+        return null;
+    }
+};
+
+// ---------- CSV ----------
+const CSV = {
+    // Parses quoted fields, doubled quotes and newlines inside quotes
+    parse(text) {
+        const rows = [];
+        let row = [], field = '', inQuotes = false;
+        const src = String(text || '');
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (inQuotes) {
+                if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') inQuotes = false;
+                else field += ch;
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(field); field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+                row.push(field); rows.push(row);
+                row = []; field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length) { row.push(field); rows.push(row); }
+        return rows;
+    },
+
+    // RFC 4180: quote fields containing quotes, commas or line breaks; double embedded quotes
+    escapeField(value) {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    stringify(rows) {
+        return rows.map(r => r.map(CSV.escapeField).join(',')).join('\r\n') + '\r\n';
+    }
+};
+
+// ---------- Sync Transports ----------
+// Where ClassSync sends attempts and live progress. Attempts are always kept in
+// localStorage too, so exports and analytics work whichever transport is chosen.
+// Every transport has pushAttempt, pushProgress, fetchProgress and fetchAttempts,
+// all returning Promises.
+const SyncTransports = {
+    // Default: nothing leaves the device; live progress is visible to other tabs
+    local: {
+        get label() { return I18n.t('sync.local'); },
+
+        progressKey(classId) { return `${ClassSync.storageKey(classId)}_live`; },
+
+        loadProgress(classId) {
+            try {
+                return JSON.parse(localStorage.getItem(SyncTransports.local.progressKey(classId)) || '{}');
+            } catch (e) {
+                return {};
+            }
+        },
+
+        pushAttempt() { return Promise.resolve(); },
+
+        pushProgress(classId, progress) {
+            const all = SyncTransports.local.loadProgress(classId);
+            all[String(progress.studentId).toLowerCase()] = progress;
+            localStorage.setItem(SyncTransports.local.progressKey(classId), JSON.stringify(all));
+            return Promise.resolve();
+        },
+
+        fetchProgress(classId) { return Promise.resolve(Object.values(SyncTransports.local.loadProgress(classId))); },
+
+        fetchAttempts(classId) { return Promise.resolve(ClassSync.loadAttempts(classId)); }
+    },
+
+    // Classroom server (see classroom-server.js): JSON over HTTP, polled by the teacher
+    http: {
+        get label() { return I18n.t('sync.http'); },
+        sending: {}, // classId -> progress push in flight
+        queued: {}, // classId -> newest progress waiting for the in-flight push
+
+        request(method, path, body) {
+            const base = (ClassSync.settings().url || location.origin).replace(/\/+$/, '');
+            const init = { method, headers: { 'Content-Type': 'application/json' } };
+            if (body !== undefined) init.body = JSON.stringify(body);
+            return fetch(`${base}${path}`, init).then(res => {
+                if (!res.ok) throw new Error(`Classroom server answered ${res.status}`);
+                return res.json();
+            });
+        },
+
+        classPath(classId, resource) {
+            return `/api/classes/${encodeURIComponent(classId || 'default')}/${resource}`;
+        },
+
+        pushAttempt(classId, record) {
+            return SyncTransports.http.request('POST', SyncTransports.http.classPath(classId, 'attempts'), record);
+        },
+
+        // Autoplay steps faster than a round trip, so only the newest progress is sent
+        pushProgress(classId, progress) {
+            const t = SyncTransports.http;
+            if (t.sending[classId]) {
+                t.queued[classId] = progress;
+                return Promise.resolve();
+            }
+            t.sending[classId] = true;
+            const done = () => {
+                t.sending[classId] = false;
+                const next = t.queued[classId];
+                delete t.queued[classId];
+                if (next) t.pushProgress(classId, next);
+            };
+            return t.request('POST', t.classPath(classId, 'progress'), progress).then(done, (e) => { done(); throw e; });
+        },
+
+        fetchProgress(classId) {
+            return SyncTransports.http.request('GET', SyncTransports.http.classPath(classId, 'progress'));
+        },
+
+        fetchAttempts(classId) {
+            return SyncTransports.http.request('GET', SyncTransports.http.classPath(classId, 'attempts'));
+        }
+    }
+};
+
+// ---------- ClassSync (local storage based) ----------
+// Emits 'attemptSaved' (classId, record), 'storageLow' (classId, usage) once
+// localStorage is nearly full, and 'saveFailed' (classId, error, record) when
+// an attempt could not be written. The Teacher Dashboard shows the warning and
+// offers a class export; the student whose attempt failed is told at once and
+// can download just their own unsaved attempts (see UIController.subscribeSync).
+const ClassSync = withEvents({
+    SETTINGS_KEY: 'spyschool_sync',
+    // Browsers give a site about 5 MB of localStorage; past WARN_RATIO the
+    // teacher is asked to export before saves start failing
+    STORAGE_BUDGET: 5 * 1024 * 1024,
+    WARN_RATIO: 0.8,
+    unsaved: {}, // classId -> attempts that could not be written, kept for export
+
+    storageKey(classId) { return `spyclass_${classId || 'default'}`; },
+
+    // Transport choice is per device: { transport: 'local' | 'http', url }
+    settings() {
+        try {
+            const data = JSON.parse(localStorage.getItem(ClassSync.SETTINGS_KEY) || 'null');
+            if (data && SyncTransports[data.transport]) return { transport: data.transport, url: data.url || '' };
+        } catch (e) {
+            console.warn('ClassSync settings load failed', e);
+        }
+        return { transport: 'local', url: '' };
+    },
+
+    saveSettings(settings) {
+        const transport = SyncTransports[settings.transport] ? settings.transport : 'local';
+        localStorage.setItem(ClassSync.SETTINGS_KEY, JSON.stringify({ transport, url: String(settings.url || '').trim() }));
+    },
+
+    transport() {
+        return SyncTransports[ClassSync.settings().transport];
+    },
+
+    // A page served by classroom-server.js switches itself to the HTTP transport,
+    // unless this device already has a sync setting
+    detectServer() {
+        if (localStorage.getItem(ClassSync.SETTINGS_KEY) || !/^https?:$/.test(location.protocol) || typeof fetch !== 'function') return Promise.resolve(false);
+        return fetch(`${location.origin}/api/ping`)
+            .then(res => res.ok ? res.json() : null)
+            .then(body => {
+                if (!body || !body.ok) return false;
+                ClassSync.saveSettings({ transport: 'http', url: '' });
+                return true;
+            })
+            .catch(() => false);
+    },
+
+    outboxKey(classId) { return `${ClassSync.storageKey(classId)}_outbox`; },
+
+    loadOutbox(classId) {
+        try {
+            return JSON.parse(localStorage.getItem(ClassSync.outboxKey(classId)) || '[]');
+        } catch (e) {
+            return [];
+        }
+    },
+
+    // Attempts the transport could not deliver wait in an outbox and go out with the next one
+    publishAttempt(classId, record) {
+        const outbox = ClassSync.loadOutbox(classId).concat([record]);
+        const transport = ClassSync.transport();
+        const failed = [];
+        return outbox.reduce((chain, item) => chain.then(() => transport.pushAttempt(classId, item).catch(() => { failed.push(item); })), Promise.resolve())
+            .then(() => {
+                if (failed.length) ClassSync.storeOutbox(classId, failed);
+                else localStorage.removeItem(ClassSync.outboxKey(classId));
+                return { sent: outbox.length - failed.length, waiting: failed.length };
+            });
+    },
+
+    // Same fallback as saveAttempt: a full device keeps the outbox without step
+    // histories, and if even that does not fit the attempts are kept for export
+    storeOutbox(classId, items) {
+        const compact = items.map(ClassSync.withoutHistory);
+        let error = null;
+        for (const list of [items, compact]) {
+            try {
+                localStorage.setItem(ClassSync.outboxKey(classId), JSON.stringify(list));
+                return true;
+            } catch (e) {
+                error = e;
+                if (!ClassSync.isQuotaError(e)) break;
+            }
+        }
+        console.warn('ClassSync outbox save failed', error);
+        items.forEach(item => {
+            ClassSync.keepUnsaved(classId, item);
+            ClassSync.emit('saveFailed', classId, error, item);
+        });
+        return false;
+    },
+
+    keepUnsaved(classId, record) {
+        const id = ClassSync.attemptId(record);
+        ClassSync.unsaved[classId] = (ClassSync.unsaved[classId] || []).filter(r => ClassSync.attemptId(r) !== id).concat([record]);
+    },
+
+    publishProgress(classId, progress) {
+        const stamped = { ...progress, updatedAt: new Date().toISOString() };
+        return Promise.resolve().then(() => ClassSync.transport().pushProgress(classId, stamped))
+            .catch(e => console.warn('ClassSync progress push failed', e));
+    },
+
+    loadAttempts(classId) {
+        try {
+            return JSON.parse(localStorage.getItem(ClassSync.storageKey(classId)) || '[]');
+        } catch (e) {
+            console.warn('ClassSync load failed', e);
+            return [];
+        }
+    },
+
+    diagnosticKey(classId) { return `${ClassSync.storageKey(classId)}_diagnostic`; },
+
+    loadDiagnostics(classId) {
+        try {
+            return JSON.parse(localStorage.getItem(ClassSync.diagnosticKey(classId)) || '[]');
+        } catch (e) {
+            console.warn('ClassSync diagnostic load failed', e);
+            return [];
+        }
+    },
+
+    // One record per diagnostic run: tries per question and whether remedial notes were shown
+    saveDiagnostic(classId, studentId, results, remedial) {
+        try {
+            const data = ClassSync.loadDiagnostics(classId);
+            data.push({ timestamp: new Date().toISOString(), studentId: studentId || 'unknown', results, remedial });
+            localStorage.setItem(ClassSync.diagnosticKey(classId), JSON.stringify(data));
+        } catch (e) {
+            console.warn('ClassSync diagnostic save failed', e);
+        }
+    },
+
+    storeAttempts(classId, data) {
+        localStorage.setItem(ClassSync.storageKey(classId), JSON.stringify(data));
+    },
+
+    // Approximate bytes used: localStorage keeps strings as UTF-16
+    storageUsage() {
+        let used = 0;
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                used += (key.length + (localStorage.getItem(key) || '').length) * 2;
+            }
+        } catch (e) {
+            used = 0;
+        }
+        return { used, budget: ClassSync.STORAGE_BUDGET, ratio: used / ClassSync.STORAGE_BUDGET };
+    },
+
+    isQuotaError(e) {
+        return !!e && (e.name === 'QuotaExceededError' || e.code === 22 || e.code === 1014 || /quota/i.test(e.message || ''));
+    },
+
+    withoutHistory(record) {
+        return record.history && record.history.length ? { ...record, history: [], historyDropped: true } : record;
+    },
+
+    // Writes a class's attempt list. When the device is full the records in `fresh`
+    // (a Set) are stored without their step history; returns the list as stored,
+    // and throws if even that does not fit.
+    storeWithFallback(classId, records, fresh) {
+        try {
+            ClassSync.storeAttempts(classId, records);
+            return records;
+        } catch (e) {
+            if (!ClassSync.isQuotaError(e)) throw e;
+            const compact = records.map(r => (fresh.has(r) ? ClassSync.withoutHistory(r) : r));
+            ClassSync.storeAttempts(classId, compact);
+            return compact;
+        }
+    },
+
+    // Attempts still to be exported: the stored ones and any that did not fit. An
+    // unsaved copy still has its history, so it replaces a stored one without.
+    exportableAttempts(classId) {
+        const kept = ClassSync.unsaved[classId] || [];
+        const ids = new Set(kept.map(ClassSync.attemptId));
+        return ClassSync.loadAttempts(classId).filter(r => !ids.has(ClassSync.attemptId(r))).concat(kept);
+    },
+
+    // `run` is a LoopEngine state; returns the stored record, or null if it could not be saved.
+    // When storage is full the attempt is stored without its step history; if even
+    // that fails it is kept in memory for export, still sent to the transport, and
+    // 'saveFailed' carries it.
+    saveAttempt(classId, studentId, run, missionId = null) {
+        let record = null;
+        let full = null;
+        try {
+            const data = ClassSync.loadAttempts(classId);
+            const timestamp = new Date().toISOString();
+            const history = run.history;
+            record = {
+                id: ClassSync.newAttemptId(timestamp, studentId),
+                timestamp,
+                studentId: studentId || 'unknown',
+                startedAt: run.startedAt ? new Date(run.startedAt).toISOString() : null,
+                durationMs: run.startedAt ? Date.now() - run.startedAt : null,
+                completed: run.chars.length > 0 && run.currentIndex === run.chars.length - 1,
+                missionId,
+                encrypted: run.encryptedText,
+                cipher: run.cipher,
+                alphabet: run.alphabet,
+                mode: run.mode,
+                key: run.key,
+                finalDecrypted: run.accumulatedText,
+                predictions: LoopEngine.predictionStats(history),
+                assessment: run.assessment ? LoopEngine.assessmentStats(history) : null,
+                history
+            };
+            full = record;
+            record = ClassSync.storeWithFallback(classId, data.concat([full]), new Set([full])).pop();
+            ClassSync.emit('attemptSaved', classId, record);
+            ClassSync.publishAttempt(classId, full).catch(e => console.warn('ClassSync publish failed', e));
+            const usage = ClassSync.storageUsage();
+            if (usage.ratio >= ClassSync.WARN_RATIO) ClassSync.emit('storageLow', classId, usage);
+            return record;
+        } catch (e) {
+            console.warn('ClassSync save failed', e);
+            if (full) {
+                ClassSync.keepUnsaved(classId, full);
+                ClassSync.publishAttempt(classId, full).catch(err => console.warn('ClassSync publish failed', err));
+            }
+            ClassSync.emit('saveFailed', classId, e, full);
+            return null;
+        }
+    },
+
+    newAttemptId(timestamp, studentId) {
+        return `${timestamp}-${String(studentId || 'unknown').toLowerCase()}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    // Records from before attempt ids existed are identified by their content
+    attemptId(record) {
+        return record.id || [record.timestamp, record.studentId, record.encrypted, JSON.stringify(record.key)].join('|');
+    },
+
+    csvColumns: ['id', 'timestamp', 'studentId', 'encrypted', 'mode', 'cipher', 'alphabet', 'key', 'finalDecrypted', 'completed',
+        'startedAt', 'durationMs', 'predictionsCorrect', 'predictionsWrong', 'predictionsSkipped',
+        'assessmentScore', 'assessmentMistakes', 'assessmentHints', 'historyJSON'],
+
+    toCSVRow(r) {
+        const cipher = r.cipher || 'caesar';
+        const p = r.predictions || LoopEngine.predictionStats(r.history || []);
+        const a = r.assessment || LoopEngine.assessmentStats(r.history || []) || {};
+        return [ClassSync.attemptId(r), r.timestamp, r.studentId, r.encrypted, r.mode || 'decrypt', cipher, r.alphabet || Alphabet.DEFAULT,
+            CipherEngine.formatKey(cipher, r.key), r.finalDecrypted, r.completed !== false, r.startedAt, r.durationMs,
+            p.correct, p.wrong, p.skipped, a.score, a.mistakes, a.hints, JSON.stringify(r.history || [])];
+    },
+
+    fromCSVRow(header, row) {
+        const get = (name) => { const i = header.indexOf(name); return i === -1 ? '' : (row[i] || ''); };
+        const cipher = CIPHERS[get('cipher')] ? get('cipher') : 'caesar';
+        let history = [];
+        try { history = JSON.parse(get('historyJSON') || '[]'); } catch (e) { history = []; }
+        const record = {
+            timestamp: get('timestamp'),
+            studentId: get('studentId') || 'unknown',
+            startedAt: get('startedAt') || null,
+            durationMs: get('durationMs') === '' ? null : Number(get('durationMs')),
+            completed: get('completed') !== 'false',
+            encrypted: get('encrypted'),
+            cipher,
+            alphabet: get('alphabet') || Alphabet.DEFAULT,
+            mode: get('mode') || 'decrypt',
+            key: CipherEngine.parseKey(cipher, get('key'), get('alphabet') || Alphabet.DEFAULT),
+            finalDecrypted: get('finalDecrypted'),
+            predictions: LoopEngine.predictionStats(history),
+            assessment: LoopEngine.assessmentStats(history),
+            history
+        };
+        if (get('id')) record.id = get('id');
+        return record;
+    },
+
+    download(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    },
+
+    exportClassCSV(classId) {
+        const data = ClassSync.exportableAttempts(classId);
+        if (!data.length) { Dialog.alert(I18n.t('teacher.noAttempts')); return; }
+
+        const rows = [ClassSync.csvColumns].concat(data.map(ClassSync.toCSVRow));
+        ClassSync.download(`spy_school_class_${classId || 'default'}.csv`, CSV.stringify(rows), 'text/csv');
+    },
+
+    exportClassJSON(classId) {
+        const data = ClassSync.exportableAttempts(classId);
+        if (!data.length) { Dialog.alert(I18n.t('teacher.noAttempts')); return; }
+
+        const payload = ClassSync.exportPayload(classId, data);
+        ClassSync.download(`spy_school_class_${classId || 'default'}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    },
+
+    exportPayload(classId, attempts) {
+        return { format: 'spy-school-attempts', version: 1, classId, exportedAt: new Date().toISOString(), attempts };
+    },
+
+    // One student's attempts that could not be stored, as a file the teacher
+    // merges; only theirs, since other students may share the device
+    unsavedExport(classId, studentId) {
+        const name = String(studentId || '').toLowerCase();
+        const attempts = (ClassSync.unsaved[classId] || []).filter(r => String(r.studentId).toLowerCase() === name);
+        return ClassSync.exportPayload(classId, attempts);
+    },
+
+    exportUnsavedJSON(classId, studentId) {
+        const payload = ClassSync.unsavedExport(classId, studentId);
+        if (!payload.attempts.length) return false;
+        const slug = String(studentId || 'unknown').replace(/[^\w-]+/g, '_');
+        ClassSync.download(`spy_school_unsaved_${classId || 'default'}_${slug}.json`, JSON.stringify(payload, null, 2), 'application/json');
+        return true;
+    },
+
+    // Accepts a JSON export (object or bare array) or a CSV export
+    parseAttemptFile(text) {
+        const trimmed = String(text || '').trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const parsed = JSON.parse(trimmed);
+            const attempts = Array.isArray(parsed) ? parsed : parsed.attempts;
+            if (!Array.isArray(attempts)) throw new Error('No attempts array in file');
+            return attempts;
+        }
+        const rows = CSV.parse(trimmed);
+        const header = rows.shift() || [];
+        if (!header.includes('studentId') || !header.includes('encrypted')) throw new Error('Unrecognised CSV header');
+        return rows.filter(r => r.some(Boolean)).map(r => ClassSync.fromCSVRow(header, r));
+    },
+
+    // Merge attempts from other classroom machines, skipping records already stored
+    // Imported records must look like saved attempts before they reach storage
+    isAttempt(record) {
+        const isDate = (v) => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+        const optional = (v, check) => v === undefined || v === null || check(v);
+        const isCount = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+        return !!record && typeof record === 'object' && !Array.isArray(record)
+            && typeof record.studentId === 'string' && record.studentId.trim() !== ''
+            && isDate(record.timestamp)
+            && optional(record.startedAt, isDate)
+            && optional(record.durationMs, isCount)
+            && typeof record.encrypted === 'string'
+            && optional(record.history, Array.isArray)
+            && optional(record.assessment, a => typeof a === 'object' && isCount(a.score) && a.score <= 100)
+            && optional(record.predictions, p => typeof p === 'object');
+    },
+
+    // Returns { added, duplicates, invalid, historyDropped }. The write goes through
+    // the full-storage fallback; if even that fails the error is thrown with
+    // `storage: true` so callers can tell it from a file that could not be read.
+    mergeAttempts(classId, incoming) {
+        const data = ClassSync.loadAttempts(classId);
+        const seen = new Set(data.map(ClassSync.attemptId));
+        const fresh = new Set();
+        let duplicates = 0, invalid = 0;
+        incoming.forEach(record => {
+            if (!ClassSync.isAttempt(record)) { invalid++; return; }
+            const id = ClassSync.attemptId(record);
+            if (seen.has(id)) { duplicates++; return; }
+            seen.add(id);
+            const copy = { ...record, id };
+            fresh.add(copy);
+            data.push(copy);
+        });
+        if (!fresh.size) return { added: 0, duplicates, invalid, historyDropped: 0 };
+        data.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+        let stored;
+        try {
+            stored = ClassSync.storeWithFallback(classId, data, fresh);
+        } catch (e) {
+            e.storage = true;
+            throw e;
+        }
+        return { added: fresh.size, duplicates, invalid, historyDropped: stored.filter(r => r.historyDropped).length - data.filter(r => r.historyDropped).length };
+    }
+});
+
+// ---------- TeacherStore (local storage based) ----------
+// Classes, access codes, rosters and the teacher PIN for this device
+const TeacherStore = {
+    storageKey: 'spyschool_teacher',
+
+    load() {
+        let data = null;
+        try { data = JSON.parse(localStorage.getItem(TeacherStore.storageKey) || 'null'); }
+        catch (e) { console.warn('TeacherStore load failed', e); }
+        if (!data || !Array.isArray(data.classes)) {
+            // First run: seed with the built-in class so existing logins keep working
+            data = { pinHash: null, classes: [{ code: DEFAULT_CLASS_ID, name: 'Spy Academy', students: STUDENT_DATABASE.slice() }] };
+        }
+        return data;
+    },
+
+    save(data) {
+        try {
+            localStorage.setItem(TeacherStore.storageKey, JSON.stringify(data));
+        } catch (e) {
+            console.warn('TeacherStore save failed', e);
+        }
+    },
+
+    // Casual protection only: keeps the PIN out of plain sight in localStorage
+    hashPin(pin) {
+        let h = 5381;
+        for (const ch of String(pin)) h = ((h * 33) ^ ch.charCodeAt(0)) >>> 0;
+        return h.toString(16);
+    },
+
+    hasPin() { return !!TeacherStore.load().pinHash; },
+
+    setPin(pin) {
+        const data = TeacherStore.load();
+        data.pinHash = TeacherStore.hashPin(pin);
+        TeacherStore.save(data);
+    },
+
+    checkPin(pin) { return TeacherStore.load().pinHash === TeacherStore.hashPin(pin); },
+
+    normalizeCode(code) { return String(code || '').trim().toUpperCase(); },
+
+    getClasses() { return TeacherStore.load().classes; },
+
+    findClass(code) {
+        const wanted = TeacherStore.normalizeCode(code);
+        return TeacherStore.getClasses().find(c => c.code === wanted) || null;
+    },
+
+    addClass(code, name) {
+        const data = TeacherStore.load();
+        const normalized = TeacherStore.normalizeCode(code);
+        if (!normalized || data.classes.some(c => c.code === normalized)) return false;
+        data.classes.push({ code: normalized, name: (name || '').trim() || normalized, students: [] });
+        TeacherStore.save(data);
+        return true;
+    },
+
+    removeClass(code) {
+        const data = TeacherStore.load();
+        data.classes = data.classes.filter(c => c.code !== TeacherStore.normalizeCode(code));
+        TeacherStore.save(data);
+    },
+
+    // Adds names not already on the roster (case-insensitive); returns how many were added
+    addStudents(code, names) {
+        const data = TeacherStore.load();
+        const cls = data.classes.find(c => c.code === TeacherStore.normalizeCode(code));
+        if (!cls) return 0;
+        let added = 0;
+        names.map(n => String(n || '').trim()).filter(Boolean).forEach(name => {
+            if (!cls.students.some(s => s.toLowerCase() === name.toLowerCase())) {
+                cls.students.push(name);
+                added++;
+            }
+        });
+        TeacherStore.save(data);
+        return added;
+    },
+
+    removeStudent(code, name) {
+        const data = TeacherStore.load();
+        const cls = data.classes.find(c => c.code === TeacherStore.normalizeCode(code));
+        if (!cls) return;
+        cls.students = cls.students.filter(s => s !== name);
+        TeacherStore.save(data);
+    },
+
+    // Pasted list (one name per line) or CSV; the first column is the name and
+    // a "name"/"student" header row is skipped
+    parseRoster(text) {
+        const rows = CSV.parse(text).map(r => (r[0] || '').trim()).filter(Boolean);
+        if (rows.length && /^(name|student|student name|student id)$/i.test(rows[0])) rows.shift();
+        return rows;
+    },
+
+    // Teacher-authored campaign; null means the built-in DEFAULT_CAMPAIGN
+    getMissions() {
+        const missions = TeacherStore.load().missions;
+        return Array.isArray(missions) && missions.length ? missions : DEFAULT_CAMPAIGN;
+    },
+
+    saveMissions(missions) {
+        const data = TeacherStore.load();
+        data.missions = missions;
+        TeacherStore.save(data);
+    },
+
+    findStudent(code, studentId) {
+        const cls = TeacherStore.findClass(code);
+        if (!cls) return null;
+        const wanted = String(studentId || '').trim().toLowerCase();
+        return cls.students.find(name => name.toLowerCase() === wanted) || null;
+    }
+};
+
+// ---------- CampaignStore (local storage based) ----------
+// Per-student campaign progress: completed mission ids and the rank earned
+const CampaignStore = {
+    progressKey(classId, studentId) {
+        return `spyprogress_${TeacherStore.normalizeCode(classId) || 'default'}_${String(studentId || 'unknown').toLowerCase()}`;
+    },
+
+    loadProgress(classId, studentId) {
+        try {
+            const data = JSON.parse(localStorage.getItem(CampaignStore.progressKey(classId, studentId)) || 'null');
+            if (data && Array.isArray(data.completed)) return data;
+        } catch (e) {
+            console.warn('CampaignStore load failed', e);
+        }
+        return { completed: [], rank: DEFAULT_RANK };
+    },
+
+    isUnlocked(missions, index, progress) {
+        return index === 0 || progress.completed.includes(missions[index - 1].id);
+    },
+
+    // Rank comes from the furthest completed mission, so replays never demote
+    completeMission(classId, studentId, missionId) {
+        const progress = CampaignStore.loadProgress(classId, studentId);
+        const missions = TeacherStore.getMissions();
+        const previousRank = progress.rank;
+        if (!progress.completed.includes(missionId)) progress.completed.push(missionId);
+
+        let furthest = -1;
+        missions.forEach((m, i) => { if (progress.completed.includes(m.id)) furthest = i; });
+        if (furthest >= 0) progress.rank = missions[furthest].rank || progress.rank;
+
+        try {
+            localStorage.setItem(CampaignStore.progressKey(classId, studentId), JSON.stringify(progress));
+        } catch (e) {
+            console.warn('CampaignStore save failed', e);
+        }
+        return { progress, promoted: progress.rank !== previousRank };
+    }
+};
+
+// ---------- SessionStore (local storage based) ----------
+// One in-progress mission per student, saved on every step so a reload can
+// resume it. The login itself lives in sessionStorage: it survives a reload
+// but not closing the tab on a shared classroom computer.
+const SessionStore = {
+    LOGIN_KEY: 'spyschool_login',
+
+    sessionKey(classId, studentId) {
+        return `spysession_${TeacherStore.normalizeCode(classId) || 'default'}_${String(studentId || 'unknown').toLowerCase()}`;
+    },
+
+    save(classId, studentId, session) {
+        try {
+            localStorage.setItem(SessionStore.sessionKey(classId, studentId), JSON.stringify({ ...session, savedAt: new Date().toISOString() }));
+        } catch (e) {
+            console.warn('SessionStore save failed', e);
+        }
+    },
+
+    load(classId, studentId) {
+        try {
+            const data = JSON.parse(localStorage.getItem(SessionStore.sessionKey(classId, studentId)) || 'null');
+            if (data && data.engine && Array.isArray(data.engine.history)) return data;
+        } catch (e) {
+            console.warn('SessionStore load failed', e);
+        }
+        return null;
+    },
+
+    // Only sessions with at least one step taken are worth offering
+    resumable(classId, studentId) {
+        const session = SessionStore.load(classId, studentId);
+        return session && session.engine.currentIndex >= 0 ? session : null;
+    },
+
+    clear(classId, studentId) {
+        localStorage.removeItem(SessionStore.sessionKey(classId, studentId));
+    },
+
+    rememberLogin(classId, studentId) {
+        try {
+            sessionStorage.setItem(SessionStore.LOGIN_KEY, JSON.stringify({ classId, studentId }));
+        } catch (e) {
+            console.warn('SessionStore login save failed', e);
+        }
+    },
+
+    currentLogin() {
+        try {
+            const login = JSON.parse(sessionStorage.getItem(SessionStore.LOGIN_KEY) || 'null');
+            if (login && login.classId && login.studentId) return login;
+        } catch (e) {
+            console.warn('SessionStore login load failed', e);
+        }
+        return null;
+    },
+
+    forgetLogin() {
+        sessionStorage.removeItem(SessionStore.LOGIN_KEY);
+    }
+};
+
+// ---------- MissionCode ----------
+// A mission (text, cipher, key, mode and toggles) packed into a URL-safe code.
+// Teachers hand out the code or a link ending in #mission=<code>.
+const MissionCode = {
+    VERSION: 1,
+
+    encode(config) {
+        const data = {
+            v: MissionCode.VERSION,
+            title: config.title || '',
+            text: config.encrypted || '',
+            cipher: config.cipher,
+            alphabet: Alphabet.resolve(config.alphabet).id,
+            key: CipherEngine.formatKey(config.cipher, CipherEngine.parseKey(config.cipher, config.key, config.alphabet)),
+            mode: config.mode,
+            toggles: config.toggles || {}
+        };
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    // Returns a mission config, or null when the code is damaged or unknown
+    decode(code) {
+        try {
+            const b64 = String(code || '').trim().replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(b64 + '==='.slice((b64.length + 3) % 4));
+            const data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+            if (!data || data.v !== MissionCode.VERSION || !CIPHERS[data.cipher] || typeof data.text !== 'string') return null;
+            return {
+                title: String(data.title || ''),
+                encrypted: data.text,
+                cipher: data.cipher,
+                alphabet: Alphabet.resolve(data.alphabet).id,
+                key: String(data.key),
+                mode: ['decrypt', 'encrypt', 'crack'].includes(data.mode) ? data.mode : 'decrypt',
+                toggles: data.toggles && typeof data.toggles === 'object' ? data.toggles : {}
+            };
+        } catch (e) {
+            return null;
+        }
+    },
+
+    link(code) {
+        // location.origin is "null" for file:// pages, so keep the whole address
+        return `${location.href.split('#')[0]}#mission=${code}`;
+    },
+
+    fromHash(hash) {
+        const match = /[#&]mission=([A-Za-z0-9_-]+)/.exec(hash || '');
+        return match ? match[1] : null;
+    }
+};
+
+// ---------- ClassAnalytics ----------
+// Derived entirely from stored attempts and their history snapshots
+const ClassAnalytics = {
+    // Mistakes on a step: times the student stepped back over it, a wrong
+    // Think Mode prediction (skipped predictions are not counted as wrong) and
+    // wrong letters typed in Assessment Mode
+    stepMistakes(step) {
+        const wrongPrediction = step.prediction && !step.prediction.skipped && !step.prediction.correct ? 1 : 0;
+        const wrongAnswers = step.answer ? step.answer.mistakes : 0;
+        return (step.rewinds || 0) + wrongPrediction + wrongAnswers;
+    },
+
+    isWrapAround(step) {
+        if (!step.result || step.result.isSpecial) return false;
+        if (typeof step.result.wrapped === 'boolean') return step.result.wrapped;
+        return step.result.rawCalculation < 0;
+    },
+
+    students(attempts, roster = [], diagnostics = []) {
+        const byName = new Map();
+        const entry = (name) => {
+            const id = name.toLowerCase();
+            if (!byName.has(id)) {
+                byName.set(id, {
+                    name, attempts: 0, completed: 0, timeSpentMs: 0, mistakes: 0, lastSeen: null,
+                    predictions: { correct: 0, wrong: 0, skipped: 0 }, diagnostic: null, assessment: null
+                });
+            }
+            return byName.get(id);
+        };
+        roster.forEach(name => entry(name));
+
+        attempts.forEach(a => {
+            const s = entry(a.studentId || 'unknown');
+            s.attempts++;
+            // Attempts saved before completion tracking were only ever saved on completion
+            if (a.completed !== false) s.completed++;
+            s.timeSpentMs += a.durationMs || 0;
+            s.mistakes += (a.history || []).reduce((sum, step) => sum + ClassAnalytics.stepMistakes(step), 0);
+            const p = a.predictions || LoopEngine.predictionStats(a.history || []);
+            s.predictions.correct += p.correct;
+            s.predictions.wrong += p.wrong;
+            s.predictions.skipped += p.skipped;
+            // Latest graded attempt
+            if (a.assessment && (!s.assessment || a.timestamp > s.assessment.timestamp)) s.assessment = { ...a.assessment, timestamp: a.timestamp };
+            if (!s.lastSeen || a.timestamp > s.lastSeen) s.lastSeen = a.timestamp;
+        });
+
+        // Latest diagnostic run per student
+        diagnostics.forEach(d => {
+            const s = entry(d.studentId || 'unknown');
+            if (!s.diagnostic || d.timestamp > s.diagnostic.timestamp) s.diagnostic = d;
+        });
+
+        return Array.from(byName.values()).map(s => ({
+            ...s,
+            diagnosticSummary: ClassAnalytics.formatDiagnostic(s.diagnostic),
+            predictionAccuracy: ClassAnalytics.formatAccuracy(s.predictions),
+            assessmentSummary: ClassAnalytics.formatAssessment(s.assessment),
+            status: s.completed > 0 ? 'completed' : (s.attempts > 0 ? 'inProgress' : 'notStarted')
+        }));
+    },
+
+    // Characters ranked by mistakes per occurrence
+    troubleCharacters(attempts) {
+        const chars = new Map();
+        attempts.forEach(a => (a.history || []).forEach(step => {
+            if (!step.result || step.result.isSpecial) return;
+            const ch = String(step.inputChar || '').toLowerCase();
+            if (!chars.has(ch)) chars.set(ch, { char: ch, seen: 0, mistakes: 0 });
+            const c = chars.get(ch);
+            c.seen++;
+            c.mistakes += ClassAnalytics.stepMistakes(step);
+        }));
+        return Array.from(chars.values())
+            .filter(c => c.mistakes > 0)
+            .sort((a, b) => b.mistakes - a.mistakes || b.seen - a.seen);
+    },
+
+    // Mistake rate on wrap-around steps (raw result outside 0-25) vs the rest
+    wrapAround(attempts) {
+        const totals = { wrap: { steps: 0, mistakes: 0 }, plain: { steps: 0, mistakes: 0 } };
+        attempts.forEach(a => (a.history || []).forEach(step => {
+            if (!step.result || step.result.isSpecial) return;
+            const bucket = ClassAnalytics.isWrapAround(step) ? totals.wrap : totals.plain;
+            bucket.steps++;
+            bucket.mistakes += ClassAnalytics.stepMistakes(step);
+        }));
+        return totals;
+    },
+
+    // "7/10 (70%), 2 skipped" - a high skip count or low accuracy suggests guessing
+    formatAccuracy(p) {
+        const attempted = p.correct + p.wrong;
+        if (!attempted && !p.skipped) return '-';
+        const percent = attempted ? `${Math.round(p.correct / attempted * 100)}%` : '-';
+        return I18n.list([
+            I18n.t('analytics.accuracy', { correct: p.correct, attempted, percent }),
+            I18n.t('analytics.skipped', { count: p.skipped })
+        ]);
+    },
+
+    // "82% (9/11 first try), 3 mistakes, 1 hint"
+    formatAssessment(a) {
+        if (!a || a.score === null) return '-';
+        return I18n.list([
+            I18n.t('analytics.assessment', { score: a.score, firstTry: a.firstTry, letters: a.letters }),
+            I18n.plural('assess.mistakes', a.mistakes),
+            I18n.plural('assess.hints', a.hints)
+        ]);
+    },
+
+    formatDiagnostic(d) {
+        if (!d) return '-';
+        const tries = d.results.reduce((sum, r) => sum + r.tries, 0);
+        const text = I18n.t('analytics.diagnostic', { tries, questions: d.results.length });
+        return d.remedial ? `${text} ${I18n.t('analytics.remedial')}` : text;
+    },
+
+    formatDuration(ms) {
+        const total = Math.round((ms || 0) / 1000);
+        const m = Math.floor(total / 60);
+        const s = total % 60;
+        return `${m}:${String(s).padStart(2, '0')}`;
+    }
+};
+
+// ---------- LoopEngine ----------
+// Headless: it never touches the page, so it also runs under Node (see test/).
+// Toggles arrive as options and every change goes out as an event, which
+// UIController subscribes to:
+//   'start'    a run was set up (init, reset, restore)
+//   'change'   (state, current step) after anything that changes what is shown
+//   'playing'  autoplay started (true) or stopped (false)
+//   'complete' Step Forward on the last character
+//   'blocked'  Step Forward while an Assessment Mode letter is unanswered
+const LoopEngine = withEvents({
+    state: {
+        encryptedText: "",
+        cipher: 'caesar',
+        mode: 'decrypt', // 'decrypt' | 'encrypt'
+        key: CONFIG.DEFAULT_KEY,
+        currentIndex: -1,
+        chars: [],
+        timeline: [], // every step of the run, computed up front
+        // Timeline steps up to and including currentIndex, copied on demand; code
+        // that runs on every step reads timeline[currentIndex] (currentStep()) instead
+        get history() { return this.timeline.slice(0, this.currentIndex + 1); },
+        reached: -1, // furthest iteration visited; work beyond currentIndex is kept
+        isPlaying: false,
+        timer: null,
+        accumulatedText: "",
+        options: { preserveCase: true, thinkMode: false, stepSize: 'char' },
+        waitingForReveal: false, // for Think Mode
+        assessment: false, // Assessment Mode: the student types every letter
+        awaitingAnswer: false,
+        stepShownAt: null,
+        startedAt: null,
+        rewinds: {}, // iteration -> times the student stepped back over it
+        chunk: null // { from, to } iterations passed by the last move forward
+    },
+
+    // `alphabet` is an ALPHABETS id or a string of custom letters;
+    // `options` is { preserveCase, thinkMode, stepSize, assessment }
+    init(text, key, cipher = 'caesar', mode = 'decrypt', alphabet = Alphabet.DEFAULT, options = {}) {
+        this.pause();
+        const cipherId = CIPHERS[cipher] ? cipher : 'caesar';
+        const encryptedText = String(text || "").normalize('NFC');
+        const alphabetId = Alphabet.resolve(alphabet).id;
+        this.state = {
+            encryptedText,
+            chars: Array.from(encryptedText), // one entry per code point, so no surrogate halves
+            cipher: cipherId,
+            mode: mode === 'encrypt' ? 'encrypt' : 'decrypt',
+            alphabet: alphabetId,
+            key: CipherEngine.parseKey(cipherId, key, alphabetId),
+            currentIndex: -1,
+            timeline: [],
+            get history() { return this.timeline.slice(0, this.currentIndex + 1); },
+            reached: -1,
+            isPlaying: false,
+            timer: null,
+            accumulatedText: "",
+            options: {
+                preserveCase: options.preserveCase !== false,
+                thinkMode: !!options.thinkMode,
+                stepSize: CONFIG.STEP_SIZES.includes(options.stepSize) ? options.stepSize : 'char'
+            },
+            waitingForReveal: false,
+            assessment: !!options.assessment,
+            awaitingAnswer: false,
+            stepShownAt: null,
+            startedAt: Date.now(),
+            rewinds: {},
+            chunk: null
+        };
+        this.buildTimeline(0);
+        this.emit('start', this.state);
+        this.notify();
+    },
+
+    // Toggles changed mid-run. Think Mode and the step size apply from the next
+    // step; Preserve Case from the next character on, as it always has.
+    setOptions(changes = {}) {
+        const s = this.state;
+        const preserveCase = s.options.preserveCase;
+        if ('preserveCase' in changes) s.options.preserveCase = !!changes.preserveCase;
+        if ('thinkMode' in changes) s.options.thinkMode = !!changes.thinkMode;
+        if (CONFIG.STEP_SIZES.includes(changes.stepSize)) s.options.stepSize = changes.stepSize;
+        if (s.options.preserveCase !== preserveCase) this.buildTimeline(s.currentIndex + 1);
+    },
+
+    // Computes every step from `from` to the end of the text. Earlier steps are
+    // kept as they are; Think Mode answers on recomputed steps carry over
+    // (only Preserve Case triggers a rebuild, and it never changes an index).
+    buildTimeline(from = 0) {
+        const s = this.state;
+        const preserveCase = s.options.preserveCase;
+        const timeline = s.timeline.slice(0, from);
+        let accumulated = timeline.length ? timeline[timeline.length - 1].accumulated : "";
+        let letterIndex = timeline.filter(h => !h.result.isSpecial).length;
+
+        for (let i = timeline.length; i < s.chars.length; i++) {
+            const char = s.chars[i];
+            const result = CipherEngine.transformChar(char, s.key, preserveCase, { cipher: s.cipher, direction: s.mode, letterIndex, alphabet: s.alphabet });
+            if (!result.isSpecial) letterIndex++;
+            accumulated += result.char;
+            const step = { iteration: i, inputChar: char, key: s.key, result, accumulated, rewinds: s.rewinds[i] || 0 };
+            const previous = s.timeline[i];
+            if (previous && previous.prediction) step.prediction = previous.prediction;
+            if (previous && previous.answer) step.answer = previous.answer;
+            timeline.push(step);
+        }
+
+        s.timeline = timeline;
+        s.accumulatedText = s.currentIndex >= 0 ? timeline[s.currentIndex].accumulated : "";
+    },
+
+    currentStep() {
+        const s = this.state;
+        return s.timeline[s.currentIndex] || null;
+    },
+
+    nextStep() {
+        const s = LoopEngine.state;
+        if (s.awaitingAnswer) {
+            LoopEngine.pause();
+            LoopEngine.emit('blocked', s);
+            return;
+        }
+        if (s.currentIndex >= s.chars.length - 1) {
+            LoopEngine.pause();
+            if (s.currentIndex === s.chars.length - 1) LoopEngine.emit('complete', s);
+            return;
+        }
+
+        LoopEngine.goTo(LoopEngine.chunkEnd(s.currentIndex + 1));
+
+        // If autoplay and think mode on -> auto-pause immediately after the step to allow reveal
+        if (s.waitingForReveal && s.isPlaying) {
+            LoopEngine.pause();
+        }
+    },
+
+    prevStep() {
+        this.pause();
+        if (this.state.currentIndex < 0) return;
+        this.goTo(this.state.currentIndex - 1);
+    },
+
+    // Last iteration of the step that starts at `from`. A word runs up to and
+    // including the spaces after it; a sentence up to its . ! ? or line break
+    // and what closes it. Assessment Mode always steps one letter at a time,
+    // and Think Mode stops early on the first letter still needing a prediction.
+    chunkEnd(from) {
+        const s = this.state;
+        const end = this.sizedChunkEnd(from);
+        if (!s.options.thinkMode) return end;
+        for (let i = from; i < end; i++) {
+            const step = s.timeline[i];
+            if (step && !step.result.isSpecial && !step.prediction) return i;
+        }
+        return end;
+    },
+
+    sizedChunkEnd(from) {
+        const s = this.state;
+        const last = s.chars.length - 1;
+        const size = s.assessment ? 'char' : s.options.stepSize;
+        if (size === 'end') return last;
+        if (size !== 'word' && size !== 'sentence') return from;
+        const ends = size === 'word' ? /\s/ : /[.!?\u061f\u2026\n]/;
+        const trailing = size === 'word' ? /\s/ : /[\s.!?\u061f\u2026"'\u201d\u2019)\]]/;
+        let i = from;
+        while (i < last && !ends.test(s.chars[i])) i++;
+        while (i < last && trailing.test(s.chars[i + 1])) i++;
+        return i;
+    },
+
+    // What happened across iterations `from`..`to`: letters shifted, other
+    // characters kept as they are, and shifts that wrapped round the alphabet
+    chunkSummary(from, to) {
+        const summary = { characters: 0, shifted: 0, kept: 0, wraps: 0 };
+        this.state.timeline.slice(from, to + 1).forEach(step => {
+            summary.characters++;
+            if (step.result.isSpecial) summary.kept++;
+            else summary.shifted++;
+            if (step.result.wrapped) summary.wraps++;
+        });
+        return summary;
+    },
+
+    // Scrubber and visualizer clicks: straight to any iteration (-1 = before the first)
+    jumpTo(index) {
+        this.pause();
+        // Assessment Mode only jumps over letters the student has already answered
+        this.goTo(this.state.assessment ? Math.min(index, this.state.reached) : index);
+    },
+
+    goTo(index) {
+        const s = this.state;
+        const target = clamp(index, -1, s.chars.length - 1);
+        if (target === s.currentIndex) return;
+        const forward = target > s.currentIndex;
+
+        // Stepping back over a character is a sign the student was unsure of it
+        if (!forward) s.rewinds[s.currentIndex] = (s.rewinds[s.currentIndex] || 0) + 1;
+
+        s.chunk = forward ? { from: s.currentIndex + 1, to: target } : null;
+        s.currentIndex = target;
+        s.reached = Math.max(s.reached, target);
+        const snapshot = s.timeline[target] || null;
+        if (snapshot) snapshot.rewinds = s.rewinds[target] || 0;
+        s.accumulatedText = snapshot ? snapshot.accumulated : "";
+
+        // Think Mode asks on the way forward, once per step
+        s.waitingForReveal = !s.assessment && forward && s.options.thinkMode && !!snapshot && !snapshot.result.isSpecial && !snapshot.prediction;
+
+        // Assessment Mode holds every letter until it has been typed
+        s.awaitingAnswer = s.assessment && !!snapshot && !snapshot.result.isSpecial && !this.isAnswered(snapshot);
+        if (s.awaitingAnswer) s.stepShownAt = Date.now();
+        this.notify();
+    },
+
+    // `interval` is the delay between steps in ms (see CONFIG.SPEED_LEVELS)
+    play(interval = CONFIG.SPEED_LEVELS[2]) {
+        const s = this.state;
+        if (s.isPlaying || s.assessment || s.currentIndex >= s.chars.length - 1) return;
+
+        s.isPlaying = true;
+        s.timer = setInterval(() => {
+            // If think mode waiting, do not auto advance
+            if (s.waitingForReveal) {
+                LoopEngine.pause();
+            } else {
+                LoopEngine.nextStep();
+            }
+        }, interval);
+        this.emit('playing', true);
+    },
+
+    pause() {
+        const s = this.state;
+        const wasPlaying = s.isPlaying;
+        s.isPlaying = false;
+        if (s.timer) clearInterval(s.timer);
+        s.timer = null;
+        if (wasPlaying) this.emit('playing', false);
+    },
+
+    reset() {
+        const s = this.state;
+        this.init(s.encryptedText, CipherEngine.formatKey(s.cipher, s.key), s.cipher, s.mode, s.alphabet, { ...s.options, assessment: s.assessment });
+    },
+
+    // Plain-data copy of the mission state (no timer) for SessionStore. Steps are
+    // stored up to the furthest one reached, without the running text, which
+    // restore() recomputes.
+    serialize() {
+        const s = this.state;
+        return {
+            encryptedText: s.encryptedText,
+            cipher: s.cipher,
+            mode: s.mode,
+            alphabet: s.alphabet,
+            key: CipherEngine.formatKey(s.cipher, s.key),
+            currentIndex: s.currentIndex,
+            history: s.timeline.slice(0, s.reached + 1).map(({ accumulated, ...step }) => step),
+            accumulatedText: s.accumulatedText,
+            waitingForReveal: s.waitingForReveal,
+            assessment: s.assessment,
+            startedAt: s.startedAt,
+            rewinds: s.rewinds,
+            chunk: s.chunk
+        };
+    },
+
+    restore(data, options = {}) {
+        this.init(data.encryptedText, data.key, data.cipher, data.mode, data.alphabet, options);
+        this.applySaved(data);
+    },
+
+    // A presentation audience mirrors the presenter's run step by step. Returns
+    // false when `data` is a different mission, which needs restore() instead.
+    follow(data, options = {}) {
+        const s = this.state;
+        const same = s.chars.length > 0 && data.encryptedText === s.encryptedText && data.cipher === s.cipher
+            && data.mode === s.mode && data.alphabet === s.alphabet
+            && data.key === CipherEngine.formatKey(s.cipher, s.key) && !!data.assessment === s.assessment;
+        if (!same) return false;
+        this.pause();
+        this.setOptions(options);
+        this.applySaved(data);
+        return true;
+    },
+
+    // Answers, position and reveal state from serialize() onto the current timeline
+    applySaved(data) {
+        const s = this.state;
+        const saved = data.history || [];
+        s.rewinds = data.rewinds || {};
+        s.chunk = data.chunk || null;
+        s.timeline.forEach((snapshot, i) => {
+            const step = saved[i] || {};
+            if (step.prediction) snapshot.prediction = step.prediction;
+            else delete snapshot.prediction;
+            if (step.answer) snapshot.answer = step.answer;
+            else delete snapshot.answer;
+            snapshot.rewinds = step.rewinds || 0;
+        });
+        s.reached = Math.min(saved.length, s.chars.length) - 1;
+        const index = typeof data.currentIndex === 'number' ? data.currentIndex : s.reached;
+        s.currentIndex = clamp(index, -1, s.reached);
+        const current = this.currentStep();
+        s.accumulatedText = current ? current.accumulated : "";
+        s.waitingForReveal = !!data.waitingForReveal && !!current;
+        if (typeof data.assessment === 'boolean') s.assessment = data.assessment;
+        s.awaitingAnswer = s.assessment && !!current && !current.result.isSpecial && !this.isAnswered(current);
+        s.stepShownAt = Date.now();
+        s.startedAt = data.startedAt || Date.now();
+        this.notify();
+    },
+
+    // Think Mode outcome is stored on the step snapshot so it reaches history,
+    // ClassSync and the exports. An empty guess counts as skipped.
+    recordPrediction(guess, skipped) {
+        const s = this.state;
+        const snap = this.currentStep();
+        if (!s.waitingForReveal || !snap || snap.result.isSpecial) return null;
+        const hasGuess = !skipped && typeof guess === 'number' && !isNaN(guess);
+        snap.prediction = {
+            guess: hasGuess ? guess : null,
+            expected: snap.result.newIndex,
+            correct: hasGuess && guess === snap.result.newIndex,
+            skipped: !hasGuess
+        };
+        return snap.prediction;
+    },
+
+    revealPrediction(guess) {
+        this.recordPrediction(guess, false);
+        this.state.waitingForReveal = false;
+        this.notify();
+    },
+
+    skipPrediction() {
+        this.recordPrediction(null, true);
+        this.state.waitingForReveal = false;
+        this.notify();
+    },
+
+    isAnswered(step) {
+        return !!(step.answer && (step.answer.correct || step.answer.revealed));
+    },
+
+    // The answer record is made on the first guess or hint of a step
+    answerRecord(step) {
+        if (!step.answer) step.answer = { guesses: [], mistakes: 0, hints: [], correct: false, revealed: false, ms: null };
+        return step.answer;
+    },
+
+    // A guess matches when it is the same alphabet letter, in either case
+    submitAnswer(guess) {
+        const s = this.state;
+        const snap = this.currentStep();
+        const value = String(guess || '').trim().normalize('NFC');
+        if (!s.awaitingAnswer || !snap || !value) return null;
+
+        const answer = this.answerRecord(snap);
+        answer.guesses.push(value);
+        const located = Array.from(value).length === 1 ? Alphabet.locate(Alphabet.resolve(s.alphabet), value) : { index: -1 };
+        if (located.index === snap.result.newIndex) {
+            answer.correct = true;
+        } else {
+            answer.mistakes++;
+            if (answer.mistakes >= ASSESSMENT_CONFIG.MAX_TRIES) answer.revealed = true;
+        }
+
+        if (this.isAnswered(snap)) {
+            answer.ms = s.stepShownAt ? Date.now() - s.stepShownAt : null;
+            s.awaitingAnswer = false;
+        }
+        this.notify();
+        return answer;
+    },
+
+    // kind: 'alphabet' (highlight the letter in the grid) or 'equation' (show the calculation)
+    useHint(kind) {
+        const s = this.state;
+        const snap = this.currentStep();
+        if (!s.awaitingAnswer || !snap) return;
+        const answer = this.answerRecord(snap);
+        if (!answer.hints.includes(kind)) answer.hints.push(kind);
+        this.notify();
+    },
+
+    // Points per letter: 1 right first time without hints, 0.5 right after a
+    // mistake or a hint, 0 when the letter had to be shown. Null when nothing
+    // was answered (not an assessment).
+    assessmentStats(history = this.state.history) {
+        const stats = { letters: 0, firstTry: 0, mistakes: 0, hints: 0, revealed: 0, score: null };
+        let points = 0;
+        history.forEach(step => {
+            if (!step.answer || !step.result || step.result.isSpecial) return;
+            const a = step.answer;
+            stats.letters++;
+            stats.mistakes += a.mistakes;
+            stats.hints += a.hints.length;
+            if (a.revealed) stats.revealed++;
+            else if (a.correct && !a.mistakes && !a.hints.length) { stats.firstTry++; points += 1; }
+            else if (a.correct) points += 0.5;
+        });
+        if (!stats.letters) return null;
+        stats.score = Math.round(points / stats.letters * 100);
+        return stats;
+    },
+
+    predictionStats(history = this.state.history) {
+        const stats = { total: 0, correct: 0, wrong: 0, skipped: 0 };
+        history.forEach(step => {
+            if (!step.prediction) return;
+            stats.total++;
+            if (step.prediction.skipped) stats.skipped++;
+            else if (step.prediction.correct) stats.correct++;
+            else stats.wrong++;
+        });
+        const attempted = stats.correct + stats.wrong;
+        stats.accuracy = attempted ? Math.round(stats.correct / attempted * 100) : null;
+        return stats;
+    },
+
+    notify() {
+        const s = this.state;
+        this.emit('change', s, this.currentStep());
+    }
+});
+
+// ---------- Cryptanalysis ----------
+const Cryptanalysis = {
+    letterCounts(text) {
+        const counts = new Array(CONFIG.ALPHABET.length).fill(0);
+        for (const ch of text.toLowerCase()) {
+            const idx = CONFIG.ALPHABET.indexOf(ch);
+            if (idx !== -1) counts[idx]++;
+        }
+        return counts;
+    },
+
+    // Chi-squared distance from English letter frequencies: lower = more English-like
+    chiSquared(text) {
+        const counts = Cryptanalysis.letterCounts(text);
+        const total = counts.reduce((a, b) => a + b, 0);
+        if (!total) return Infinity;
+        return counts.reduce((sum, observed, i) => {
+            const expected = total * CONFIG.ENGLISH_FREQUENCIES[i] / 100;
+            return sum + ((observed - expected) ** 2) / expected;
+        }, 0);
+    },
+
+    rank(candidates) {
+        return candidates.slice().sort((a, b) => a.score - b.score);
+    }
+};
+
+// ---------- CodebreakerEngine ----------
+// Brute-force mission for an unknown Caesar key: each step tries the next shift
+const CodebreakerEngine = {
+    state: {
+        cipherText: "",
+        shift: -1,
+        candidates: [],
+        isPlaying: false,
+        timer: null
+    },
+
+    init(text) {
+        this.pause();
+        this.state = {
+            cipherText: text || "",
+            shift: -1,
+            candidates: [],
+            isPlaying: false,
+            timer: null
+        };
+        UIController.reset();
+        this.notifyUI();
+    },
+
+    nextStep() {
+        const s = CodebreakerEngine.state;
+        if (s.shift >= CONFIG.ALPHABET.length - 1) {
+            CodebreakerEngine.pause();
+            return;
+        }
+
+        s.shift++;
+        let text = '';
+        for (const ch of s.cipherText) text += CipherEngine.decryptChar(ch, s.shift).char;
+        s.candidates.push({ shift: s.shift, text, score: Cryptanalysis.chiSquared(text) });
+        CodebreakerEngine.notifyUI();
+
+        if (s.shift === CONFIG.ALPHABET.length - 1) {
+            CodebreakerEngine.pause();
+            UIController.showCodebreakerComplete(Cryptanalysis.rank(s.candidates)[0]);
+        }
+    },
+
+    prevStep() {
+        this.pause();
+        const s = this.state;
+        if (s.shift < 0) return;
+        s.candidates.pop();
+        s.shift--;
+        this.notifyUI();
+    },
+
+    play(interval = CONFIG.SPEED_LEVELS[2]) {
+        const s = this.state;
+        if (s.isPlaying || s.shift >= CONFIG.ALPHABET.length - 1) return;
+        s.isPlaying = true;
+        s.timer = setInterval(() => CodebreakerEngine.nextStep(), interval);
+        UIController.updatePlayButton(true);
+    },
+
+    pause() {
+        const s = this.state;
+        s.isPlaying = false;
+        if (s.timer) clearInterval(s.timer);
+        s.timer = null;
+        UIController.updatePlayButton(false);
+    },
+
+    reset() {
+        this.init(this.state.cipherText);
+    },
+
+    notifyUI() {
+        const s = this.state;
+        const current = s.candidates.length > 0 ? s.candidates[s.candidates.length - 1] : null;
+        UIController.updateCodebreaker(current, Cryptanalysis.rank(s.candidates), s.cipherText);
+        UIController.updateEncryptedVisualizer(s.cipherText, -1);
+        UIController.updateProgress(s.shift, CONFIG.ALPHABET.length);
+        if (current) A11y.announce(I18n.t('codebreaker.announce', { shift: current.shift, text: current.text }));
+    }
+};
+
+// ---------- WrapLine ----------
+// Number line view of one step: a marker starts on the letter's index and counts
+// `rawCalculation - index` places one at a time, jumping across the seam between
+// the last index and 0 whenever the count runs off either end. The count takes
+// most of the autoplay interval, so it lands before the next step starts.
+const WrapLine = {
+    MAX_HOPS: 60, // longer counts (large affine keys) go straight to the landing place
+    timer: null,
+    cells: [],
+
+    build(alphabet) {
+        this.stop();
+        const track = $id('wrapLineTrack');
+        if (!track) return;
+        track.innerHTML = '';
+        track.dir = 'ltr';
+        this.cells = alphabet.letters.map((letter, index) => {
+            const cell = document.createElement('div');
+            cell.className = 'wrap-cell';
+            const idx = document.createElement('span');
+            idx.className = 'idx';
+            idx.textContent = index;
+            cell.append(idx, letter);
+            track.appendChild(cell);
+            return cell;
+        });
+        this.caption('');
+    },
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    },
+
+    caption(text) {
+        const el = $id('wrapLineCaption');
+        if (el) el.textContent = text;
+    },
+
+    clear() {
+        this.stop();
+        this.cells.forEach(cell => cell.classList.remove('wrap-start', 'wrap-path', 'wrap-current', 'wrap-edge'));
+        const track = $id('wrapLineTrack');
+        if (track) track.classList.remove('wrapped');
+    },
+
+    // `hidden` shows only the starting place (Think Mode, Assessment Mode);
+    // a `duration` of 0 draws the whole count at once (calm mode)
+    show(snapshot, alphabet, { hidden = false, duration = 0 } = {}) {
+        this.clear();
+        if (!snapshot) return this.caption('');
+        const r = snapshot.result;
+        if (r.isSpecial) return this.caption(I18n.t('wrap.special', { char: snapshot.inputChar }));
+
+        const from = r.originalIndex;
+        const size = alphabet.size;
+        if (this.cells[from]) this.cells[from].classList.add('wrap-start', 'wrap-current');
+        if (hidden) return this.caption(I18n.t('wrap.hidden', { index: from }));
+
+        const distance = r.rawCalculation - from;
+        const hops = Math.abs(distance);
+        const dirStep = Math.sign(distance);
+        this.caption(I18n.t(distance < 0 ? 'wrap.countBack' : 'wrap.countOn', { count: hops, from }));
+
+        const land = () => {
+            this.cells.forEach(cell => cell.classList.remove('wrap-current'));
+            if (this.cells[r.newIndex]) this.cells[r.newIndex].classList.add('wrap-current');
+            this.caption(r.wrapped
+                ? I18n.t('wrap.wrapped', { raw: r.rawCalculation, size, index: r.newIndex, char: alphabet.letters[r.newIndex] })
+                : I18n.t('wrap.landed', { index: r.newIndex, char: alphabet.letters[r.newIndex] }));
+        };
+        const hop = (n) => {
+            const before = from + dirStep * (n - 1);
+            const pos = mod(before + dirStep, size);
+            // Crossing the seam: the count ran past one end and carries on from the other
+            if (Math.floor(before / size) !== Math.floor((before + dirStep) / size)) {
+                this.cells[0].classList.add('wrap-edge');
+                this.cells[size - 1].classList.add('wrap-edge');
+                $id('wrapLineTrack').classList.add('wrapped');
+            }
+            this.cells.forEach(cell => cell.classList.remove('wrap-current'));
+            this.cells[pos].classList.add('wrap-path', 'wrap-current');
+        };
+
+        if (hops > this.MAX_HOPS) return land();
+        if (!duration) {
+            for (let n = 1; n <= hops; n++) hop(n);
+            return land();
+        }
+        const delay = clamp(Math.floor(duration / (hops + 1)), 40, 250);
+        let n = 0;
+        const next = () => {
+            if (n >= hops) { this.timer = null; return land(); }
+            hop(++n);
+            this.timer = setTimeout(next, delay);
+        };
+        this.timer = setTimeout(next, delay);
+    }
+};
+
+// ---------- Presentation ----------
+// Projector mode. The presenter window keeps the controls (and works with a
+// clicker: Page Down / Page Up step); an audience window opened at
+// index.html#present shows the same mission in large type with no controls.
+// The windows talk over a BroadcastChannel: the presenter sends the engine
+// state after every change and the audience mirrors it with LoopEngine.follow.
+// Think Mode becomes a class poll: the teacher tallies the predictions students
+// call out, then reveals the answer on both screens.
+const Presentation = {
+    CHANNEL: 'spyschool_presentation',
+    AUDIENCE_HASH: '#present',
+    role: null, // null | 'presenter' | 'audience'
+    channel: null,
+    poll: null, // { iteration, votes: { index: count } } for the step being polled
+
+    isAudienceLink(hash) {
+        return hash === this.AUDIENCE_HASH;
+    },
+
+    open(role) {
+        this.close();
+        this.role = role;
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL);
+            this.channel.onmessage = (e) => this.receive(e.data || {});
+        }
+        document.body.classList.add('presenting');
+        document.body.classList.toggle('audience-view', role === 'audience');
+    },
+
+    close() {
+        if (this.channel) this.channel.close();
+        this.channel = null;
+        this.role = null;
+        this.poll = null;
+        document.body.classList.remove('presenting', 'audience-view');
+    },
+
+    post(message) {
+        if (this.channel) this.channel.postMessage(message);
+    },
+
+    start() {
+        this.open('presenter');
+        if ($id('presenterBar')) $id('presenterBar').classList.remove('hidden');
+        this.status(I18n.t(this.channel ? 'present.noAudience' : 'present.unsupported'));
+        UIController.updateSpeedLabel();
+        this.refresh();
+    },
+
+    stop() {
+        this.post({ type: 'end' });
+        this.close();
+        if ($id('presenterBar')) $id('presenterBar').classList.add('hidden');
+        this.refresh();
+    },
+
+    openAudience() {
+        window.open(location.pathname + location.search + this.AUDIENCE_HASH, 'spyschool_audience');
+    },
+
+    // The audience window skips the login and waits for the presenter
+    joinAudience() {
+        this.open('audience');
+        UIController.showScreen('decryptionScreen');
+        this.status(I18n.t('present.waiting'));
+        this.post({ type: 'hello' });
+    },
+
+    status(text) {
+        const el = $id(this.role === 'audience' ? 'audienceStatus' : 'presenterStatus');
+        if (!el) return;
+        el.textContent = text;
+        el.classList.toggle('hidden', !text);
+    },
+
+    // Draws the mission again so the poll replaces (or gives back) the Think Mode prompt
+    refresh() {
+        if (UIController.missionMode !== 'crack' && LoopEngine.state.chars.length) LoopEngine.notify();
+    },
+
+    // Presenter: after every engine change and every vote
+    broadcast() {
+        if (this.role !== 'presenter' || UIController.missionMode === 'crack') return;
+        const els = UIController.elements;
+        this.post({
+            type: 'state',
+            engine: LoopEngine.serialize(),
+            toggles: UIController.readToggles(),
+            speed: els.speedSlider ? els.speedSlider.value : null,
+            view: UIController.alphabetView,
+            locale: I18n.locale,
+            poll: this.poll
+        });
+    },
+
+    receive(message) {
+        if (this.role === 'presenter' && message.type === 'hello') {
+            this.status(I18n.t('present.connected'));
+            this.broadcast();
+        } else if (this.role === 'audience' && message.type === 'state') {
+            this.status('');
+            this.mirror(message);
+        } else if (this.role === 'audience' && message.type === 'end') {
+            this.status(I18n.t('present.ended'));
+        }
+    },
+
+    mirror(message) {
+        const els = UIController.elements;
+        if (message.locale && message.locale !== I18n.locale) I18n.setLocale(message.locale, false);
+        if (message.speed && els.speedSlider) els.speedSlider.value = message.speed;
+        if (message.view) UIController.setAlphabetView(message.view, false);
+        UIController.applyToggles(message.toggles);
+        this.poll = message.poll || null;
+        const engine = message.engine;
+        if (LoopEngine.follow(engine, message.toggles)) return;
+        CampaignController.fillConfig({ encrypted: engine.encryptedText, cipher: engine.cipher, key: engine.key, mode: engine.mode, alphabet: engine.alphabet });
+        UIController.startMission(UIController.readMissionConfig(), engine);
+    },
+
+    // Poll for the step on screen; a new step starts a new tally
+    pollFor(s) {
+        if (this.role === 'presenter' && s.waitingForReveal && (!this.poll || this.poll.iteration !== s.currentIndex)) {
+            this.poll = { iteration: s.currentIndex, votes: {} };
+        }
+        return this.poll && this.poll.iteration === s.currentIndex ? this.poll : null;
+    },
+
+    // A called-out prediction: an index, or a letter of the mission's alphabet
+    vote(value) {
+        const s = LoopEngine.state;
+        const text = String(value || '').trim();
+        if (!this.poll || !s.waitingForReveal || !text) return false;
+        const alphabet = Alphabet.resolve(s.alphabet);
+        let index = /^\d+$/.test(text) ? parseInt(text, 10) : -1;
+        if (index === -1 && Array.from(text).length === 1) index = Alphabet.locate(alphabet, text).index;
+        if (index < 0 || index >= alphabet.size) return false;
+        this.poll.votes[index] = (this.poll.votes[index] || 0) + 1;
+        LoopEngine.notify();
+        return true;
+    },
+
+    // The class answer is the most called-out index; no votes counts as skipped
+    reveal() {
+        const votes = this.poll ? this.poll.votes : {};
+        const ranked = Object.keys(votes).sort((a, b) => votes[b] - votes[a] || a - b);
+        LoopEngine.revealPrediction(ranked.length ? Number(ranked[0]) : NaN);
+    }
+};
+
+// ---------- OfflineApp ----------
+// Installs sw.js so the app opens without a network (browsers only allow that
+// on https:// or localhost). When sw.js finds a changed app file, or a new
+// sw.js is waiting, a banner offers to reload into it; the mission in progress
+// resumes from SessionStore.
+const OfflineApp = {
+    registration: null,
+    reloading: false,
+
+    init() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+        const reload = $id('btnUpdateReload');
+        if (reload) reload.addEventListener('click', () => this.applyUpdate());
+        const later = $id('btnUpdateLater');
+        if (later) later.addEventListener('click', () => this.showPrompt(false));
+
+        // Only a reload the user asked for; a first install takes over silently
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) location.reload();
+        });
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'UPDATED') this.showPrompt(true);
+        });
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            this.registration = registration;
+            if (registration.waiting && navigator.serviceWorker.controller) this.showPrompt(true);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showPrompt(true);
+                });
+            });
+        }).catch(e => console.warn('Service worker registration failed', e));
+    },
+
+    showPrompt(show) {
+        const banner = $id('updateBanner');
+        if (banner) banner.classList.toggle('hidden', !show);
+    },
+
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        this.showPrompt(false);
+        if (!waiting) return location.reload();
+        this.reloading = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+};
+
+// ---------- Printables ----------
+// Paper versions of a mission: a worksheet (alphabet index table, blank working
+// grid, answer key) and the completion certificate. Pages are built into
+// #printArea and printed with the browser's print dialog, which can also save
+// a PDF offline; everything else on the page is hidden while printing.
+const Printables = {
+    el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    },
+
+    table(headers, rows, className) {
+        const table = this.el('table', className);
+        const head = this.el('tr');
+        headers.forEach(h => head.appendChild(this.el('th', '', h)));
+        table.appendChild(head);
+        rows.forEach(r => {
+            const tr = this.el('tr', r.className || '');
+            r.cells.forEach(cell => tr.appendChild(this.el('td', '', cell)));
+            table.appendChild(tr);
+        });
+        return table;
+    },
+
+    // One entry per character; `key` is the raw key text, as typed or stored on a mission
+    steps(mission) {
+        const cipherId = CIPHERS[mission.cipher] ? mission.cipher : 'caesar';
+        const alphabet = Alphabet.resolve(mission.alphabet);
+        const key = CipherEngine.parseKey(cipherId, mission.key, alphabet);
+        const direction = mission.mode === 'encrypt' ? 'encrypt' : 'decrypt';
+        let letterIndex = 0;
+        return Array.from(String(mission.encrypted || '').normalize('NFC')).map(ch => {
+            const result = CipherEngine.transformChar(ch, key, true, { cipher: cipherId, direction, letterIndex, alphabet });
+            if (!result.isSpecial) letterIndex++;
+            return { char: ch, result };
+        });
+    },
+
+    // "pos - key" from "new_pos = (pos - key) % 26"
+    calculationLabel(cipher, key, direction, alphabet) {
+        return cipher.equation(key, direction, alphabet)
+            .replace(/^new_pos = /, '')
+            .replace(/\s*%\s*\d+$/, '')
+            .replace(/^\((.*)\)$/, '$1');
+    },
+
+    // The answer key page is for the Teacher Dashboard; students print without it
+    worksheet(mission, { answerKey = true } = {}) {
+        const cipherId = CIPHERS[mission.cipher] ? mission.cipher : 'caesar';
+        const cipher = CipherEngine.getCipher(cipherId);
+        const alphabet = Alphabet.resolve(mission.alphabet);
+        const key = CipherEngine.parseKey(cipherId, mission.key, alphabet);
+        const direction = mission.mode === 'encrypt' ? 'encrypt' : 'decrypt';
+        const steps = this.steps(mission);
+        const vigenere = cipherId === 'vigenere';
+        const page = this.el('div', 'print-page worksheet');
+
+        page.appendChild(this.el('h1', '', `Spy School Worksheet — ${mission.title || 'Practice Mission'}`));
+        page.appendChild(this.el('p', 'print-fields', 'Agent name: ______________________    Date: ____________'));
+        page.appendChild(this.el('p', '', `${direction === 'encrypt' ? 'Encrypt' : 'Decrypt'} this message with the ${cipher.name} cipher. Key: ${CipherEngine.formatKey(cipherId, key) || 'none'}. Rule: ${cipher.equation(key, direction, alphabet)}`));
+        page.appendChild(this.el('p', 'print-message', mission.encrypted));
+
+        // Alphabet index table, wrapped so long alphabets fit the page width
+        page.appendChild(this.el('h2', '', 'Alphabet Index'));
+        const perRow = 13;
+        for (let start = 0; start < alphabet.size; start += perRow) {
+            const letters = alphabet.letters.slice(start, start + perRow);
+            page.appendChild(this.table(letters.map((_, i) => String(start + i)), [{ cells: letters }], 'print-alphabet'));
+        }
+
+        const calc = this.calculationLabel(cipher, key, direction, alphabet);
+        const headers = ['#', 'Character'].concat(vigenere ? ['Key letter'] : [], ['Position', calc, `% ${alphabet.size}`, 'New letter']);
+        const row = (step, i, filled) => {
+            const r = step.result;
+            const keyCell = vigenere ? [r.isSpecial ? '—' : r.detail.keyLetter] : [];
+            if (r.isSpecial) return { className: 'special', cells: [String(i + 1), step.char].concat(keyCell, ['—', '—', '—', `${step.char} (copy)`]) };
+            const work = filled ? [String(r.originalIndex), String(r.rawCalculation), String(r.newIndex), r.char] : ['', '', '', ''];
+            return { cells: [String(i + 1), step.char].concat(keyCell, work) };
+        };
+
+        page.appendChild(this.el('h2', '', 'Working Grid'));
+        page.appendChild(this.table(headers, steps.map((s, i) => row(s, i, false)), 'print-grid'));
+        page.appendChild(this.el('p', 'print-fields', 'Message: ________________________________________________'));
+
+        const sheet = this.el('div');
+        sheet.appendChild(page);
+        if (!answerKey) return sheet;
+
+        const answers = this.el('div', 'print-page answer-key');
+        answers.appendChild(this.el('h1', '', `Answer Key — ${mission.title || 'Practice Mission'}`));
+        answers.appendChild(this.table(headers, steps.map((s, i) => row(s, i, true)), 'print-grid'));
+        answers.appendChild(this.el('p', 'print-message', steps.map(s => s.result.char).join('')));
+        sheet.appendChild(answers);
+        return sheet;
+    },
+
+    // details: { studentName, rank, missionTitle, promoted, date }
+    certificate(details) {
+        const page = this.el('div', 'print-page certificate');
+        page.appendChild(this.el('p', 'certificate-school', 'Spy School — Decryption Division'));
+        page.appendChild(this.el('h1', '', details.promoted ? 'Agent Promoted' : 'Mission Accomplished'));
+        page.appendChild(this.el('p', '', 'This certifies that'));
+        page.appendChild(this.el('p', 'certificate-name', details.studentName || 'Agent'));
+        page.appendChild(this.el('p', '', details.promoted ? 'has been promoted to the rank of' : 'holds the rank of'));
+        page.appendChild(this.el('p', 'certificate-rank', details.rank || DEFAULT_RANK));
+        if (details.missionTitle) page.appendChild(this.el('p', '', `for completing the mission "${details.missionTitle}".`));
+        page.appendChild(this.el('p', 'certificate-date', new Date(details.date || Date.now()).toLocaleDateString()));
+        page.appendChild(this.el('p', 'certificate-signature', 'Handler: ______________________'));
+        return page;
+    },
+
+    print(content) {
+        const area = $id('printArea');
+        if (!area) return;
+        area.innerHTML = '';
+        area.appendChild(content);
+        document.body.classList.add('printing');
+        const done = () => document.body.classList.remove('printing');
+        window.addEventListener('afterprint', done, { once: true });
+        try {
+            window.print();
+        } catch (e) {
+            console.warn('Print failed', e);
+            done();
+        }
+    }
+};
+
+// ---------- I18n ----------
+// Interface text for every screen, student and teacher, looked up by key with
+// {name} placeholders. A key missing from a locale falls back to English. Mission
+// content (messages, questions, cipher steps) is not translated.
+// `key.one` / `key.other` style entries are plural forms picked by plural().
+const LOCALES = {
+    en: {
+        name: 'English',
+        dir: 'ltr',
+        strings: {
+            'app.language': 'Language',
+            'app.listSeparator': ', ',
+            'a11y.calmMode': 'Calm Mode',
+            'a11y.calmOn': 'Calm mode on: high contrast, no animation, no auto-play.',
+            'a11y.calmOff': 'Calm mode off.',
+            'a11y.autoplayOff': 'Auto-play is off in calm mode',
+            'a11y.autoplayHint': 'Auto-play is off in calm mode. Use the right arrow to step.',
+            'dialog.notice': 'Notice',
+            'dialog.confirm': 'Please confirm',
+            'dialog.ok': 'OK',
+            'dialog.cancel': 'Cancel',
+
+            'login.title': 'Spy School — Classroom Access',
+            'login.classId': 'Class ID (Access Code)',
+            'login.classIdPlaceholder': 'Enter your class access code',
+            'login.studentId': 'Student Name / ID',
+            'login.studentIdPlaceholder': 'Enter your assigned Agent Name',
+            'login.missionCode': 'Mission Code (optional)',
+            'login.missionCodePlaceholder': 'Paste a code from your teacher',
+            'login.enter': 'ENTER MISSION',
+            'login.teacher': 'Teacher Dashboard',
+            'login.deniedTitle': 'Access denied',
+            'login.badClass': 'ACCESS DENIED: INCORRECT CLASS ID.\nPlease enter the access code your teacher gave you.',
+            'login.badStudent': 'ACCESS DENIED: IDENTITY UNVERIFIED.\nAgent "{name}" is not in the mission database.\nPlease contact your handler.',
+            'login.badCodeTitle': 'Mission code',
+            'login.badCode': 'INVALID MISSION CODE.\nCheck the code with your teacher, or clear it to continue.',
+
+            'diagnostic.title': '⚠️ SECURITY CLEARANCE REQUIRED',
+            'diagnostic.intro': 'Quick diagnostic — {count} very short questions.',
+            'diagnostic.check': 'Check',
+            'diagnostic.outputPlaceholder': 'Type the printed output',
+            'diagnostic.answerPlaceholder': 'Your answer',
+            'diagnostic.correct': 'CORRECT. ACCESSING NEXT NODE...',
+            'diagnostic.override': 'OVERRIDE ENGAGED. The answer was: {answer}',
+            'diagnostic.wrong': 'ACCESS DENIED. INCORRECT.',
+            'remedial.title': 'BRIEFING: REVIEW BEFORE YOUR MISSION',
+            'remedial.intro': 'A few ideas tripped you up. Read these notes, then continue.',
+            'remedial.continue': 'Continue to Mission',
+
+            'campaign.title': 'MISSION SELECT',
+            'campaign.rank': 'RANK: {rank}',
+            'campaign.missionRank': 'Rank: {rank}',
+            'campaign.locked': 'Complete the previous mission to unlock.',
+            'campaign.resume': 'Resume Mission',
+            'campaign.discard': 'Discard',
+            'campaign.inProgress': 'Mission in progress: {name} — character {current} of {total}.',
+            'campaign.practice': '{cipher} practice',
+            'campaign.freePractice': 'Free Practice (choose your own text and key)',
+            'campaign.logout': 'Switch Agent',
+            'campaign.sharedTitle': 'Shared mission',
+            'campaign.sharedBriefing': 'Set by your teacher.',
+
+            'mission.decryptTitle': 'MISSION: DECRYPTION PROTOCOL',
+            'mission.encryptTitle': 'MISSION: ENCRYPTION PROTOCOL',
+            'mission.crackTitle': 'MISSION: CODEBREAKER PROTOCOL',
+            'mission.mode': 'Mission',
+            'mission.decrypt': 'Decrypt',
+            'mission.encrypt': 'Encrypt',
+            'mission.crack': 'Codebreaker (unknown key)',
+            'mission.encryptedText': 'Encrypted Text',
+            'mission.secretMessage': 'Secret Message',
+            'mission.cipher': 'Cipher',
+            'mission.alphabet': 'Alphabet',
+            'mission.customAlphabet': 'Custom letters…',
+            'mission.customAlphabetLabel': 'Custom alphabet letters',
+            'mission.customAlphabetPlaceholder': 'e.g. 0123456789abcdef',
+            'mission.preserveCase': 'Preserve Case',
+            'mission.thinkMode': 'Think Mode',
+            'mission.explicitIndex': 'Show Explicit Index',
+            'mission.assessMode': 'Assessment Mode',
+            'mission.start': 'Start Mission',
+            'mission.share': 'Share Mission',
+            'mission.shareLink': 'Mission link',
+            'mission.shareCode': 'Mission code: {code}',
+            'key.caesar': 'Key',
+            'key.rot13': 'Key (fixed 13)',
+            'key.atbash': 'Key (none)',
+            'key.affine': 'Key (a, b)',
+            'key.vigenere': 'Keyword',
+            'key.affinePlaceholder': 'e.g. 5, 8',
+            'key.vigenerePlaceholder': 'e.g. lemon',
+
+            'inspector.region': 'Loop inspector',
+            'inspector.iteration': 'Iteration: {current} / {total}',
+            'inspector.current': 'Current: {char}',
+            'inspector.index': 'Index: {index}',
+            'inspector.explicitLetter': 'letter: "{char}" (encrypted[{i}])',
+            'inspector.explicitIndex': 'i: {i} (Index of "{char}")',
+            'inspector.special': 'Special Character: Keep as is.',
+            'inspector.predictionRequired': 'Prediction required — reveal to see calculation',
+            'inspector.result': 'Result:',
+            'inspector.decrypted': 'Decrypted:',
+            'inspector.encrypted': 'Encrypted:',
+
+            'think.before': 'Predict the ',
+            'think.emphasis': 'new index',
+            'think.after': ' for this letter and enter it:',
+            'think.inputLabel': 'Predicted new index',
+            'think.reveal': 'Reveal',
+            'think.skip': 'Skip',
+            'think.skipped': 'Prediction skipped.',
+            'think.correct': 'Nice! Prediction correct ({guess}).',
+            'think.wrong': 'Not quite — you said {guess}, expected {expected}.',
+            'think.summary': 'Think Mode accuracy: {correct}/{attempted} correct ({accuracy}), {skipped} skipped',
+
+            'assess.before': 'Type the ',
+            'assess.after': ' letter for',
+            'assess.decrypted': 'decrypted',
+            'assess.encrypted': 'encrypted',
+            'assess.inputLabel': 'Your letter',
+            'assess.check': 'Check',
+            'assess.hintAlphabet': 'Hint: highlight letter',
+            'assess.hintEquation': 'Hint: show calculation',
+            'assess.intro': 'Assessment: type each letter to score.',
+            'assess.yourTurn': 'Your turn: work out the letter. Use a hint if you are stuck.',
+            'assess.checkFirst': 'Type your letter and press Check before moving on.',
+            'assess.shown': 'The answer was "{char}".',
+            'assess.correct': 'Correct: "{char}".',
+            'assess.correctAfter.one': 'Correct: "{char}" after 1 wrong try.',
+            'assess.correctAfter.other': 'Correct: "{char}" after {count} wrong tries.',
+            'assess.notIt.one': 'Not quite — "{guess}" is not it. 1 try left.',
+            'assess.notIt.other': 'Not quite — "{guess}" is not it. {count} tries left.',
+            'assess.score': 'Assessment score: {score}% — {firstTry}/{letters} letters right first time',
+            'assess.mistakes.one': '1 mistake',
+            'assess.mistakes.other': '{count} mistakes',
+            'assess.hints.one': '1 hint',
+            'assess.hints.other': '{count} hints',
+            'assess.revealed': '{count} shown',
+            'assess.time': 'time {time}',
+
+            'announce.ready': 'Ready: {count} characters to {verb}.',
+            'announce.decrypt': 'decrypt',
+            'announce.encrypt': 'encrypt',
+            'announce.character': 'Character {current} of {total}: "{char}"',
+            'announce.special': 'is not in the alphabet, kept as is.',
+            'announce.index': 'index {index}.',
+            'announce.predict': 'Predict its new index.',
+            'announce.triesLeft.one': 'Not quite, 1 try left.',
+            'announce.triesLeft.other': 'Not quite, {count} tries left.',
+            'announce.typeLetter': 'Type the {verb} letter.',
+            'announce.becomes': 'index {index} becomes "{char}" index {newIndex}.',
+            'announce.predictionCorrect': 'Prediction correct.',
+            'announce.predictionWrong': 'Your prediction {guess} was wrong.',
+            'announce.answerShown': 'The answer was shown.',
+            'announce.answerCorrect': 'Correct.',
+
+            'trace.title': 'Python Trace',
+            'trace.start': 'Press Step Forward to run the first iteration.',
+            'trace.if': '"{char}" is in alphabet → the if branch ran.',
+            'trace.else': '"{char}" is not in alphabet → the else branch copied it unchanged.',
+            'trace.lowercase': 'The alphabet list only has lowercase letters.',
+
+            'timeline.label': 'Timeline',
+            'timeline.start': 'Start',
+            'timeline.character': 'Character {current} of {total}',
+
+            'wrap.view': 'Alphabet view',
+            'wrap.grid': 'Grid',
+            'wrap.line': 'Number line',
+            'wrap.countBack': 'Count back {count} from {from}',
+            'wrap.countOn': 'Count on {count} from {from}',
+            'wrap.landed': 'Lands on {index} ({char})',
+            'wrap.wrapped': '{raw} is off the line, so it wraps round: {raw} % {size} = {index} ({char})',
+            'wrap.hidden': 'Start at {index}. Where does it land?',
+            'wrap.special': '"{char}" is not in the alphabet, so it is kept as it is',
+
+            'present.start': '🖥 Present',
+            'present.toolbar': 'Presenter controls',
+            'present.openAudience': 'Open audience window',
+            'present.exit': '✕ Exit presentation',
+            'present.slower': '🐢 Slower',
+            'present.faster': '🐇 Faster',
+            'present.speed': 'Speed {speed} / {max}',
+            'present.noAudience': 'Open the audience window and drag it onto the projector.',
+            'present.connected': 'Audience window connected.',
+            'present.unsupported': 'This browser cannot link two windows; present from this one.',
+            'present.waiting': 'Waiting for the presenter…',
+            'present.ended': 'The presentation has ended.',
+            'poll.question': 'Class poll: where does this letter land?',
+            'poll.inputLabel': 'Prediction called out',
+            'poll.placeholder': 'index or letter',
+            'poll.add': '+ Add vote',
+            'poll.reveal': 'Reveal answer',
+            'poll.chip': '{index} ({char}) × {count}',
+            'poll.votes.one': '1 vote so far',
+            'poll.votes.other': '{count} votes so far',
+            'poll.result': 'Answer: {index} ({char}). {right} of {votes} votes were right.',
+            'poll.invalid': '"{value}" is not an index or a letter of this alphabet.',
+
+            'step.label': 'Step by',
+            'step.char': 'Character',
+            'step.word': 'Word',
+            'step.sentence': 'Sentence',
+            'step.end': 'To the end',
+            'chunk.summary': 'This step covered {characters}: {details}.',
+            'chunk.characters.one': '1 character',
+            'chunk.characters.other': '{count} characters',
+            'chunk.shifted.one': '1 letter shifted',
+            'chunk.shifted.other': '{count} letters shifted',
+            'chunk.kept.one': '1 special character kept',
+            'chunk.kept.other': '{count} special characters kept',
+            'chunk.wraps.one': '1 wrap-around',
+            'chunk.wraps.other': '{count} wrap-arounds',
+
+            'update.ready': 'A new version of Spy School is ready.',
+            'update.reload': 'Reload now',
+            'update.later': 'Later',
+            'storage.title': 'Storage almost full',
+            'storage.unsavedNotice.one': 'Your attempt could not be saved: this device is out of storage. Download it now and give the file to your teacher, or it is lost when this page closes.',
+            'storage.unsavedNotice.other': '{count} of your attempts could not be saved: this device is out of storage. Download them now and give the file to your teacher, or they are lost when this page closes.',
+            'storage.downloadUnsaved': 'Download my attempts',
+            'storage.dismiss': 'Not now',
+            'storage.usage': 'Browser storage on this device: {used} of about {budget} MB used.',
+            'storage.nearlyFull': 'Nearly full: export the attempt data, then delete classes you no longer need.',
+            'storage.unsaved.one': '1 attempt could not be saved; export now to keep it.',
+            'storage.unsaved.other': '{count} attempts could not be saved; export now to keep them.',
+            'storage.low': 'This device has used {used} of about {budget} MB for Spy School. Teacher: press OK to download the class data (JSON) now, then delete old classes or merge the file on another machine.',
+            'storage.failed.one': '1 attempt could not be saved: the device storage is full ({used} of about {budget} MB) and it is only kept until this page closes. Press OK to download the data for {classes}, including it.',
+            'storage.failed.other': '{count} attempts could not be saved: the device storage is full ({used} of about {budget} MB) and they are only kept until this page closes. Press OK to download the data for {classes}, including them.',
+
+            'codebreaker.region': 'Codebreaker',
+            'codebreaker.shift': 'Shift: {shift} / {max}',
+            'codebreaker.score': 'Chi-squared: {score}',
+            'codebreaker.best': 'Best candidates so far (lowest score = most English-like):',
+            'codebreaker.candidate': 'Key {shift}: {text} ({score})',
+            'codebreaker.done': 'ALL {count} SHIFTS TESTED.\nMost likely key: {shift}\n"{text}"',
+            'codebreaker.announce': 'Shift {shift}: "{text}"',
+
+            'controls.stepBack': '⏮ Step Back',
+            'controls.play': '▶ Auto-Play',
+            'controls.pause': '⏸ Pause',
+            'controls.stepForward': 'Step Forward ⏭',
+            'controls.reset': '⚠ Reset',
+            'controls.speed': 'Speed',
+            'controls.exportCSV': 'Export Class CSV',
+            'controls.exportJSON': 'Export JSON',
+            'controls.printWorksheet': 'Print Worksheet',
+            'worksheet.title': 'Worksheet',
+            'worksheet.needsKey': 'Worksheets need a known key. Choose Decrypt or Encrypt first.',
+
+            'complete.headline': 'MISSION COMPLETE.',
+            'complete.promoted': 'MISSION COMPLETE. AGENT PROMOTED TO {rank}.',
+            'complete.title': 'Mission debrief',
+            'complete.certificate': '🖨 Print Certificate',
+            'complete.certificatePromoted': '🖨 Print "Agent Promoted" Certificate',
+            'thonny.title': 'MISSION ACCOMPLISHED',
+            'thonny.intro': 'Manual alignment complete. Run this Python here, edit it, or copy it into Thonny to automate it.',
+            'thonny.codeLabel': 'Python program',
+            'thonny.run': '▶ Run',
+            'thonny.reset': 'Reset Code',
+            'thonny.note': 'Runs in the browser, no internet needed. Ctrl+Enter also runs.',
+            'thonny.finish': 'Finish & Return',
+            'thonny.noOutput': '(no output)',
+            'thonny.fixError': 'Fix the error above, then run again.',
+            'thonny.matches': '✔ Matches the loop inspector result.',
+            'thonny.differs': '✖ Loop inspector got "{expected}".',
+            'thonny.capitals': 'Capital letters are not in the lowercase alphabet list, so the program copies them unchanged.',
+
+            'teacher.title': 'Teacher Dashboard',
+            'teacher.pinPrompt': 'Enter the teacher PIN',
+            'teacher.pinChoose': 'Choose a teacher PIN (at least 4 digits)',
+            'teacher.pinTitle': 'Teacher PIN',
+            'teacher.pinTooShort': 'The teacher PIN must be at least 4 digits.',
+            'teacher.pinDenied': 'ACCESS DENIED: INCORRECT TEACHER PIN.',
+            'teacher.unlock': 'Unlock',
+            'teacher.back': 'Back to Login',
+            'teacher.backToDashboard': 'Back to Dashboard',
+            'teacher.classes': 'Classes',
+            'teacher.class': 'Class',
+            'teacher.openAnalytics': 'Class Analytics',
+            'teacher.openLive': 'Live View',
+            'teacher.deleteClass': 'Delete Class',
+            'teacher.deleteClassTitle': 'Delete class',
+            'teacher.deleteClassConfirm': 'Delete class {code} and its roster?',
+            'teacher.newCode': 'New Access Code',
+            'teacher.newCodePlaceholder': 'e.g. SPY-7B',
+            'teacher.className': 'Class Name',
+            'teacher.classNamePlaceholder': 'e.g. Year 7 Blue',
+            'teacher.addClass': 'Add Class',
+            'teacher.addClassTitle': 'Add class',
+            'teacher.badClassCode': 'Please enter a new, unused access code for the class.',
+            'teacher.roster': 'Roster',
+            'teacher.rosterOf.one': 'Roster: {name} — 1 student',
+            'teacher.rosterOf.other': 'Roster: {name} — {count} students',
+            'teacher.noClasses': 'No classes yet — add one above.',
+            'teacher.studentName': 'Student Name',
+            'teacher.studentNamePlaceholder': 'Agent name',
+            'teacher.addStudent': 'Add Student',
+            'teacher.remove': 'Remove',
+            'teacher.bulkImport': 'Bulk Import (one name per line, or CSV with names in the first column)',
+            'teacher.importPasted': 'Import Pasted List',
+            'teacher.rosterFile': 'Or CSV File',
+            'teacher.importRosterTitle': 'Import roster',
+            'teacher.rosterImported.one': 'Imported 1 new student into {code}.',
+            'teacher.rosterImported.other': 'Imported {count} new students into {code}.',
+            'teacher.missions': 'Campaign Missions',
+            'teacher.missionsIntro': 'Missions unlock in this order. Write the plain message; it is encrypted with the cipher and key you choose.',
+            'teacher.missionShare': 'Mission link and code',
+            'teacher.missionTitle': 'Title',
+            'teacher.missionTitlePlaceholder': 'e.g. Night Drop',
+            'teacher.missionCipher': 'Cipher',
+            'teacher.missionAlphabet': 'Alphabet',
+            'teacher.customAlphabet': 'Custom alphabet letters',
+            'teacher.customAlphabetPlaceholder': 'Letters in order',
+            'teacher.missionKey': 'Key',
+            'teacher.missionKeyPlaceholder': 'e.g. 7',
+            'teacher.missionRank': 'Rank Awarded',
+            'teacher.missionRankPlaceholder': 'e.g. FIELD AGENT',
+            'teacher.missionGraded': 'Graded (Assessment Mode)',
+            'teacher.missionBriefing': 'Briefing',
+            'teacher.missionBriefingPlaceholder': 'One line shown to students',
+            'teacher.missionPlain': 'Secret Message (plain text)',
+            'teacher.missionIncomplete': 'A mission needs a title and a secret message.',
+            'teacher.missionRankTag': 'rank {rank}',
+            'teacher.missionGradedTag': 'graded',
+            'teacher.addMission': 'Add Mission',
+            'teacher.addMissionTitle': 'Add mission',
+            'teacher.resetMissions': 'Restore Built-in Campaign',
+            'teacher.resetMissionsTitle': 'Reset missions',
+            'teacher.resetMissionsConfirm': 'Replace your missions with the built-in campaign?',
+            'teacher.share': 'Share',
+            'teacher.shareCode': 'Code: {code}',
+            'teacher.attempts': 'Attempt Data',
+            'teacher.exportCSV': 'Export CSV',
+            'teacher.exportJSON': 'Export JSON',
+            'teacher.mergeFiles': 'Merge Files From Other Machines (JSON or CSV)',
+            'teacher.pull': 'Pull From Sync',
+            'teacher.pullTitle': 'Pull attempts',
+            'teacher.pullFailed': 'Could not fetch attempts: {error}',
+            'teacher.importAttemptsTitle': 'Import attempts',
+            'teacher.noAttempts': 'No attempts found for this class.',
+            'teacher.theServer': 'the classroom server',
+            'teacher.sync': 'Classroom Sync',
+            'teacher.syncRun': 'Set this on every classroom device. Run',
+            'teacher.syncWhere': 'on the teacher machine; devices that open its address use it automatically to share attempts and live progress.',
+            'teacher.transport': 'Transport',
+            'teacher.serverUrl': 'Server Address',
+            'teacher.serverUrlPlaceholder': "e.g. http://192.168.1.20:8787 (blank = this page's server)",
+            'teacher.saveSync': 'Save',
+            'sync.local': 'This device only',
+            'sync.http': 'Classroom server (HTTP)',
+            'sync.localStatus': 'Attempts stay on this device. Use export/merge or a classroom server to combine them.',
+            'sync.sending': 'Sending attempts and live progress to {url}.',
+            'sync.reachable': 'Server reachable.',
+            'sync.unreachable': 'Server not reachable — attempts will queue on each device.',
+            'merge.added.one': 'Merged 1 new attempt into {code}.',
+            'merge.added.other': 'Merged {count} new attempts into {code}.',
+            'merge.duplicates.one': 'Skipped 1 duplicate.',
+            'merge.duplicates.other': 'Skipped {count} duplicates.',
+            'merge.invalid.one': 'Ignored 1 record that is not an attempt.',
+            'merge.invalid.other': 'Ignored {count} records that are not attempts.',
+            'merge.historyDropped.one': 'Storage is nearly full: 1 attempt was kept without its step history.',
+            'merge.historyDropped.other': 'Storage is nearly full: {count} attempts were kept without their step history.',
+            'merge.unreadable': 'Could not read: {files}',
+            'merge.unsaved': 'Could not save (device storage is full): {files}',
+
+            'live.title': 'Live View',
+            'live.titleFor': 'Live View — {name}',
+            'live.unreachable': 'Could not reach the classroom server: {error}',
+            'live.freePractice': 'Free practice',
+            'live.predicting': '(predicting)',
+            'live.now': 'now',
+            'live.ago': '{time} ago',
+            'live.active.one': '1 student active',
+            'live.active.other': '{count} students active',
+            'live.updated': 'updated {time}',
+
+            'analytics.title': 'Class Analytics',
+            'analytics.titleFor': 'Class Analytics — {name}',
+            'analytics.students': 'Students',
+            'analytics.chars': 'Most Missed Characters',
+            'analytics.wrap': 'Wrap-Around Steps',
+            'analytics.completed.one': '{done} of 1 student completed',
+            'analytics.completed.other': '{done} of {count} students completed',
+            'analytics.recorded.one': '1 attempt recorded',
+            'analytics.recorded.other': '{count} attempts recorded',
+            'analytics.status.completed': 'Completed',
+            'analytics.status.inProgress': 'In progress',
+            'analytics.status.notStarted': 'Not started',
+            'analytics.accuracy': '{correct}/{attempted} ({percent})',
+            'analytics.skipped': '{count} skipped',
+            'analytics.assessment': '{score}% ({firstTry}/{letters} first try)',
+            'analytics.diagnostic': '{tries} tries / {questions} questions',
+            'analytics.remedial': '(remedial)',
+            'analytics.wrapRow': 'Wrap-around (raw result outside the alphabet)',
+            'analytics.plainRow': 'No wrap-around',
+            'analytics.noData': 'No data yet.',
+            'column.student': 'Student',
+            'column.status': 'Status',
+            'column.attempts': 'Attempts',
+            'column.timeSpent': 'Time Spent',
+            'column.mistakes': 'Mistakes',
+            'column.predictions': 'Think Mode Predictions',
+            'column.assessment': 'Latest Assessment',
+            'column.diagnostic': 'Diagnostic',
+            'column.character': 'Character',
+            'column.timesSeen': 'Times Seen',
+            'column.stepType': 'Step Type',
+            'column.steps': 'Steps',
+            'column.mistakeRate': 'Mistake Rate',
+            'column.mission': 'Mission',
+            'column.iteration': 'Iteration',
+            'column.lastSeen': 'Last Seen'
+        }
+    },
+
+    es: {
+        name: 'Español',
+        dir: 'ltr',
+        strings: {
+            'app.language': 'Idioma',
+            'a11y.calmMode': 'Modo tranquilo',
+            'a11y.calmOn': 'Modo tranquilo activado: alto contraste, sin animaciones ni reproducción automática.',
+            'a11y.calmOff': 'Modo tranquilo desactivado.',
+            'a11y.autoplayOff': 'La reproducción automática está desactivada en el modo tranquilo',
+            'a11y.autoplayHint': 'La reproducción automática está desactivada en el modo tranquilo. Usa la flecha derecha para avanzar.',
+            'dialog.notice': 'Aviso',
+            'dialog.confirm': 'Confirma, por favor',
+            'dialog.ok': 'Aceptar',
+            'dialog.cancel': 'Cancelar',
+
+            'login.title': 'Escuela de Espías — Acceso al aula',
+            'login.classId': 'ID de la clase (código de acceso)',
+            'login.classIdPlaceholder': 'Escribe el código de acceso de tu clase',
+            'login.studentId': 'Nombre / ID del estudiante',
+            'login.studentIdPlaceholder': 'Escribe tu nombre de agente',
+            'login.missionCode': 'Código de misión (opcional)',
+            'login.missionCodePlaceholder': 'Pega un código de tu profesor',
+            'login.enter': 'ENTRAR EN LA MISIÓN',
+            'login.teacher': 'Panel del profesor',
+            'login.deniedTitle': 'Acceso denegado',
+            'login.badClass': 'ACCESO DENEGADO: ID DE CLASE INCORRECTO.\nEscribe el código de acceso que te dio tu profesor.',
+            'login.badStudent': 'ACCESO DENEGADO: IDENTIDAD NO VERIFICADA.\nEl agente "{name}" no está en la base de datos de misiones.\nContacta con tu enlace.',
+            'login.badCodeTitle': 'Código de misión',
+            'login.badCode': 'CÓDIGO DE MISIÓN NO VÁLIDO.\nRevisa el código con tu profesor o bórralo para continuar.',
+
+            'diagnostic.title': '⚠️ SE REQUIERE AUTORIZACIÓN DE SEGURIDAD',
+            'diagnostic.intro': 'Diagnóstico rápido — {count} preguntas muy cortas.',
+            'diagnostic.check': 'Comprobar',
+            'diagnostic.outputPlaceholder': 'Escribe lo que se imprime',
+            'diagnostic.answerPlaceholder': 'Tu respuesta',
+            'diagnostic.correct': 'CORRECTO. ACCEDIENDO AL SIGUIENTE NODO...',
+            'diagnostic.override': 'ANULACIÓN ACTIVADA. La respuesta era: {answer}',
+            'diagnostic.wrong': 'ACCESO DENEGADO. INCORRECTO.',
+            'remedial.title': 'INFORME: REPASA ANTES DE TU MISIÓN',
+            'remedial.intro': 'Algunas ideas te costaron. Lee estas notas y después continúa.',
+            'remedial.continue': 'Continuar a la misión',
+
+            'campaign.title': 'SELECCIÓN DE MISIÓN',
+            'campaign.rank': 'RANGO: {rank}',
+            'campaign.missionRank': 'Rango: {rank}',
+            'campaign.locked': 'Completa la misión anterior para desbloquearla.',
+            'campaign.resume': 'Reanudar misión',
+            'campaign.discard': 'Descartar',
+            'campaign.inProgress': 'Misión en curso: {name} — carácter {current} de {total}.',
+            'campaign.practice': 'Práctica de {cipher}',
+            'campaign.freePractice': 'Práctica libre (elige tu propio texto y clave)',
+            'campaign.logout': 'Cambiar de agente',
+            'campaign.sharedTitle': 'Misión compartida',
+            'campaign.sharedBriefing': 'Preparada por tu profesor.',
+
+            'mission.decryptTitle': 'MISIÓN: PROTOCOLO DE DESCIFRADO',
+            'mission.encryptTitle': 'MISIÓN: PROTOCOLO DE CIFRADO',
+            'mission.crackTitle': 'MISIÓN: PROTOCOLO DE DESCODIFICACIÓN',
+            'mission.mode': 'Misión',
+            'mission.decrypt': 'Descifrar',
+            'mission.encrypt': 'Cifrar',
+            'mission.crack': 'Descodificador (clave desconocida)',
+            'mission.encryptedText': 'Texto cifrado',
+            'mission.secretMessage': 'Mensaje secreto',
+            'mission.cipher': 'Cifrado',
+            'mission.alphabet': 'Alfabeto',
+            'mission.customAlphabet': 'Letras personalizadas…',
+            'mission.customAlphabetLabel': 'Letras del alfabeto personalizado',
+            'mission.customAlphabetPlaceholder': 'p. ej. 0123456789abcdef',
+            'mission.preserveCase': 'Mantener mayúsculas',
+            'mission.thinkMode': 'Modo pensar',
+            'mission.explicitIndex': 'Mostrar índice explícito',
+            'mission.assessMode': 'Modo evaluación',
+            'mission.start': 'Empezar misión',
+            'mission.share': 'Compartir misión',
+            'mission.shareLink': 'Enlace de la misión',
+            'mission.shareCode': 'Código de misión: {code}',
+            'key.caesar': 'Clave',
+            'key.rot13': 'Clave (fija 13)',
+            'key.atbash': 'Clave (ninguna)',
+            'key.affine': 'Clave (a, b)',
+            'key.vigenere': 'Palabra clave',
+            'key.affinePlaceholder': 'p. ej. 5, 8',
+            'key.vigenerePlaceholder': 'p. ej. limón',
+
+            'inspector.region': 'Inspector del bucle',
+            'inspector.iteration': 'Iteración: {current} / {total}',
+            'inspector.current': 'Actual: {char}',
+            'inspector.index': 'Índice: {index}',
+            'inspector.explicitLetter': 'letra: "{char}" (encrypted[{i}])',
+            'inspector.explicitIndex': 'i: {i} (índice de "{char}")',
+            'inspector.special': 'Carácter especial: se deja igual.',
+            'inspector.predictionRequired': 'Se necesita una predicción — revela para ver el cálculo',
+            'inspector.result': 'Resultado:',
+            'inspector.decrypted': 'Descifrado:',
+            'inspector.encrypted': 'Cifrado:',
+
+            'think.before': 'Predice el ',
+            'think.emphasis': 'nuevo índice',
+            'think.after': ' de esta letra y escríbelo:',
+            'think.inputLabel': 'Nuevo índice previsto',
+            'think.reveal': 'Revelar',
+            'think.skip': 'Saltar',
+            'think.skipped': 'Predicción saltada.',
+            'think.correct': '¡Bien! Predicción correcta ({guess}).',
+            'think.wrong': 'Casi — dijiste {guess}, se esperaba {expected}.',
+            'think.summary': 'Precisión en modo pensar: {correct}/{attempted} correctas ({accuracy}), {skipped} saltadas',
+
+            'assess.before': 'Escribe la letra ',
+            'assess.after': ' para',
+            'assess.decrypted': 'descifrada',
+            'assess.encrypted': 'cifrada',
+            'assess.inputLabel': 'Tu letra',
+            'assess.check': 'Comprobar',
+            'assess.hintAlphabet': 'Pista: resaltar letra',
+            'assess.hintEquation': 'Pista: mostrar cálculo',
+            'assess.intro': 'Evaluación: escribe cada letra para puntuar.',
+            'assess.yourTurn': 'Tu turno: calcula la letra. Usa una pista si te atascas.',
+            'assess.checkFirst': 'Escribe tu letra y pulsa Comprobar antes de seguir.',
+            'assess.shown': 'La respuesta era "{char}".',
+            'assess.correct': 'Correcto: "{char}".',
+            'assess.correctAfter.one': 'Correcto: "{char}" tras 1 intento fallido.',
+            'assess.correctAfter.other': 'Correcto: "{char}" tras {count} intentos fallidos.',
+            'assess.notIt.one': 'Casi — "{guess}" no es. Queda 1 intento.',
+            'assess.notIt.other': 'Casi — "{guess}" no es. Quedan {count} intentos.',
+            'assess.score': 'Puntuación de la evaluación: {score}% — {firstTry}/{letters} letras bien a la primera',
+            'assess.mistakes.one': '1 error',
+            'assess.mistakes.other': '{count} errores',
+            'assess.hints.one': '1 pista',
+            'assess.hints.other': '{count} pistas',
+            'assess.revealed': '{count} mostradas',
+            'assess.time': 'tiempo {time}',
+
+            'announce.ready': 'Listo: {count} caracteres para {verb}.',
+            'announce.decrypt': 'descifrar',
+            'announce.encrypt': 'cifrar',
+            'announce.character': 'Carácter {current} de {total}: "{char}"',
+            'announce.special': 'no está en el alfabeto, se deja igual.',
+            'announce.index': 'índice {index}.',
+            'announce.predict': 'Predice su nuevo índice.',
+            'announce.triesLeft.one': 'Casi, queda 1 intento.',
+            'announce.triesLeft.other': 'Casi, quedan {count} intentos.',
+            'announce.typeLetter': 'Escribe la letra {verb}.',
+            'announce.becomes': 'el índice {index} pasa a ser "{char}", índice {newIndex}.',
+            'announce.predictionCorrect': 'Predicción correcta.',
+            'announce.predictionWrong': 'Tu predicción {guess} era incorrecta.',
+            'announce.answerShown': 'Se mostró la respuesta.',
+            'announce.answerCorrect': 'Correcto.',
+
+            'trace.title': 'Traza de Python',
+            'trace.start': 'Pulsa Paso adelante para ejecutar la primera iteración.',
+            'trace.if': '"{char}" está en alphabet → se ejecutó la rama if.',
+            'trace.else': '"{char}" no está en alphabet → la rama else lo copió sin cambios.',
+            'trace.lowercase': 'La lista alphabet solo tiene letras minúsculas.',
+
+            'timeline.label': 'Línea de tiempo',
+            'timeline.start': 'Inicio',
+            'timeline.character': 'Carácter {current} de {total}',
+
+            'wrap.view': 'Vista del alfabeto',
+            'wrap.grid': 'Cuadrícula',
+            'wrap.line': 'Recta numérica',
+            'wrap.countBack': 'Cuenta {count} hacia atrás desde {from}',
+            'wrap.countOn': 'Cuenta {count} hacia delante desde {from}',
+            'wrap.landed': 'Llega a {index} ({char})',
+            'wrap.wrapped': '{raw} se sale de la recta, así que da la vuelta: {raw} % {size} = {index} ({char})',
+            'wrap.hidden': 'Empieza en {index}. ¿Dónde llegará?',
+            'wrap.special': '"{char}" no está en el alfabeto, así que se queda igual',
+
+            'present.start': '🖥 Presentar',
+            'present.toolbar': 'Controles del presentador',
+            'present.openAudience': 'Abrir ventana del público',
+            'present.exit': '✕ Salir de la presentación',
+            'present.slower': '🐢 Más lento',
+            'present.faster': '🐇 Más rápido',
+            'present.speed': 'Velocidad {speed} / {max}',
+            'present.noAudience': 'Abre la ventana del público y arrástrala al proyector.',
+            'present.connected': 'Ventana del público conectada.',
+            'present.unsupported': 'Este navegador no puede enlazar dos ventanas; presenta desde esta.',
+            'present.waiting': 'Esperando al presentador…',
+            'present.ended': 'La presentación ha terminado.',
+            'poll.question': 'Encuesta de clase: ¿dónde cae esta letra?',
+            'poll.inputLabel': 'Predicción dicha en voz alta',
+            'poll.placeholder': 'índice o letra',
+            'poll.add': '+ Añadir voto',
+            'poll.reveal': 'Revelar respuesta',
+            'poll.chip': '{index} ({char}) × {count}',
+            'poll.votes.one': '1 voto hasta ahora',
+            'poll.votes.other': '{count} votos hasta ahora',
+            'poll.result': 'Respuesta: {index} ({char}). {right} de {votes} votos acertaron.',
+            'poll.invalid': '"{value}" no es un índice ni una letra de este alfabeto.',
+
+            'step.label': 'Avanzar por',
+            'step.char': 'Carácter',
+            'step.word': 'Palabra',
+            'step.sentence': 'Frase',
+            'step.end': 'Hasta el final',
+            'chunk.summary': 'Este paso recorrió {characters}: {details}.',
+            'chunk.characters.one': '1 carácter',
+            'chunk.characters.other': '{count} caracteres',
+            'chunk.shifted.one': '1 letra desplazada',
+            'chunk.shifted.other': '{count} letras desplazadas',
+            'chunk.kept.one': '1 carácter especial sin cambios',
+            'chunk.kept.other': '{count} caracteres especiales sin cambios',
+            'chunk.wraps.one': '1 vuelta al principio',
+            'chunk.wraps.other': '{count} vueltas al principio',
+
+            'update.ready': 'Hay una nueva versión de Spy School lista.',
+            'update.reload': 'Recargar ahora',
+            'update.later': 'Más tarde',
+            'storage.title': 'Almacenamiento casi lleno',
+            'storage.unsavedNotice.one': 'No se pudo guardar tu intento: este dispositivo no tiene espacio. Descárgalo ahora y entrega el archivo a tu docente, o se perderá al cerrar esta página.',
+            'storage.unsavedNotice.other': 'No se pudieron guardar {count} de tus intentos: este dispositivo no tiene espacio. Descárgalos ahora y entrega el archivo a tu docente, o se perderán al cerrar esta página.',
+            'storage.downloadUnsaved': 'Descargar mis intentos',
+            'storage.dismiss': 'Ahora no',
+            'storage.usage': 'Almacenamiento del navegador en este dispositivo: {used} de unos {budget} MB usados.',
+            'storage.nearlyFull': 'Casi lleno: exporta los datos de intentos y después borra las clases que ya no necesites.',
+            'storage.unsaved.one': 'No se pudo guardar 1 intento; expórtalo ahora para conservarlo.',
+            'storage.unsaved.other': 'No se pudieron guardar {count} intentos; expórtalos ahora para conservarlos.',
+            'storage.low': 'Este dispositivo ha usado {used} de unos {budget} MB para Spy School. Docente: pulsa Aceptar para descargar ahora los datos de la clase (JSON) y después borra clases antiguas o combina el archivo en otro equipo.',
+            'storage.failed.one': 'No se pudo guardar 1 intento: el almacenamiento del dispositivo está lleno ({used} de unos {budget} MB) y solo se conserva hasta que se cierre esta página. Pulsa Aceptar para descargar los datos de {classes}, incluido este intento.',
+            'storage.failed.other': 'No se pudieron guardar {count} intentos: el almacenamiento del dispositivo está lleno ({used} de unos {budget} MB) y solo se conservan hasta que se cierre esta página. Pulsa Aceptar para descargar los datos de {classes}, incluidos estos intentos.',
+
+            'codebreaker.region': 'Descodificador',
+            'codebreaker.shift': 'Desplazamiento: {shift} / {max}',
+            'codebreaker.score': 'Chi cuadrado: {score}',
+            'codebreaker.best': 'Mejores candidatos hasta ahora (menor puntuación = más parecido al inglés):',
+            'codebreaker.candidate': 'Clave {shift}: {text} ({score})',
+            'codebreaker.done': 'PROBADOS LOS {count} DESPLAZAMIENTOS.\nClave más probable: {shift}\n"{text}"',
+            'codebreaker.announce': 'Desplazamiento {shift}: "{text}"',
+
+            'controls.stepBack': '⏮ Paso atrás',
+            'controls.play': '▶ Reproducir',
+            'controls.pause': '⏸ Pausa',
+            'controls.stepForward': 'Paso adelante ⏭',
+            'controls.reset': '⚠ Reiniciar',
+            'controls.speed': 'Velocidad',
+            'controls.exportCSV': 'Exportar CSV de la clase',
+            'controls.exportJSON': 'Exportar JSON',
+            'controls.printWorksheet': 'Imprimir ficha',
+            'worksheet.title': 'Ficha',
+            'worksheet.needsKey': 'Las fichas necesitan una clave conocida. Elige primero Descifrar o Cifrar.',
+
+            'complete.headline': 'MISIÓN CUMPLIDA.',
+            'complete.promoted': 'MISIÓN CUMPLIDA. AGENTE ASCENDIDO A {rank}.',
+            'complete.title': 'Informe de la misión',
+            'complete.certificate': '🖨 Imprimir certificado',
+            'complete.certificatePromoted': '🖨 Imprimir certificado de "Agente ascendido"',
+            'thonny.title': 'MISIÓN CUMPLIDA',
+            'thonny.intro': 'Alineación manual completa. Ejecuta este Python aquí, modifícalo o cópialo en Thonny para automatizarlo.',
+            'thonny.codeLabel': 'Programa en Python',
+            'thonny.run': '▶ Ejecutar',
+            'thonny.reset': 'Restaurar código',
+            'thonny.note': 'Se ejecuta en el navegador, sin internet. Ctrl+Intro también lo ejecuta.',
+            'thonny.finish': 'Terminar y volver',
+            'thonny.noOutput': '(sin salida)',
+            'thonny.fixError': 'Corrige el error de arriba y vuelve a ejecutar.',
+            'thonny.matches': '✔ Coincide con el resultado del inspector del bucle.',
+            'thonny.differs': '✖ El inspector del bucle obtuvo "{expected}".',
+            'thonny.capitals': 'Las mayúsculas no están en la lista del alfabeto en minúsculas, así que el programa las copia sin cambios.',
+
+            'teacher.title': 'Panel del profesor',
+            'teacher.pinPrompt': 'Introduce el PIN del profesor',
+            'teacher.pinChoose': 'Elige un PIN de profesor (al menos 4 dígitos)',
+            'teacher.pinTitle': 'PIN del profesor',
+            'teacher.pinTooShort': 'El PIN del profesor debe tener al menos 4 dígitos.',
+            'teacher.pinDenied': 'ACCESO DENEGADO: PIN DE PROFESOR INCORRECTO.',
+            'teacher.unlock': 'Desbloquear',
+            'teacher.back': 'Volver al inicio de sesión',
+            'teacher.backToDashboard': 'Volver al panel',
+            'teacher.classes': 'Clases',
+            'teacher.class': 'Clase',
+            'teacher.openAnalytics': 'Análisis de la clase',
+            'teacher.openLive': 'Vista en directo',
+            'teacher.deleteClass': 'Eliminar clase',
+            'teacher.deleteClassTitle': 'Eliminar clase',
+            'teacher.deleteClassConfirm': '¿Eliminar la clase {code} y su lista de alumnos?',
+            'teacher.newCode': 'Nuevo código de acceso',
+            'teacher.newCodePlaceholder': 'p. ej. SPY-7B',
+            'teacher.className': 'Nombre de la clase',
+            'teacher.classNamePlaceholder': 'p. ej. 1.º ESO Azul',
+            'teacher.addClass': 'Añadir clase',
+            'teacher.addClassTitle': 'Añadir clase',
+            'teacher.badClassCode': 'Introduce para la clase un código de acceso nuevo que no esté en uso.',
+            'teacher.roster': 'Lista de alumnos',
+            'teacher.rosterOf.one': 'Lista de alumnos: {name} — 1 alumno',
+            'teacher.rosterOf.other': 'Lista de alumnos: {name} — {count} alumnos',
+            'teacher.noClasses': 'Todavía no hay clases: añade una arriba.',
+            'teacher.studentName': 'Nombre del alumno',
+            'teacher.studentNamePlaceholder': 'Nombre de agente',
+            'teacher.addStudent': 'Añadir alumno',
+            'teacher.remove': 'Quitar',
+            'teacher.bulkImport': 'Importación masiva (un nombre por línea, o CSV con los nombres en la primera columna)',
+            'teacher.importPasted': 'Importar lista pegada',
+            'teacher.rosterFile': 'O archivo CSV',
+            'teacher.importRosterTitle': 'Importar alumnos',
+            'teacher.rosterImported.one': 'Se importó 1 alumno nuevo en {code}.',
+            'teacher.rosterImported.other': 'Se importaron {count} alumnos nuevos en {code}.',
+            'teacher.missions': 'Misiones de la campaña',
+            'teacher.missionsIntro': 'Las misiones se desbloquean en este orden. Escribe el mensaje en claro; se cifra con el cifrado y la clave que elijas.',
+            'teacher.missionShare': 'Enlace y código de la misión',
+            'teacher.missionTitle': 'Título',
+            'teacher.missionTitlePlaceholder': 'p. ej. Entrega nocturna',
+            'teacher.missionCipher': 'Cifrado',
+            'teacher.missionAlphabet': 'Alfabeto',
+            'teacher.customAlphabet': 'Letras del alfabeto personalizado',
+            'teacher.customAlphabetPlaceholder': 'Letras en orden',
+            'teacher.missionKey': 'Clave',
+            'teacher.missionKeyPlaceholder': 'p. ej. 7',
+            'teacher.missionRank': 'Rango otorgado',
+            'teacher.missionRankPlaceholder': 'p. ej. AGENTE DE CAMPO',
+            'teacher.missionGraded': 'Calificada (modo evaluación)',
+            'teacher.missionBriefing': 'Instrucciones',
+            'teacher.missionBriefingPlaceholder': 'Una línea que ven los alumnos',
+            'teacher.missionPlain': 'Mensaje secreto (texto en claro)',
+            'teacher.missionIncomplete': 'Una misión necesita un título y un mensaje secreto.',
+            'teacher.missionRankTag': 'rango {rank}',
+            'teacher.missionGradedTag': 'calificada',
+            'teacher.addMission': 'Añadir misión',
+            'teacher.addMissionTitle': 'Añadir misión',
+            'teacher.resetMissions': 'Restaurar la campaña incluida',
+            'teacher.resetMissionsTitle': 'Restaurar misiones',
+            'teacher.resetMissionsConfirm': '¿Sustituir tus misiones por la campaña incluida?',
+            'teacher.share': 'Compartir',
+            'teacher.shareCode': 'Código: {code}',
+            'teacher.attempts': 'Datos de intentos',
+            'teacher.exportCSV': 'Exportar CSV',
+            'teacher.exportJSON': 'Exportar JSON',
+            'teacher.mergeFiles': 'Combinar archivos de otros equipos (JSON o CSV)',
+            'teacher.pull': 'Traer de la sincronización',
+            'teacher.pullTitle': 'Traer intentos',
+            'teacher.pullFailed': 'No se pudieron obtener los intentos: {error}',
+            'teacher.importAttemptsTitle': 'Importar intentos',
+            'teacher.noAttempts': 'No hay intentos de esta clase.',
+            'teacher.theServer': 'el servidor del aula',
+            'teacher.sync': 'Sincronización del aula',
+            'teacher.syncRun': 'Configúralo en cada dispositivo del aula. Ejecuta',
+            'teacher.syncWhere': 'en el equipo del profesor; los dispositivos que abren su dirección lo usan automáticamente para compartir intentos y el progreso en directo.',
+            'teacher.transport': 'Transporte',
+            'teacher.serverUrl': 'Dirección del servidor',
+            'teacher.serverUrlPlaceholder': 'p. ej. http://192.168.1.20:8787 (vacío = el servidor de esta página)',
+            'teacher.saveSync': 'Guardar',
+            'sync.local': 'Solo este dispositivo',
+            'sync.http': 'Servidor del aula (HTTP)',
+            'sync.localStatus': 'Los intentos se quedan en este dispositivo. Usa exportar/combinar o un servidor del aula para reunirlos.',
+            'sync.sending': 'Enviando intentos y progreso en directo a {url}.',
+            'sync.reachable': 'Servidor accesible.',
+            'sync.unreachable': 'Servidor no accesible: los intentos esperarán en cada dispositivo.',
+            'merge.added.one': 'Se combinó 1 intento nuevo en {code}.',
+            'merge.added.other': 'Se combinaron {count} intentos nuevos en {code}.',
+            'merge.duplicates.one': 'Se omitió 1 duplicado.',
+            'merge.duplicates.other': 'Se omitieron {count} duplicados.',
+            'merge.invalid.one': 'Se ignoró 1 registro que no es un intento.',
+            'merge.invalid.other': 'Se ignoraron {count} registros que no son intentos.',
+            'merge.historyDropped.one': 'El almacenamiento está casi lleno: 1 intento se guardó sin su historial de pasos.',
+            'merge.historyDropped.other': 'El almacenamiento está casi lleno: {count} intentos se guardaron sin su historial de pasos.',
+            'merge.unreadable': 'No se pudo leer: {files}',
+            'merge.unsaved': 'No se pudo guardar (el almacenamiento del dispositivo está lleno): {files}',
+
+            'live.title': 'Vista en directo',
+            'live.titleFor': 'Vista en directo — {name}',
+            'live.unreachable': 'No se pudo contactar con el servidor del aula: {error}',
+            'live.freePractice': 'Práctica libre',
+            'live.predicting': '(prediciendo)',
+            'live.now': 'ahora',
+            'live.ago': 'hace {time}',
+            'live.active.one': '1 alumno activo',
+            'live.active.other': '{count} alumnos activos',
+            'live.updated': 'actualizado a las {time}',
+
+            'analytics.title': 'Análisis de la clase',
+            'analytics.titleFor': 'Análisis de la clase — {name}',
+            'analytics.students': 'Alumnos',
+            'analytics.chars': 'Caracteres con más errores',
+            'analytics.wrap': 'Pasos que dan la vuelta',
+            'analytics.completed.one': '{done} de 1 alumno ha terminado',
+            'analytics.completed.other': '{done} de {count} alumnos han terminado',
+            'analytics.recorded.one': '1 intento registrado',
+            'analytics.recorded.other': '{count} intentos registrados',
+            'analytics.status.completed': 'Terminado',
+            'analytics.status.inProgress': 'En curso',
+            'analytics.status.notStarted': 'Sin empezar',
+            'analytics.accuracy': '{correct}/{attempted} ({percent})',
+            'analytics.skipped': '{count} omitidas',
+            'analytics.assessment': '{score}% ({firstTry}/{letters} al primer intento)',
+            'analytics.diagnostic': '{tries} intentos / {questions} preguntas',
+            'analytics.remedial': '(repaso)',
+            'analytics.wrapRow': 'Dan la vuelta (resultado bruto fuera del alfabeto)',
+            'analytics.plainRow': 'No dan la vuelta',
+            'analytics.noData': 'Aún no hay datos.',
+            'column.student': 'Alumno',
+            'column.status': 'Estado',
+            'column.attempts': 'Intentos',
+            'column.timeSpent': 'Tiempo dedicado',
+            'column.mistakes': 'Errores',
+            'column.predictions': 'Predicciones del modo pensar',
+            'column.assessment': 'Última evaluación',
+            'column.diagnostic': 'Diagnóstico',
+            'column.character': 'Carácter',
+            'column.timesSeen': 'Veces visto',
+            'column.stepType': 'Tipo de paso',
+            'column.steps': 'Pasos',
+            'column.mistakeRate': 'Tasa de errores',
+            'column.mission': 'Misión',
+            'column.iteration': 'Iteración',
+            'column.lastSeen': 'Última actividad'
+        }
+    },
+
+    ar: {
+        name: 'العربية',
+        dir: 'rtl',
+        strings: {
+            'app.language': 'اللغة',
+            'app.listSeparator': '، ',
+            'a11y.calmMode': 'الوضع الهادئ',
+            'a11y.calmOn': 'الوضع الهادئ مفعّل: تباين عالٍ، بلا حركة، بلا تشغيل تلقائي.',
+            'a11y.calmOff': 'الوضع الهادئ متوقف.',
+            'a11y.autoplayOff': 'التشغيل التلقائي متوقف في الوضع الهادئ',
+            'a11y.autoplayHint': 'التشغيل التلقائي متوقف في الوضع الهادئ. استخدم السهم الأيمن للتقدم.',
+            'dialog.notice': 'تنبيه',
+            'dialog.confirm': 'يرجى التأكيد',
+            'dialog.ok': 'موافق',
+            'dialog.cancel': 'إلغاء',
+
+            'login.title': 'مدرسة الجواسيس — دخول الصف',
+            'login.classId': 'رمز الصف (رمز الدخول)',
+            'login.classIdPlaceholder': 'أدخل رمز الدخول لصفك',
+            'login.studentId': 'اسم الطالب / رقمه',
+            'login.studentIdPlaceholder': 'أدخل اسم العميل المخصص لك',
+            'login.missionCode': 'رمز المهمة (اختياري)',
+            'login.missionCodePlaceholder': 'الصق رمزًا من معلمك',
+            'login.enter': 'ادخل المهمة',
+            'login.teacher': 'لوحة المعلم',
+            'login.deniedTitle': 'تم رفض الدخول',
+            'login.badClass': 'تم رفض الدخول: رمز الصف غير صحيح.\nأدخل رمز الدخول الذي أعطاك إياه معلمك.',
+            'login.badStudent': 'تم رفض الدخول: الهوية غير موثقة.\nالعميل "{name}" غير موجود في قاعدة بيانات المهام.\nتواصل مع مسؤولك.',
+            'login.badCodeTitle': 'رمز المهمة',
+            'login.badCode': 'رمز المهمة غير صالح.\nتحقق من الرمز مع معلمك، أو امسحه للمتابعة.',
+
+            'diagnostic.title': '⚠️ مطلوب تصريح أمني',
+            'diagnostic.intro': 'اختبار تشخيصي سريع — {count} أسئلة قصيرة جدًا.',
+            'diagnostic.check': 'تحقق',
+            'diagnostic.outputPlaceholder': 'اكتب الناتج المطبوع',
+            'diagnostic.answerPlaceholder': 'إجابتك',
+            'diagnostic.correct': 'صحيح. جارٍ الوصول إلى العقدة التالية...',
+            'diagnostic.override': 'تم تفعيل التجاوز. الإجابة كانت: {answer}',
+            'diagnostic.wrong': 'تم رفض الدخول. إجابة خاطئة.',
+            'remedial.title': 'إحاطة: راجع قبل مهمتك',
+            'remedial.intro': 'بعض الأفكار أربكتك. اقرأ هذه الملاحظات ثم تابع.',
+            'remedial.continue': 'المتابعة إلى المهمة',
+
+            'campaign.title': 'اختيار المهمة',
+            'campaign.rank': 'الرتبة: {rank}',
+            'campaign.missionRank': 'الرتبة: {rank}',
+            'campaign.locked': 'أكمل المهمة السابقة لفتح هذه المهمة.',
+            'campaign.resume': 'استئناف المهمة',
+            'campaign.discard': 'تجاهل',
+            'campaign.inProgress': 'مهمة قيد التنفيذ: {name} — الحرف {current} من {total}.',
+            'campaign.practice': 'تدريب {cipher}',
+            'campaign.freePractice': 'تدريب حر (اختر النص والمفتاح بنفسك)',
+            'campaign.logout': 'تبديل العميل',
+            'campaign.sharedTitle': 'مهمة مشتركة',
+            'campaign.sharedBriefing': 'أعدّها معلمك.',
+
+            'mission.decryptTitle': 'المهمة: بروتوكول فك التشفير',
+            'mission.encryptTitle': 'المهمة: بروتوكول التشفير',
+            'mission.crackTitle': 'المهمة: بروتوكول كسر الشيفرة',
+            'mission.mode': 'المهمة',
+            'mission.decrypt': 'فك التشفير',
+            'mission.encrypt': 'التشفير',
+            'mission.crack': 'كاسر الشيفرة (مفتاح مجهول)',
+            'mission.encryptedText': 'النص المشفر',
+            'mission.secretMessage': 'الرسالة السرية',
+            'mission.cipher': 'الشيفرة',
+            'mission.alphabet': 'الأبجدية',
+            'mission.customAlphabet': 'حروف مخصصة…',
+            'mission.customAlphabetLabel': 'حروف الأبجدية المخصصة',
+            'mission.customAlphabetPlaceholder': 'مثال: 0123456789abcdef',
+            'mission.preserveCase': 'الحفاظ على حالة الأحرف',
+            'mission.thinkMode': 'وضع التفكير',
+            'mission.explicitIndex': 'إظهار الفهرس صراحة',
+            'mission.assessMode': 'وضع التقييم',
+            'mission.start': 'ابدأ المهمة',
+            'mission.share': 'مشاركة المهمة',
+            'mission.shareLink': 'رابط المهمة',
+            'mission.shareCode': 'رمز المهمة: {code}',
+            'key.caesar': 'المفتاح',
+            'key.rot13': 'المفتاح (ثابت 13)',
+            'key.atbash': 'المفتاح (لا يوجد)',
+            'key.affine': 'المفتاح (a، b)',
+            'key.vigenere': 'الكلمة المفتاحية',
+            'key.affinePlaceholder': 'مثال: 5, 8',
+            'key.vigenerePlaceholder': 'مثال: lemon',
+
+            'inspector.region': 'مراقب الحلقة',
+            'inspector.iteration': 'التكرار: {current} / {total}',
+            'inspector.current': 'الحالي: {char}',
+            'inspector.index': 'الفهرس: {index}',
+            'inspector.explicitLetter': 'letter: "{char}" (encrypted[{i}])',
+            'inspector.explicitIndex': 'i: {i} (فهرس "{char}")',
+            'inspector.special': 'رمز خاص: يبقى كما هو.',
+            'inspector.predictionRequired': 'مطلوب توقّع — اكشف لرؤية الحساب',
+            'inspector.result': 'النتيجة:',
+            'inspector.decrypted': 'بعد فك التشفير:',
+            'inspector.encrypted': 'بعد التشفير:',
+
+            'think.before': 'توقّع ',
+            'think.emphasis': 'الفهرس الجديد',
+            'think.after': ' لهذا الحرف وأدخله:',
+            'think.inputLabel': 'الفهرس الجديد المتوقع',
+            'think.reveal': 'اكشف',
+            'think.skip': 'تخطَّ',
+            'think.skipped': 'تم تخطي التوقع.',
+            'think.correct': 'أحسنت! التوقع صحيح ({guess}).',
+            'think.wrong': 'ليس تمامًا — قلت {guess}، والمتوقع {expected}.',
+            'think.summary': 'دقة وضع التفكير: {correct}/{attempted} صحيحة ({accuracy})، {skipped} متخطاة',
+
+            'assess.before': 'اكتب الحرف ',
+            'assess.after': ' المقابل لـ',
+            'assess.decrypted': 'بعد فك التشفير',
+            'assess.encrypted': 'بعد التشفير',
+            'assess.inputLabel': 'حرفك',
+            'assess.check': 'تحقق',
+            'assess.hintAlphabet': 'تلميح: تمييز الحرف',
+            'assess.hintEquation': 'تلميح: إظهار الحساب',
+            'assess.intro': 'التقييم: اكتب كل حرف لتحصل على الدرجة.',
+            'assess.yourTurn': 'دورك: استنتج الحرف. استخدم تلميحًا إذا توقفت.',
+            'assess.checkFirst': 'اكتب حرفك واضغط تحقق قبل المتابعة.',
+            'assess.shown': 'الإجابة كانت "{char}".',
+            'assess.correct': 'صحيح: "{char}".',
+            'assess.correctAfter.one': 'صحيح: "{char}" بعد محاولة خاطئة واحدة.',
+            'assess.correctAfter.two': 'صحيح: "{char}" بعد محاولتين خاطئتين.',
+            'assess.correctAfter.other': 'صحيح: "{char}" بعد {count} محاولات خاطئة.',
+            'assess.notIt.one': 'ليس تمامًا — "{guess}" ليس الجواب. بقيت محاولة واحدة.',
+            'assess.notIt.two': 'ليس تمامًا — "{guess}" ليس الجواب. بقيت محاولتان.',
+            'assess.notIt.other': 'ليس تمامًا — "{guess}" ليس الجواب. بقيت {count} محاولات.',
+            'assess.score': 'درجة التقييم: {score}% — {firstTry}/{letters} حروف صحيحة من المحاولة الأولى',
+            'assess.mistakes.one': 'خطأ واحد',
+            'assess.mistakes.two': 'خطآن',
+            'assess.mistakes.other': '{count} أخطاء',
+            'assess.hints.one': 'تلميح واحد',
+            'assess.hints.two': 'تلميحان',
+            'assess.hints.other': '{count} تلميحات',
+            'assess.revealed': '{count} معروضة',
+            'assess.time': 'الوقت {time}',
+
+            'announce.ready': 'جاهز: {count} حروف {verb}.',
+            'announce.decrypt': 'لفك تشفيرها',
+            'announce.encrypt': 'لتشفيرها',
+            'announce.character': 'الحرف {current} من {total}: "{char}"',
+            'announce.special': 'ليس في الأبجدية، يبقى كما هو.',
+            'announce.index': 'الفهرس {index}.',
+            'announce.predict': 'توقّع فهرسه الجديد.',
+            'announce.triesLeft.one': 'ليس تمامًا، بقيت محاولة واحدة.',
+            'announce.triesLeft.two': 'ليس تمامًا، بقيت محاولتان.',
+            'announce.triesLeft.other': 'ليس تمامًا، بقيت {count} محاولات.',
+            'announce.typeLetter': 'اكتب الحرف {verb}.',
+            'announce.becomes': 'الفهرس {index} يصبح "{char}" بالفهرس {newIndex}.',
+            'announce.predictionCorrect': 'التوقع صحيح.',
+            'announce.predictionWrong': 'توقعك {guess} كان خاطئًا.',
+            'announce.answerShown': 'تم عرض الإجابة.',
+            'announce.answerCorrect': 'صحيح.',
+
+            'trace.title': 'تتبع بايثون',
+            'trace.start': 'اضغط خطوة للأمام لتنفيذ التكرار الأول.',
+            'trace.if': '"{char}" موجود في alphabet ← نُفّذ فرع if.',
+            'trace.else': '"{char}" غير موجود في alphabet ← نسخه فرع else دون تغيير.',
+            'trace.lowercase': 'قائمة alphabet تحتوي على أحرف صغيرة فقط.',
+
+            'timeline.label': 'الخط الزمني',
+            'timeline.start': 'البداية',
+            'timeline.character': 'الحرف {current} من {total}',
+
+            'wrap.view': 'عرض الأبجدية',
+            'wrap.grid': 'شبكة',
+            'wrap.line': 'خط الأعداد',
+            'wrap.countBack': 'عُدّ {count} إلى الخلف من {from}',
+            'wrap.countOn': 'عُدّ {count} إلى الأمام من {from}',
+            'wrap.landed': 'يصل إلى {index} ({char})',
+            'wrap.wrapped': '{raw} خارج الخط، لذا يلتف: {raw} % {size} = {index} ({char})',
+            'wrap.hidden': 'ابدأ من {index}. أين سيصل؟',
+            'wrap.special': '"{char}" ليس في الأبجدية، لذا يبقى كما هو',
+
+            'present.start': '🖥 عرض',
+            'present.toolbar': 'أدوات المقدّم',
+            'present.openAudience': 'فتح نافذة الجمهور',
+            'present.exit': '✕ إنهاء العرض',
+            'present.slower': '🐢 أبطأ',
+            'present.faster': '🐇 أسرع',
+            'present.speed': 'السرعة {speed} / {max}',
+            'present.noAudience': 'افتح نافذة الجمهور واسحبها إلى شاشة العرض.',
+            'present.connected': 'نافذة الجمهور متصلة.',
+            'present.unsupported': 'لا يستطيع هذا المتصفح ربط نافذتين؛ اعرض من هذه النافذة.',
+            'present.waiting': 'في انتظار المقدّم…',
+            'present.ended': 'انتهى العرض.',
+            'poll.question': 'تصويت الصف: أين سيقع هذا الحرف؟',
+            'poll.inputLabel': 'التوقع الذي قيل',
+            'poll.placeholder': 'رقم أو حرف',
+            'poll.add': '+ إضافة صوت',
+            'poll.reveal': 'كشف الإجابة',
+            'poll.chip': '{index} ({char}) × {count}',
+            'poll.votes.one': 'صوت واحد حتى الآن',
+            'poll.votes.two': 'صوتان حتى الآن',
+            'poll.votes.other': '{count} أصوات حتى الآن',
+            'poll.result': 'الإجابة: {index} ({char}). {right} من {votes} أصوات كانت صحيحة.',
+            'poll.invalid': '"{value}" ليس رقمًا ولا حرفًا من هذه الأبجدية.',
+
+            'step.label': 'التقدم حسب',
+            'step.char': 'حرف',
+            'step.word': 'كلمة',
+            'step.sentence': 'جملة',
+            'step.end': 'حتى النهاية',
+            'chunk.summary': 'غطّت هذه الخطوة {characters}: {details}.',
+            'chunk.characters.one': 'رمزًا واحدًا',
+            'chunk.characters.two': 'رمزين',
+            'chunk.characters.other': '{count} رموز',
+            'chunk.shifted.one': 'حرف واحد مُزاح',
+            'chunk.shifted.two': 'حرفان مُزاحان',
+            'chunk.shifted.other': '{count} أحرف مُزاحة',
+            'chunk.kept.one': 'رمز خاص واحد بقي كما هو',
+            'chunk.kept.two': 'رمزان خاصان بقيا كما هما',
+            'chunk.kept.other': '{count} رموز خاصة بقيت كما هي',
+            'chunk.wraps.one': 'التفاف واحد',
+            'chunk.wraps.two': 'التفافان',
+            'chunk.wraps.other': '{count} التفافات',
+
+            'update.ready': 'إصدار جديد من مدرسة الجواسيس جاهز.',
+            'update.reload': 'إعادة التحميل الآن',
+            'update.later': 'لاحقًا',
+            'storage.title': 'التخزين ممتلئ تقريبًا',
+            'storage.unsavedNotice.one': 'تعذّر حفظ محاولتك: لا توجد مساحة تخزين في هذا الجهاز. نزّلها الآن وسلّم الملف إلى معلمك، وإلا ستضيع عند إغلاق هذه الصفحة.',
+            'storage.unsavedNotice.two': 'تعذّر حفظ محاولتين لك: لا توجد مساحة تخزين في هذا الجهاز. نزّلهما الآن وسلّم الملف إلى معلمك، وإلا ستضيعان عند إغلاق هذه الصفحة.',
+            'storage.unsavedNotice.other': 'تعذّر حفظ {count} من محاولاتك: لا توجد مساحة تخزين في هذا الجهاز. نزّلها الآن وسلّم الملف إلى معلمك، وإلا ستضيع عند إغلاق هذه الصفحة.',
+            'storage.downloadUnsaved': 'تنزيل محاولاتي',
+            'storage.dismiss': 'ليس الآن',
+            'storage.usage': 'تخزين المتصفح على هذا الجهاز: استُخدم {used} من نحو {budget} ميغابايت.',
+            'storage.nearlyFull': 'ممتلئ تقريبًا: صدّر بيانات المحاولات، ثم احذف الصفوف التي لم تعد تحتاجها.',
+            'storage.unsaved.one': 'تعذّر حفظ محاولة واحدة؛ صدّرها الآن للاحتفاظ بها.',
+            'storage.unsaved.two': 'تعذّر حفظ محاولتين؛ صدّرهما الآن للاحتفاظ بهما.',
+            'storage.unsaved.other': 'تعذّر حفظ {count} محاولات؛ صدّرها الآن للاحتفاظ بها.',
+            'storage.low': 'استخدم هذا الجهاز {used} من نحو {budget} ميغابايت لمدرسة الجواسيس. للمعلم: اضغط موافق لتنزيل بيانات الصف (JSON) الآن، ثم احذف الصفوف القديمة أو ادمج الملف على جهاز آخر.',
+            'storage.failed.one': 'تعذّر حفظ محاولة واحدة: تخزين الجهاز ممتلئ ({used} من نحو {budget} ميغابايت) ولن تبقى إلا حتى إغلاق هذه الصفحة. اضغط موافق لتنزيل بيانات {classes}، ومعها هذه المحاولة.',
+            'storage.failed.two': 'تعذّر حفظ محاولتين: تخزين الجهاز ممتلئ ({used} من نحو {budget} ميغابايت) ولن تبقيا إلا حتى إغلاق هذه الصفحة. اضغط موافق لتنزيل بيانات {classes}، ومعها هاتان المحاولتان.',
+            'storage.failed.other': 'تعذّر حفظ {count} محاولات: تخزين الجهاز ممتلئ ({used} من نحو {budget} ميغابايت) ولن تبقى إلا حتى إغلاق هذه الصفحة. اضغط موافق لتنزيل بيانات {classes}، ومعها هذه المحاولات.',
+
+            'codebreaker.region': 'كاسر الشيفرة',
+            'codebreaker.shift': 'الإزاحة: {shift} / {max}',
+            'codebreaker.score': 'مربع كاي: {score}',
+            'codebreaker.best': 'أفضل المرشحين حتى الآن (الأقل درجة = الأقرب إلى الإنجليزية):',
+            'codebreaker.candidate': 'المفتاح {shift}: {text} ({score})',
+            'codebreaker.done': 'تم اختبار جميع الإزاحات الـ{count}.\nالمفتاح الأرجح: {shift}\n"{text}"',
+            'codebreaker.announce': 'الإزاحة {shift}: "{text}"',
+
+            'controls.stepBack': '⏮ خطوة للخلف',
+            'controls.play': '▶ تشغيل تلقائي',
+            'controls.pause': '⏸ إيقاف مؤقت',
+            'controls.stepForward': 'خطوة للأمام ⏭',
+            'controls.reset': '⚠ إعادة ضبط',
+            'controls.speed': 'السرعة',
+            'controls.exportCSV': 'تصدير CSV للصف',
+            'controls.exportJSON': 'تصدير JSON',
+            'controls.printWorksheet': 'طباعة ورقة العمل',
+            'worksheet.title': 'ورقة العمل',
+            'worksheet.needsKey': 'تحتاج أوراق العمل إلى مفتاح معروف. اختر فك التشفير أو التشفير أولًا.',
+
+            'complete.headline': 'اكتملت المهمة.',
+            'complete.promoted': 'اكتملت المهمة. تمت ترقية العميل إلى {rank}.',
+            'complete.title': 'تقرير المهمة',
+            'complete.certificate': '🖨 طباعة الشهادة',
+            'complete.certificatePromoted': '🖨 طباعة شهادة "ترقية العميل"',
+            'thonny.title': 'أُنجزت المهمة',
+            'thonny.intro': 'اكتملت المحاذاة اليدوية. شغّل برنامج بايثون هذا هنا، أو عدّله، أو انسخه إلى Thonny لأتمتته.',
+            'thonny.codeLabel': 'برنامج بايثون',
+            'thonny.run': '▶ تشغيل',
+            'thonny.reset': 'استعادة الشيفرة',
+            'thonny.note': 'يعمل في المتصفح دون الحاجة إلى الإنترنت. Ctrl+Enter يشغّله أيضًا.',
+            'thonny.finish': 'إنهاء وعودة',
+            'thonny.noOutput': '(لا يوجد ناتج)',
+            'thonny.fixError': 'أصلح الخطأ أعلاه، ثم شغّل البرنامج مرة أخرى.',
+            'thonny.matches': '✔ يطابق نتيجة مراقب الحلقة.',
+            'thonny.differs': '✖ حصل مراقب الحلقة على "{expected}".',
+            'thonny.capitals': 'الحروف الكبيرة ليست في قائمة الأبجدية بالحروف الصغيرة، لذا ينسخها البرنامج دون تغيير.',
+
+            'teacher.title': 'لوحة المعلم',
+            'teacher.pinPrompt': 'أدخل رمز PIN الخاص بالمعلم',
+            'teacher.pinChoose': 'اختر رمز PIN للمعلم (4 أرقام على الأقل)',
+            'teacher.pinTitle': 'رمز PIN للمعلم',
+            'teacher.pinTooShort': 'يجب أن يتكون رمز PIN للمعلم من 4 أرقام على الأقل.',
+            'teacher.pinDenied': 'تم رفض الدخول: رمز PIN للمعلم غير صحيح.',
+            'teacher.unlock': 'فتح',
+            'teacher.back': 'العودة إلى تسجيل الدخول',
+            'teacher.backToDashboard': 'العودة إلى اللوحة',
+            'teacher.classes': 'الفصول',
+            'teacher.class': 'الفصل',
+            'teacher.openAnalytics': 'تحليلات الفصل',
+            'teacher.openLive': 'العرض المباشر',
+            'teacher.deleteClass': 'حذف الفصل',
+            'teacher.deleteClassTitle': 'حذف الفصل',
+            'teacher.deleteClassConfirm': 'حذف الفصل {code} وقائمة طلابه؟',
+            'teacher.newCode': 'رمز دخول جديد',
+            'teacher.newCodePlaceholder': 'مثال: SPY-7B',
+            'teacher.className': 'اسم الفصل',
+            'teacher.classNamePlaceholder': 'مثال: الصف السابع الأزرق',
+            'teacher.addClass': 'إضافة فصل',
+            'teacher.addClassTitle': 'إضافة فصل',
+            'teacher.badClassCode': 'يُرجى إدخال رمز دخول جديد غير مستخدم للفصل.',
+            'teacher.roster': 'قائمة الطلاب',
+            'teacher.rosterOf.one': 'قائمة الطلاب: {name} — طالب واحد',
+            'teacher.rosterOf.two': 'قائمة الطلاب: {name} — طالبان',
+            'teacher.rosterOf.other': 'قائمة الطلاب: {name} — {count} طلاب',
+            'teacher.noClasses': 'لا توجد فصول بعد — أضف فصلًا في الأعلى.',
+            'teacher.studentName': 'اسم الطالب',
+            'teacher.studentNamePlaceholder': 'اسم العميل',
+            'teacher.addStudent': 'إضافة طالب',
+            'teacher.remove': 'إزالة',
+            'teacher.bulkImport': 'استيراد جماعي (اسم في كل سطر، أو ملف CSV فيه الأسماء في العمود الأول)',
+            'teacher.importPasted': 'استيراد القائمة الملصقة',
+            'teacher.rosterFile': 'أو ملف CSV',
+            'teacher.importRosterTitle': 'استيراد الطلاب',
+            'teacher.rosterImported.one': 'تم استيراد طالب جديد واحد إلى {code}.',
+            'teacher.rosterImported.two': 'تم استيراد طالبين جديدين إلى {code}.',
+            'teacher.rosterImported.other': 'تم استيراد {count} طلاب جدد إلى {code}.',
+            'teacher.missions': 'مهام الحملة',
+            'teacher.missionsIntro': 'تُفتح المهام بهذا الترتيب. اكتب الرسالة الواضحة؛ تُشفَّر بالشيفرة والمفتاح اللذين تختارهما.',
+            'teacher.missionShare': 'رابط المهمة ورمزها',
+            'teacher.missionTitle': 'العنوان',
+            'teacher.missionTitlePlaceholder': 'مثال: تسليم ليلي',
+            'teacher.missionCipher': 'الشيفرة',
+            'teacher.missionAlphabet': 'الأبجدية',
+            'teacher.customAlphabet': 'حروف الأبجدية المخصصة',
+            'teacher.customAlphabetPlaceholder': 'الحروف بالترتيب',
+            'teacher.missionKey': 'المفتاح',
+            'teacher.missionKeyPlaceholder': 'مثال: 7',
+            'teacher.missionRank': 'الرتبة الممنوحة',
+            'teacher.missionRankPlaceholder': 'مثال: عميل ميداني',
+            'teacher.missionGraded': 'مُقيَّمة (وضع التقييم)',
+            'teacher.missionBriefing': 'الإيجاز',
+            'teacher.missionBriefingPlaceholder': 'سطر واحد يظهر للطلاب',
+            'teacher.missionPlain': 'الرسالة السرية (نص واضح)',
+            'teacher.missionIncomplete': 'تحتاج المهمة إلى عنوان ورسالة سرية.',
+            'teacher.missionRankTag': 'الرتبة {rank}',
+            'teacher.missionGradedTag': 'مُقيَّمة',
+            'teacher.addMission': 'إضافة مهمة',
+            'teacher.addMissionTitle': 'إضافة مهمة',
+            'teacher.resetMissions': 'استعادة الحملة المدمجة',
+            'teacher.resetMissionsTitle': 'إعادة تعيين المهام',
+            'teacher.resetMissionsConfirm': 'استبدال مهامك بالحملة المدمجة؟',
+            'teacher.share': 'مشاركة',
+            'teacher.shareCode': 'الرمز: {code}',
+            'teacher.attempts': 'بيانات المحاولات',
+            'teacher.exportCSV': 'تصدير CSV',
+            'teacher.exportJSON': 'تصدير JSON',
+            'teacher.mergeFiles': 'دمج ملفات من أجهزة أخرى (JSON أو CSV)',
+            'teacher.pull': 'جلب من المزامنة',
+            'teacher.pullTitle': 'جلب المحاولات',
+            'teacher.pullFailed': 'تعذّر جلب المحاولات: {error}',
+            'teacher.importAttemptsTitle': 'استيراد المحاولات',
+            'teacher.noAttempts': 'لا توجد محاولات لهذا الفصل.',
+            'teacher.theServer': 'خادم الفصل',
+            'teacher.sync': 'مزامنة الفصل',
+            'teacher.syncRun': 'اضبط هذا على كل جهاز في الفصل. شغّل',
+            'teacher.syncWhere': 'على جهاز المعلم؛ الأجهزة التي تفتح عنوانه تستخدمه تلقائيًا لمشاركة المحاولات والتقدم المباشر.',
+            'teacher.transport': 'وسيلة النقل',
+            'teacher.serverUrl': 'عنوان الخادم',
+            'teacher.serverUrlPlaceholder': 'مثال: http://192.168.1.20:8787 (فارغ = خادم هذه الصفحة)',
+            'teacher.saveSync': 'حفظ',
+            'sync.local': 'هذا الجهاز فقط',
+            'sync.http': 'خادم الفصل (HTTP)',
+            'sync.localStatus': 'تبقى المحاولات على هذا الجهاز. استخدم التصدير/الدمج أو خادم الفصل لجمعها.',
+            'sync.sending': 'يتم إرسال المحاولات والتقدم المباشر إلى {url}.',
+            'sync.reachable': 'الخادم متاح.',
+            'sync.unreachable': 'الخادم غير متاح — ستنتظر المحاولات على كل جهاز.',
+            'merge.added.one': 'تم دمج محاولة جديدة واحدة في {code}.',
+            'merge.added.two': 'تم دمج محاولتين جديدتين في {code}.',
+            'merge.added.other': 'تم دمج {count} محاولات جديدة في {code}.',
+            'merge.duplicates.one': 'تم تخطي نسخة مكررة واحدة.',
+            'merge.duplicates.two': 'تم تخطي نسختين مكررتين.',
+            'merge.duplicates.other': 'تم تخطي {count} نسخ مكررة.',
+            'merge.invalid.one': 'تم تجاهل سجل واحد ليس محاولة.',
+            'merge.invalid.two': 'تم تجاهل سجلين ليسا محاولتين.',
+            'merge.invalid.other': 'تم تجاهل {count} سجلات ليست محاولات.',
+            'merge.historyDropped.one': 'التخزين ممتلئ تقريبًا: حُفظت محاولة واحدة دون سجل خطواتها.',
+            'merge.historyDropped.two': 'التخزين ممتلئ تقريبًا: حُفظت محاولتان دون سجل خطواتهما.',
+            'merge.historyDropped.other': 'التخزين ممتلئ تقريبًا: حُفظت {count} محاولات دون سجل خطواتها.',
+            'merge.unreadable': 'تعذّرت القراءة: {files}',
+            'merge.unsaved': 'تعذّر الحفظ (تخزين الجهاز ممتلئ): {files}',
+
+            'live.title': 'العرض المباشر',
+            'live.titleFor': 'العرض المباشر — {name}',
+            'live.unreachable': 'تعذّر الوصول إلى خادم الفصل: {error}',
+            'live.freePractice': 'تدريب حر',
+            'live.predicting': '(يتوقع)',
+            'live.now': 'الآن',
+            'live.ago': 'منذ {time}',
+            'live.active.one': 'طالب واحد نشط',
+            'live.active.two': 'طالبان نشطان',
+            'live.active.other': '{count} طلاب نشطون',
+            'live.updated': 'آخر تحديث {time}',
+
+            'analytics.title': 'تحليلات الفصل',
+            'analytics.titleFor': 'تحليلات الفصل — {name}',
+            'analytics.students': 'الطلاب',
+            'analytics.chars': 'أكثر الرموز خطأً',
+            'analytics.wrap': 'خطوات الالتفاف',
+            'analytics.completed.one': 'أكمل {done} من طالب واحد',
+            'analytics.completed.two': 'أكمل {done} من طالبين',
+            'analytics.completed.other': 'أكمل {done} من {count} طلاب',
+            'analytics.recorded.one': 'محاولة واحدة مسجلة',
+            'analytics.recorded.two': 'محاولتان مسجلتان',
+            'analytics.recorded.other': '{count} محاولات مسجلة',
+            'analytics.status.completed': 'مكتمل',
+            'analytics.status.inProgress': 'قيد التقدم',
+            'analytics.status.notStarted': 'لم يبدأ',
+            'analytics.accuracy': '{correct}/{attempted} ({percent})',
+            'analytics.skipped': '{count} متخطاة',
+            'analytics.assessment': '{score}% ({firstTry}/{letters} من المحاولة الأولى)',
+            'analytics.diagnostic': '{tries} محاولات / {questions} أسئلة',
+            'analytics.remedial': '(مراجعة)',
+            'analytics.wrapRow': 'بالتفاف (النتيجة الخام خارج الأبجدية)',
+            'analytics.plainRow': 'دون التفاف',
+            'analytics.noData': 'لا توجد بيانات بعد.',
+            'column.student': 'الطالب',
+            'column.status': 'الحالة',
+            'column.attempts': 'المحاولات',
+            'column.timeSpent': 'الوقت المستغرق',
+            'column.mistakes': 'الأخطاء',
+            'column.predictions': 'توقعات وضع التفكير',
+            'column.assessment': 'آخر تقييم',
+            'column.diagnostic': 'التشخيص',
+            'column.character': 'الرمز',
+            'column.timesSeen': 'مرات الظهور',
+            'column.stepType': 'نوع الخطوة',
+            'column.steps': 'الخطوات',
+            'column.mistakeRate': 'نسبة الأخطاء',
+            'column.mission': 'المهمة',
+            'column.iteration': 'التكرار',
+            'column.lastSeen': 'آخر ظهور'
+        }
+    }
+};
+
+const I18n = {
+    STORAGE_KEY: 'spyschool_locale',
+    DEFAULT: 'en',
+    locale: 'en',
+    // Hebrew, Arabic, Syriac, Thaana, N'Ko and the Hebrew / Arabic presentation forms
+    RTL_LETTER: /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/,
+    // Markup attribute (camelCase dataset name) -> attribute it fills in
+    ATTRIBUTES: { i18nPlaceholder: 'placeholder', i18nAriaLabel: 'aria-label', i18nTitle: 'title' },
+
+    // Saved choice, else the browser language when there is a locale for it
+    init() {
+        let stored = null;
+        try { stored = localStorage.getItem(this.STORAGE_KEY); } catch (e) { stored = null; }
+        const browser = String(navigator.language || '').slice(0, 2).toLowerCase();
+        const select = $id('localeSelect');
+        if (select) {
+            select.innerHTML = '';
+            Object.keys(LOCALES).forEach(code => {
+                const opt = document.createElement('option');
+                opt.value = code;
+                opt.textContent = LOCALES[code].name;
+                opt.lang = code;
+                select.appendChild(opt);
+            });
+            select.addEventListener('change', () => this.setLocale(select.value, true));
+        }
+        this.setLocale(LOCALES[stored] ? stored : (LOCALES[browser] ? browser : this.DEFAULT), false);
+    },
+
+    setLocale(code, remember) {
+        this.locale = LOCALES[code] ? code : this.DEFAULT;
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = LOCALES[this.locale].dir;
+        const select = $id('localeSelect');
+        if (select) select.value = this.locale;
+        this.apply(document);
+        if (remember) {
+            localStorage.setItem(this.STORAGE_KEY, this.locale);
+            UIController.refreshLocale();
+        }
+    },
+
+    // `fallback` is used when no locale has the key (e.g. a cipher added later)
+    t(key, params, fallback) {
+        const own = LOCALES[this.locale].strings[key];
+        const english = LOCALES[this.DEFAULT].strings[key];
+        let text = own !== undefined ? own : english;
+        if (text === undefined) text = fallback !== undefined ? fallback : key;
+        if (!params) return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    },
+
+    // Arabic has forms for two, few and many; anything a locale leaves out uses `other`
+    plural(key, count, params = {}) {
+        let form = 'other';
+        try { form = new Intl.PluralRules(this.locale).select(count); } catch (e) { form = count === 1 ? 'one' : 'other'; }
+        const strings = LOCALES[this.locale].strings;
+        const chosen = strings[`${key}.${form}`] !== undefined ? `${key}.${form}` : `${key}.other`;
+        return this.t(chosen, { count, ...params });
+    },
+
+    list(parts) {
+        return parts.filter(Boolean).join(this.t('app.listSeparator'));
+    },
+
+    // Text for an element, remembered on it so a language switch can redo it
+    set(el, key, params) {
+        if (!el) return;
+        el.dataset.i18n = key;
+        if (params) el.dataset.i18nParams = JSON.stringify(params);
+        else delete el.dataset.i18nParams;
+        el.textContent = this.t(key, params);
+    },
+
+    // Fills every tagged element under `root` from the current locale
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            let params = null;
+            try { params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : null; } catch (e) { params = null; }
+            el.textContent = this.t(el.dataset.i18n, params);
+        });
+        Object.keys(this.ATTRIBUTES).forEach(prop => {
+            const attr = this.ATTRIBUTES[prop];
+            const selector = `[data-${prop.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}]`;
+            root.querySelectorAll(selector).forEach(el => el.setAttribute(attr, this.t(el.dataset[prop])));
+        });
+    },
+
+    // Direction of a piece of content from its first letter, as dir="auto" would pick
+    textDirection(text) {
+        const first = Array.from(String(text || '')).find(ch => /\p{L}/u.test(ch));
+        return first && this.RTL_LETTER.test(first) ? 'rtl' : 'ltr';
+    }
+};
+
+// ---------- Dialog ----------
+// In-page replacement for alert() / confirm(). Messages queue, focus moves into
+// the dialog and back out again, Tab stays inside and Escape cancels.
+const Dialog = {
+    queue: [],
+    active: null,
+    returnFocus: null,
+
+    init() {
+        const ok = $id('dialogOk');
+        const cancel = $id('dialogCancel');
+        const overlay = $id('dialogOverlay');
+        if (ok) ok.addEventListener('click', () => this.close(true));
+        if (cancel) cancel.addEventListener('click', () => this.close(false));
+        if (overlay) overlay.addEventListener('keydown', (e) => this.onKeydown(e));
+    },
+
+    alert(message, title = I18n.t('dialog.notice')) {
+        return this.open({ message, title, confirm: false });
+    },
+
+    // Resolves true for OK, false for Cancel / Escape
+    confirm(message, title = I18n.t('dialog.confirm')) {
+        return this.open({ message, title, confirm: true });
+    },
+
+    open(request) {
+        // Without the markup (e.g. an older index.html) fall back to the browser dialogs
+        if (!$id('dialogOverlay')) {
+            return Promise.resolve(request.confirm ? window.confirm(request.message) : (window.alert(request.message), true));
+        }
+        return new Promise(resolve => {
+            this.queue.push({ ...request, resolve });
+            if (!this.active) this.next();
+        });
+    },
+
+    isOpen() {
+        return !!this.active;
+    },
+
+    next() {
+        const request = this.queue.shift();
+        if (!request) return;
+        this.active = request;
+        if (!this.returnFocus) this.returnFocus = document.activeElement;
+
+        $id('dialogTitle').textContent = request.title;
+        $id('dialogMessage').textContent = request.message;
+        const cancel = $id('dialogCancel');
+        if (cancel) cancel.classList.toggle('hidden', !request.confirm);
+        $id('dialogOverlay').classList.remove('hidden');
+        const ok = $id('dialogOk');
+        if (ok) ok.focus();
+    },
+
+    close(result) {
+        const request = this.active;
+        if (!request) return;
+        this.active = null;
+        $id('dialogOverlay').classList.add('hidden');
+
+        if (this.queue.length) {
+            this.next();
+        } else {
+            // Back to where the user was, unless that screen has since been hidden
+            const back = this.returnFocus;
+            this.returnFocus = null;
+            if (back && back.focus && document.contains(back) && !back.closest('.screen.hidden')) back.focus();
+        }
+        request.resolve(request.confirm ? result : true);
+    },
+
+    onKeydown(e) {
+        if (!this.active) return;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close(false);
+        } else if (e.key === 'Tab') {
+            const buttons = Array.from(document.querySelectorAll('#dialogOverlay button:not(.hidden)'));
+            if (!buttons.length) return;
+            const first = buttons[0];
+            const last = buttons[buttons.length - 1];
+            if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+            else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+        }
+    }
+};
+
+// ---------- A11y ----------
+// Screen reader announcements and the calm mode (high contrast, no motion,
+// no autoplay). Calm mode follows the OS preference until the user picks.
+const A11y = {
+    STORAGE_KEY: 'spyschool_a11y',
+    calm: false,
+
+    init() {
+        let stored = null;
+        try { stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null'); } catch (e) { stored = null; }
+        const prefers = (query) => !!(window.matchMedia && window.matchMedia(query).matches);
+        const calm = stored && typeof stored.calm === 'boolean'
+            ? stored.calm
+            : prefers('(prefers-reduced-motion: reduce)') || prefers('(prefers-contrast: more)');
+        this.setCalm(calm, false);
+
+        const btn = $id('btnCalmMode');
+        if (btn) btn.addEventListener('click', () => this.setCalm(!this.calm, true));
+    },
+
+    setCalm(on, remember) {
+        this.calm = !!on;
+        document.body.classList.toggle('calm-mode', this.calm);
+        const btn = $id('btnCalmMode');
+        if (btn) btn.setAttribute('aria-pressed', String(this.calm));
+        if (this.calm) {
+            LoopEngine.pause();
+            CodebreakerEngine.pause();
+        }
+        const play = UIController.elements.btnPlay;
+        if (play) {
+            play.disabled = this.calm;
+            play.title = this.calm ? I18n.t('a11y.autoplayOff') : '';
+        }
+        if (remember) {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ calm: this.calm }));
+            this.announce(I18n.t(this.calm ? 'a11y.calmOn' : 'a11y.calmOff'));
+        }
+    },
+
+    // Clearing first makes a repeated message count as new for screen readers
+    announce(text, assertive = false) {
+        const region = $id(assertive ? 'srAlert' : 'srStatus');
+        if (!region) return;
+        region.textContent = '';
+        setTimeout(() => { region.textContent = text; }, 50);
+    },
+
+    // Keys typed into a field belong to the field, not to the shortcuts
+    isTypingTarget(el) {
+        if (!el) return false;
+        const tag = el.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!el.isContentEditable;
+    }
+};
+
+// ---------- UIController ----------
+const UIController = {
+    missionMode: 'decrypt', // 'decrypt' | 'encrypt' | 'crack'
+    sessionStepped: false, // the running mission has taken a step, so it may replace the saved session
+    SYNC_MS: 500,
+    syncTimer: null,
+    syncPending: false,
+    activeMission: null, // campaign mission being played, null for free practice
+    traceSignature: null, // mission the Python trace listing was built for
+    visualizer: { text: null, index: -1, spans: [] }, // what the encrypted visualizer spans currently show
+    pendingJump: null, // scrubber position waiting for the next animation frame
+    sharedMission: null, // mission from a code or #mission= link, started after login
+    certificate: null, // details for the certificate of the last completed mission
+    alphabetView: 'grid', // 'grid' | 'line' (the WrapLine number line)
+    unsavedNotice: null, // { classId, studentId } while the notice about unsaved attempts is up
+    ALPHABET_VIEW_KEY: 'spyschool_alphabet_view',
+
+    elements: {
+        alphabetVisualizer: null,
+        iterationDisplay: null,
+        resultLetter: null,
+        accumulatedText: null,
+        equationDisplay: null,
+        currentLetterDisplay: null,
+        indexDisplay: null,
+        btnStepForward: null, btnStepBack: null, btnPlay: null, btnPause: null,
+        btnReset: null, speedSlider: null, explicitIndexToggle: null, thonnyScreen: null,
+        decryptionScreen: null, pythonCodeTemplate: null, agentRank: null,
+        encryptedVisualizer: null, thinkModeToggle: null, preserveCaseToggle: null,
+        predictInput: null, btnReveal: null, btnSkipPredict: null, predictFeedback: null,
+        btnExportData: null, classIdInput: null, studentIdInput: null, btnStartClass: null,
+        diagnosticScreen: null, classSetupScreen: null, cipherSelect: null, keyInput: null, keyLabel: null,
+        modeSelect: null, codebreakerPanel: null, frequencyHistogram: null, candidateList: null,
+        alphabetSelect: null, customAlphabetInput: null, assessModeToggle: null
+    },
+
+    init() {
+        const ids = [
+            'alphabetVisualizer', 'iterationDisplay', 'resultLetter', 'accumulatedText', 'equationDisplay',
+            'currentLetterDisplay', 'indexDisplay', 'btnStepForward', 'btnStepBack', 'btnPlay', 'btnPause',
+            'btnReset', 'speedSlider', 'explicitIndexToggle', 'thonnyScreen', 'decryptionScreen',
+            'pythonCodeTemplate', 'agentRank', 'encryptedVisualizer', 'thinkModeToggle',
+            'preserveCaseToggle', 'predictInput', 'btnReveal', 'btnSkipPredict', 'predictFeedback',
+            'btnExportData', 'classIdInput', 'studentIdInput', 'btnStartClass', 'diagnosticScreen', 'classSetupScreen',
+            'cipherSelect', 'keyInput', 'keyLabel', 'modeSelect',
+            'codebreakerPanel', 'frequencyHistogram', 'candidateList', 'alphabetSelect', 'customAlphabetInput',
+            'assessModeToggle'
+        ];
+        ids.forEach(id => { this.elements[id] = $id(id); });
+        window.addEventListener('pagehide', () => this.flushSync());
+
+        I18n.init();
+        OfflineApp.init();
+        if (this.elements.alphabetVisualizer) this.generateAlphabetGrid();
+        let view = null;
+        try { view = localStorage.getItem(this.ALPHABET_VIEW_KEY); } catch (e) { view = null; }
+        this.setAlphabetView(view === 'line' ? 'line' : 'grid', false);
+        this.subscribeEngine();
+        this.subscribeSync();
+        this.populateCipherSelect();
+        this.populateAlphabetSelect(this.elements.alphabetSelect);
+        this.attachListeners();
+        Dialog.init();
+        A11y.init();
+        DiagnosticController.init();
+        TeacherController.init();
+        AnalyticsController.init();
+        LiveViewController.init();
+        CampaignController.init();
+        PythonLabController.init();
+
+        ClassSync.detectServer();
+
+        // A #mission= link fills in the code field on the login screen
+        const linked = MissionCode.fromHash(location.hash);
+        if (linked && $id('missionCodeInput')) $id('missionCodeInput').value = linked;
+
+        // A projector window opened from presentation mode follows the presenter
+        if (Presentation.isAudienceLink(location.hash)) return Presentation.joinAudience();
+
+        // Initial Screen Setup: a reload keeps the login and returns to mission select
+        const login = SessionStore.currentLogin();
+        if (login && TeacherStore.findStudent(login.classId, login.studentId)) {
+            if (this.elements.classIdInput) this.elements.classIdInput.value = login.classId;
+            if (this.elements.studentIdInput) this.elements.studentIdInput.value = login.studentId;
+            CampaignController.open();
+        } else {
+            this.showScreen('classSetupScreen');
+        }
+    },
+
+    // The mission engine is headless; the page follows its events
+    subscribeEngine() {
+        LoopEngine.on('start', () => this.reset());
+        LoopEngine.on('change', (s, step) => this.renderLoop(s, step));
+        LoopEngine.on('playing', (playing) => this.updatePlayButton(playing));
+        LoopEngine.on('complete', () => this.showMissionComplete());
+        LoopEngine.on('blocked', () => this.requireAnswer());
+    },
+
+    // Attempts that did not fit in storage live only in memory, so the student
+    // who made them gets a notice with a download of their own at once
+    subscribeSync() {
+        ClassSync.on('saveFailed', (classId, error, record) => {
+            const login = SessionStore.currentLogin();
+            if (!record || !login || login.classId !== classId) return;
+            if (String(record.studentId).toLowerCase() !== String(login.studentId).toLowerCase()) return;
+            this.unsavedNotice = { classId, studentId: login.studentId };
+            this.renderUnsavedNotice();
+        });
+        const download = $id('btnDownloadUnsaved');
+        if (download) download.addEventListener('click', () => {
+            const notice = this.unsavedNotice;
+            if (notice) ClassSync.exportUnsavedJSON(notice.classId, notice.studentId);
+            this.hideUnsavedNotice();
+        });
+        const dismiss = $id('btnDismissUnsaved');
+        if (dismiss) dismiss.addEventListener('click', () => this.hideUnsavedNotice());
+    },
+
+    renderUnsavedNotice() {
+        const notice = this.unsavedNotice;
+        const banner = $id('unsavedBanner');
+        if (!banner || !notice) return;
+        const count = ClassSync.unsavedExport(notice.classId, notice.studentId).attempts.length;
+        if ($id('unsavedText')) $id('unsavedText').textContent = I18n.plural('storage.unsavedNotice', count);
+        banner.classList.toggle('hidden', !count);
+    },
+
+    hideUnsavedNotice() {
+        this.unsavedNotice = null;
+        if ($id('unsavedBanner')) $id('unsavedBanner').classList.add('hidden');
+    },
+
+    renderLoop(s, current) {
+        this.updateLoopInspector(s.currentIndex, s.chars.length, current, s.key, s.waitingForReveal, s.cipher, s.mode, s.alphabet);
+        if (current && !current.result.isSpecial) {
+            this.updateAlphabet(current.result.originalIndex, current.result.newIndex);
+        } else {
+            this.clearAlphabetHighlight();
+        }
+        this.updateWrapLine(current, s);
+        this.updateClassPoll(current, s);
+        this.updateChunkSummary(s);
+        this.updateAssessment(current, s);
+        this.updateEncryptedVisualizer(s.encryptedText, s.currentIndex);
+        this.updateProgress(s.currentIndex, s.chars.length);
+        this.updateScrubber(s.currentIndex, s.chars.length, s.reached);
+        this.updatePythonTrace(s);
+        this.announceStep(current, s);
+        this.queueSync();
+    },
+
+    // Session saves and presentation broadcasts serialize the whole run, so during
+    // autoplay or a held key they run at most once per SYNC_MS: straight away,
+    // then once more with the latest state when the burst ends
+    queueSync() {
+        if (this.syncTimer) {
+            this.syncPending = true;
+            return;
+        }
+        this.persistSession();
+        Presentation.broadcast();
+        this.syncTimer = setTimeout(() => {
+            this.syncTimer = null;
+            if (!this.syncPending) return;
+            this.syncPending = false;
+            this.queueSync();
+        }, this.SYNC_MS);
+    },
+
+    // Writes a waiting save now (the page is closing), or drops it (the session was cleared)
+    flushSync(write = true) {
+        if (this.syncTimer) clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+        const pending = this.syncPending;
+        this.syncPending = false;
+        if (pending && write) {
+            this.persistSession();
+            Presentation.broadcast();
+        }
+    },
+
+    // Autoplay at the slider speed; calm mode keeps it off
+    play() {
+        if (A11y.calm) return;
+        this.activeEngine().play(playbackSpeed());
+    },
+
+    showScreen(screenId) {
+        // The live view polls the server only while it is on screen
+        if (screenId !== 'liveScreen') LiveViewController.stop();
+        document.querySelectorAll('.screen').forEach(s => {
+            s.classList.remove('active');
+            s.classList.add('hidden'); // Ensure defensive hidden state
+        });
+
+        const target = $id(screenId);
+        if (target) {
+            target.classList.remove('hidden');
+            target.classList.add('active');
+            // Auto scroll to top
+            window.scrollTo({ top: 0, behavior: A11y.calm ? 'auto' : 'smooth' });
+            // Move keyboard and screen reader focus to the new screen's heading
+            const heading = target.querySelector('h1, h2');
+            if (heading && !Dialog.isOpen()) {
+                heading.setAttribute('tabindex', '-1');
+                heading.focus({ preventScroll: true });
+            }
+        }
+    },
+
+    populateCipherSelect() {
+        const select = this.elements.cipherSelect;
+        if (!select) return;
+        select.innerHTML = '';
+        Object.keys(CIPHERS).forEach(id => {
+            const opt = document.createElement('option');
+            opt.value = id;
+            opt.textContent = CIPHERS[id].name;
+            select.appendChild(opt);
+        });
+        select.value = 'caesar';
+        this.applyKeySchema('caesar', true);
+    },
+
+    // Built-in alphabets plus a "Custom" entry that reveals a letters field
+    populateAlphabetSelect(select) {
+        if (!select) return;
+        select.innerHTML = '';
+        Object.keys(ALPHABETS).concat(['custom']).forEach(id => {
+            const opt = document.createElement('option');
+            opt.value = id;
+            if (id === 'custom') I18n.set(opt, 'mission.customAlphabet');
+            else opt.textContent = ALPHABETS[id].name;
+            select.appendChild(opt);
+        });
+        select.value = Alphabet.DEFAULT;
+    },
+
+    // Alphabet spec from a select + custom letters pair
+    readAlphabet(select = this.elements.alphabetSelect, custom = this.elements.customAlphabetInput) {
+        if (!select) return Alphabet.DEFAULT;
+        if (select.value !== 'custom') return select.value;
+        return Alphabet.resolve(custom ? custom.value : '').id;
+    },
+
+    setAlphabet(spec, select = this.elements.alphabetSelect, custom = this.elements.customAlphabetInput) {
+        const id = Alphabet.resolve(spec).id;
+        const isCustom = !ALPHABETS[id];
+        if (select) select.value = isCustom ? 'custom' : id;
+        if (custom) {
+            custom.value = isCustom ? id : '';
+            custom.classList.toggle('hidden', !isCustom);
+        }
+    },
+
+    // Reshape the key field for the chosen cipher (number, keyword, a/b pair or none)
+    applyKeySchema(cipherId, keepValue = false) {
+        const input = this.elements.keyInput;
+        if (!input) return;
+        const schema = CipherEngine.getCipher(cipherId).keySchema;
+        const size = Alphabet.resolve(this.readAlphabet()).size;
+        this.labelKey(cipherId);
+        input.type = schema.type === 'number' ? 'number' : 'text';
+        input.placeholder = schema.type === 'number' ? `0 - ${size - 1}` : I18n.t(`key.${cipherId}Placeholder`, null, schema.placeholder);
+        input.disabled = schema.type === 'none';
+        if (schema.type === 'number') { input.min = 0; input.max = size - 1; }
+        else { input.removeAttribute('min'); input.removeAttribute('max'); }
+        if (!keepValue) input.value = schema.default;
+    },
+
+    // Ciphers without a translated label keep the registry's English one
+    labelKey(cipherId) {
+        if (!this.elements.keyLabel) return;
+        this.elements.keyLabel.textContent = I18n.t(`key.${cipherId}`, null, CipherEngine.getCipher(cipherId).keySchema.label);
+    },
+
+    applyMode(mode) {
+        const els = this.elements;
+        const encrypt = mode === 'encrypt';
+        const crack = mode === 'crack';
+        I18n.set($id('missionTitle'), crack ? 'mission.crackTitle' : (encrypt ? 'mission.encryptTitle' : 'mission.decryptTitle'));
+        I18n.set($id('textLabel'), encrypt ? 'mission.secretMessage' : 'mission.encryptedText');
+        I18n.set($id('accumulatedLabel'), encrypt ? 'inspector.encrypted' : 'inspector.decrypted');
+
+        // Codebreaker works on Caesar shifts of English text with no known key
+        if (els.cipherSelect) {
+            if (crack) els.cipherSelect.value = 'caesar';
+            els.cipherSelect.disabled = crack;
+        }
+        if (els.alphabetSelect) {
+            if (crack) this.setAlphabet(Alphabet.DEFAULT);
+            els.alphabetSelect.disabled = crack;
+        }
+        this.applyKeySchema(els.cipherSelect ? els.cipherSelect.value : 'caesar', true);
+        if (crack && els.keyInput) els.keyInput.disabled = true;
+    },
+
+    // Steps, autoplay and keyboard drive whichever engine the mission uses
+    activeEngine() {
+        return this.missionMode === 'crack' ? CodebreakerEngine : LoopEngine;
+    },
+
+    // `session` is a saved LoopEngine state to continue instead of starting over
+    startMission(mission, session) {
+        this.missionMode = mission.mode;
+        this.sessionStepped = false;
+        const crack = mission.mode === 'crack';
+        LoopEngine.pause();
+        CodebreakerEngine.pause();
+        if ($id('loopInspectorPanel')) $id('loopInspectorPanel').classList.toggle('hidden', crack);
+        if (this.elements.codebreakerPanel) this.elements.codebreakerPanel.classList.toggle('hidden', !crack);
+        if (this.elements.frequencyHistogram) this.elements.frequencyHistogram.classList.toggle('hidden', !crack);
+        if ($id('pythonTracePanel')) $id('pythonTracePanel').classList.toggle('hidden', crack);
+        if ($id('timelineRow')) $id('timelineRow').classList.toggle('hidden', crack);
+        this.setAlphabetView(this.alphabetView, false);
+        if ($id('btnPresent')) $id('btnPresent').disabled = crack;
+
+        this.generateAlphabetGrid(crack ? Alphabet.DEFAULT : mission.alphabet);
+        if (crack) CodebreakerEngine.init(mission.encrypted);
+        else if (session) LoopEngine.restore(session, this.readToggles());
+        else LoopEngine.init(mission.encrypted, mission.key, mission.cipher, mission.mode, mission.alphabet, this.readToggles());
+    },
+
+    readToggles() {
+        const els = this.elements;
+        return {
+            preserveCase: els.preserveCaseToggle ? els.preserveCaseToggle.checked : true,
+            thinkMode: els.thinkModeToggle ? els.thinkModeToggle.checked : false,
+            explicitIndex: els.explicitIndexToggle ? els.explicitIndexToggle.checked : false,
+            assessment: els.assessModeToggle ? els.assessModeToggle.checked : false,
+            stepSize: $id('stepSizeSelect') ? $id('stepSizeSelect').value : 'char'
+        };
+    },
+
+    applyToggles(toggles = {}) {
+        const els = this.elements;
+        if (els.preserveCaseToggle && 'preserveCase' in toggles) els.preserveCaseToggle.checked = !!toggles.preserveCase;
+        if (els.thinkModeToggle && 'thinkMode' in toggles) els.thinkModeToggle.checked = !!toggles.thinkMode;
+        if (els.explicitIndexToggle && 'explicitIndex' in toggles) els.explicitIndexToggle.checked = !!toggles.explicitIndex;
+        if (els.assessModeToggle && 'assessment' in toggles) els.assessModeToggle.checked = !!toggles.assessment;
+        if ($id('stepSizeSelect') && CONFIG.STEP_SIZES.includes(toggles.stepSize)) $id('stepSizeSelect').value = toggles.stepSize;
+    },
+
+    // Called after every LoopEngine update; codebreaker runs and presentation
+    // audience windows are not saved. Opening a new mission leaves the resumable
+    // session alone until the student takes its first step.
+    persistSession() {
+        const login = SessionStore.currentLogin();
+        if (!login || this.missionMode === 'crack' || Presentation.role === 'audience') return;
+        const s = LoopEngine.state;
+        if (s.currentIndex >= 0) this.sessionStepped = true;
+        if (this.sessionStepped) {
+            SessionStore.save(login.classId, login.studentId, {
+                missionId: this.activeMission ? this.activeMission.id : null,
+                title: this.activeMission ? this.activeMission.title : (this.sharedMission ? this.sharedMission.title : ''),
+                shared: !!this.sharedMission,
+                toggles: this.readToggles(),
+                speed: this.elements.speedSlider ? this.elements.speedSlider.value : null,
+                engine: LoopEngine.serialize()
+            });
+        }
+
+        const source = this.activeMission || this.sharedMission;
+        ClassSync.publishProgress(login.classId, {
+            studentId: login.studentId,
+            mission: source ? source.title : null, // free practice; the live view names it
+            cipher: s.cipher,
+            mode: s.mode,
+            iteration: s.currentIndex + 1,
+            total: s.chars.length,
+            waitingForReveal: s.waitingForReveal
+        });
+    },
+
+    // Mission settings from the config row, packed into a code and link
+    shareCurrentMission() {
+        const source = this.activeMission || this.sharedMission;
+        const code = MissionCode.encode({ ...this.readMissionConfig(), title: source ? source.title : '', toggles: this.readToggles() });
+        const out = $id('missionShareLink');
+        if (!out) return code;
+        out.value = MissionCode.link(code);
+        out.classList.remove('hidden');
+        out.select();
+        if ($id('missionShareCode')) {
+            I18n.set($id('missionShareCode'), 'mission.shareCode', { code });
+            $id('missionShareCode').classList.remove('hidden');
+        }
+        return code;
+    },
+
+    readMissionConfig() {
+        const els = this.elements;
+        return {
+            encrypted: $id('encryptedInput') ? $id('encryptedInput').value : 'khoor zruog',
+            cipher: els.cipherSelect ? els.cipherSelect.value : 'caesar',
+            mode: els.modeSelect ? els.modeSelect.value : 'decrypt',
+            key: els.keyInput ? els.keyInput.value : CONFIG.DEFAULT_KEY,
+            alphabet: this.readAlphabet()
+        };
+    },
+
+    generateAlphabetGrid(alphabetSpec) {
+        const container = this.elements.alphabetVisualizer;
+        if (!container) return;
+        container.innerHTML = '';
+        const alphabet = Alphabet.resolve(alphabetSpec);
+        container.dir = I18n.textDirection(alphabet.letters.join(''));
+        alphabet.letters.forEach((letter, index) => {
+            const div = document.createElement('div');
+            div.className = 'char-box';
+            div.id = `char-${index}`;
+            const idx = document.createElement('span');
+            idx.className = 'idx';
+            idx.textContent = index;
+            div.append(idx, letter);
+            container.appendChild(div);
+        });
+        WrapLine.build(alphabet);
+    },
+
+    // Grid or number line; codebreaker missions always use the grid
+    setAlphabetView(view, remember) {
+        this.alphabetView = view;
+        const line = view === 'line' && this.missionMode !== 'crack';
+        if (this.elements.alphabetVisualizer) this.elements.alphabetVisualizer.classList.toggle('hidden', line);
+        if ($id('wrapLine')) $id('wrapLine').classList.toggle('hidden', !line);
+        if ($id('alphabetViewSwitch')) $id('alphabetViewSwitch').classList.toggle('hidden', this.missionMode === 'crack');
+        if ($id('btnViewGrid')) $id('btnViewGrid').setAttribute('aria-pressed', String(!line));
+        if ($id('btnViewLine')) $id('btnViewLine').setAttribute('aria-pressed', String(line));
+        if (!line) WrapLine.clear();
+        if (remember) {
+            try { localStorage.setItem(this.ALPHABET_VIEW_KEY, view); } catch (e) { /* preference only */ }
+            const s = LoopEngine.state;
+            if (line && s.chars.length) this.updateWrapLine(LoopEngine.currentStep(), s);
+        }
+    },
+
+    // The number line follows each step at the autoplay speed; Think Mode and
+    // Assessment Mode keep the landing place back until the letter is answered
+    updateWrapLine(current, s) {
+        if (this.alphabetView !== 'line' || this.missionMode === 'crack') return;
+        WrapLine.show(current, Alphabet.resolve(s.alphabet), {
+            hidden: !!(s.waitingForReveal || s.awaitingAnswer),
+            duration: A11y.calm ? 0 : Math.round(playbackSpeed() * 0.8)
+        });
+    },
+
+    updateAlphabet(oldIdx, newIdx) {
+        this.clearAlphabetHighlight();
+        if (oldIdx !== -1) {
+            const oldEl = $id(`char-${oldIdx}`);
+            if (oldEl) oldEl.classList.add('highlight-old');
+        }
+        if (newIdx !== -1) {
+            const newEl = $id(`char-${newIdx}`);
+            if (newEl) newEl.classList.add('highlight-new');
+        }
+    },
+
+    clearAlphabetHighlight() {
+        document.querySelectorAll('.char-box').forEach(el => el.classList.remove('highlight-old', 'highlight-new'));
+    },
+
+    updateLoopInspector(currentIndex, total, snapshot, key, waitingForReveal, cipherId, mode, alphabetSpec) {
+        const els = this.elements;
+        const cipher = CipherEngine.getCipher(cipherId);
+        const alphabet = Alphabet.resolve(alphabetSpec);
+        const showExplicit = els.explicitIndexToggle ? els.explicitIndexToggle.checked : false;
+
+        const displayIndex = currentIndex >= 0 ? (currentIndex + 1) : '-';
+        if (els.iterationDisplay) els.iterationDisplay.innerText = I18n.t('inspector.iteration', { current: displayIndex, total });
+
+        if (snapshot) {
+            const inputChar = snapshot.inputChar;
+            const origIdx = snapshot.result.originalIndex;
+            let letterText = I18n.t('inspector.current', { char: inputChar });
+            let indexText = I18n.t('inspector.index', { index: origIdx });
+
+            if (showExplicit) {
+                letterText = I18n.t('inspector.explicitLetter', { char: inputChar, i: currentIndex });
+                indexText = I18n.t('inspector.explicitIndex', { char: inputChar, i: currentIndex });
+            }
+
+            if (els.currentLetterDisplay) els.currentLetterDisplay.innerText = letterText;
+
+            if (snapshot.result.isSpecial) {
+                if (els.indexDisplay) els.indexDisplay.innerText = I18n.t('inspector.index', { index: 'N/A' });
+                this.showEquation(this.equationBlock('equation-template', I18n.t('inspector.special')));
+            } else {
+                if (els.indexDisplay) els.indexDisplay.innerText = indexText;
+
+                // Handle Think Mode hiding
+                if (waitingForReveal) {
+                    // hide calculations, show predict prompt
+                    this.showEquation(this.equationBlock('equation-template', I18n.t('inspector.predictionRequired')));
+                    this.showThinkPrompt(snapshot);
+                } else {
+                    // show full calculation
+                    this.showEquation(
+                        this.equationBlock('equation-template', cipher.equation(key, mode, alphabet), 'ltr'),
+                        ...cipher.steps(snapshot.result, key, mode, alphabet).map(step => this.equationBlock('calculation-step', step)),
+                        this.predictionFeedback(snapshot.prediction)
+                    );
+                    this.hideThinkPrompt();
+                }
+            }
+
+            if (els.resultLetter) els.resultLetter.innerText = snapshot.result.char;
+            if (els.accumulatedText) els.accumulatedText.innerText = snapshot.accumulated;
+        } else {
+            if (els.resultLetter) els.resultLetter.innerText = '-';
+            if (els.accumulatedText) els.accumulatedText.innerText = '-';
+            if (els.currentLetterDisplay) els.currentLetterDisplay.innerText = I18n.t('inspector.current', { char: '-' });
+            if (els.indexDisplay) els.indexDisplay.innerText = I18n.t('inspector.index', { index: '-' });
+            this.showEquation(this.equationBlock('equation-template', cipher.equation(key, mode, alphabet), 'ltr'));
+            this.hideThinkPrompt();
+        }
+    },
+
+    // Inspector blocks are built as text nodes: equations and steps quote the
+    // student's letters, which may be any character a custom alphabet allows
+    equationBlock(className, text, dir) {
+        const div = document.createElement('div');
+        div.className = className;
+        if (dir) div.dir = dir;
+        div.textContent = text;
+        return div;
+    },
+
+    showEquation(...blocks) {
+        const display = this.elements.equationDisplay;
+        if (!display) return;
+        display.innerHTML = '';
+        blocks.filter(Boolean).forEach(block => display.appendChild(block));
+    },
+
+    // After a word, a sentence or a jump forward: what happened across the
+    // characters passed. Think Mode keeps it back with the rest of the answer.
+    chunkSummaryText(s) {
+        const chunk = s.chunk;
+        if (!chunk || chunk.to <= chunk.from || s.waitingForReveal) return '';
+        const c = LoopEngine.chunkSummary(chunk.from, chunk.to);
+        return I18n.t('chunk.summary', {
+            characters: I18n.plural('chunk.characters', c.characters),
+            details: I18n.list([I18n.plural('chunk.shifted', c.shifted), I18n.plural('chunk.kept', c.kept), I18n.plural('chunk.wraps', c.wraps)])
+        });
+    },
+
+    updateChunkSummary(s) {
+        const el = $id('chunkSummary');
+        if (!el) return;
+        const text = this.chunkSummaryText(s);
+        el.textContent = text;
+        el.classList.toggle('hidden', !text);
+    },
+
+    // Spoken summary of the step the inspector just drew (Think Mode keeps the answer back)
+    announceStep(snapshot, s) {
+        if (!snapshot) {
+            A11y.announce(I18n.t('announce.ready', { count: s.chars.length, verb: I18n.t(s.mode === 'encrypt' ? 'announce.encrypt' : 'announce.decrypt') }));
+            return;
+        }
+        const r = snapshot.result;
+        const parts = [this.chunkSummaryText(s), I18n.t('announce.character', { current: s.currentIndex + 1, total: s.chars.length, char: snapshot.inputChar })].filter(Boolean);
+        if (r.isSpecial) {
+            parts.push(I18n.t('announce.special'));
+        } else if (s.waitingForReveal) {
+            parts.push(I18n.t('announce.index', { index: r.originalIndex }), I18n.t('announce.predict'));
+        } else if (s.awaitingAnswer) {
+            const a = snapshot.answer;
+            parts.push(I18n.t('announce.index', { index: r.originalIndex }));
+            if (a && a.mistakes) parts.push(I18n.plural('announce.triesLeft', ASSESSMENT_CONFIG.MAX_TRIES - a.mistakes));
+            parts.push(I18n.t('announce.typeLetter', { verb: I18n.t(s.mode === 'encrypt' ? 'assess.encrypted' : 'assess.decrypted') }));
+        } else {
+            parts.push(I18n.t('announce.becomes', { index: r.originalIndex, char: r.char, newIndex: r.newIndex }));
+            const p = snapshot.prediction;
+            if (p) parts.push(p.skipped ? I18n.t('think.skipped') : p.correct ? I18n.t('announce.predictionCorrect') : I18n.t('announce.predictionWrong', { guess: p.guess }));
+            const a = snapshot.answer;
+            if (a) parts.push(I18n.t(a.revealed ? 'announce.answerShown' : 'announce.answerCorrect'));
+        }
+        A11y.announce(parts.join(' '));
+    },
+
+    // Program listing beside the inspector: rebuilt when the mission changes,
+    // then only the line classes and variable values change per step
+    updatePythonTrace(s) {
+        const codeEl = $id('pythonTraceCode');
+        if (!codeEl) return;
+        const signature = JSON.stringify([s.encryptedText, s.cipher, s.key, s.mode, s.alphabet]);
+        if (this.traceSignature !== signature) {
+            this.traceSignature = signature;
+            codeEl.innerHTML = '';
+            PythonTemplate.lines(s.encryptedText, s.cipher, s.key, s.mode, s.alphabet).forEach(line => {
+                const div = document.createElement('div');
+                div.className = 'trace-line';
+                div.dataset.role = line.role;
+                div.textContent = line.code || ' ';
+                codeEl.appendChild(div);
+            });
+        }
+
+        const trace = PythonTrace.state(s.timeline, s.currentIndex + 1, s.cipher, s.key, s.mode, s.waitingForReveal || s.awaitingAnswer, s.alphabet);
+        codeEl.querySelectorAll('.trace-line').forEach(div => {
+            const role = div.dataset.role;
+            div.classList.toggle('ran', trace.ran.includes(role));
+            div.classList.toggle('current', role === trace.current);
+            div.classList.toggle('skipped', !!trace.branch && ((trace.branch === 'if' && (role === 'else' || role === 'copy'))
+                || (trace.branch === 'else' && ['position', 'calc', 'new_letter', 'append'].includes(role))));
+        });
+
+        // Values left over from an earlier letter are shown faded, as Python still holds them
+        const outputName = PythonTemplate.variableNames(s.mode).output;
+        const stale = trace.branch === 'else';
+        const rows = [
+            ['letter', trace.vars.letter, false],
+            ['position', trace.vars.position, stale],
+            ['new_position', trace.vars.new_position, stale],
+            ['new_letter', trace.vars.new_letter, stale],
+            [outputName, trace.vars.output, false]
+        ];
+        const varsEl = $id('pythonTraceVars');
+        if (varsEl) {
+            varsEl.innerHTML = '';
+            rows.forEach(([name, value, faded]) => {
+                const tr = document.createElement('tr');
+                if (faded && value !== null) tr.className = 'stale';
+                const th = document.createElement('th');
+                th.textContent = name;
+                const td = document.createElement('td');
+                td.textContent = value === null ? '—' : (typeof value === 'string' && value !== '?' ? `"${value}"` : String(value));
+                tr.appendChild(th);
+                tr.appendChild(td);
+                varsEl.appendChild(tr);
+            });
+        }
+
+        const branchEl = $id('pythonTraceBranch');
+        if (branchEl) {
+            let text = I18n.t('trace.start');
+            if (trace.branch === 'if') text = I18n.t('trace.if', { char: trace.vars.letter });
+            if (trace.branch === 'else') {
+                const letter = trace.vars.letter;
+                text = I18n.t('trace.else', { char: letter });
+                if (letter !== letter.toLowerCase() && Alphabet.locate(Alphabet.resolve(s.alphabet), letter).index !== -1) text += ` ${I18n.t('trace.lowercase')}`;
+            }
+            branchEl.textContent = text;
+        }
+    },
+
+    predictionFeedback(prediction) {
+        if (!prediction) return null;
+        if (prediction.skipped) return this.equationBlock('prediction-result skipped', I18n.t('think.skipped'));
+        if (prediction.correct) return this.equationBlock('prediction-result correct', I18n.t('think.correct', { guess: prediction.guess }));
+        return this.equationBlock('prediction-result wrong', I18n.t('think.wrong', { guess: prediction.guess, expected: prediction.expected }));
+    },
+
+    // "Assessment score: 82% — 9/11 letters right first time, 3 mistakes, 1 hint, time 2:05"
+    assessmentSummary(stats, startedAt) {
+        if (!stats) return '';
+        return I18n.list([
+            I18n.t('assess.score', { score: stats.score, firstTry: stats.firstTry, letters: stats.letters }),
+            I18n.plural('assess.mistakes', stats.mistakes),
+            I18n.plural('assess.hints', stats.hints),
+            stats.revealed ? I18n.t('assess.revealed', { count: stats.revealed }) : '',
+            startedAt ? I18n.t('assess.time', { time: ClassAnalytics.formatDuration(Date.now() - startedAt) }) : ''
+        ]);
+    },
+
+    // Assessment Mode: while a letter is unanswered the result, running text and
+    // highlight stay hidden; hints bring back the highlight or the calculation
+    updateAssessment(snapshot, s) {
+        const els = this.elements;
+        const status = $id('assessStatus');
+        if (status) {
+            status.classList.toggle('hidden', !s.assessment);
+            status.textContent = s.assessment ? (this.assessmentSummary(LoopEngine.assessmentStats()) || I18n.t('assess.intro')) : '';
+        }
+        const prompt = $id('assessPrompt');
+        if (!prompt) return;
+
+        if (!s.awaitingAnswer) {
+            prompt.classList.add('hidden');
+            this.assessStep = null;
+            if (snapshot && snapshot.answer && this.isAnswered(snapshot) && els.equationDisplay) {
+                const note = document.createElement('div');
+                note.className = `prediction-result ${snapshot.answer.revealed ? 'wrong' : 'correct'}`;
+                const char = snapshot.result.char;
+                note.textContent = snapshot.answer.revealed
+                    ? I18n.t('assess.shown', { char })
+                    : (snapshot.answer.mistakes ? I18n.plural('assess.correctAfter', snapshot.answer.mistakes, { char }) : I18n.t('assess.correct', { char }));
+                els.equationDisplay.appendChild(note);
+            }
+            return;
+        }
+
+        const answer = snapshot.answer || { guesses: [], mistakes: 0, hints: [] };
+        const previous = s.currentIndex > 0 ? s.timeline[s.currentIndex - 1].accumulated : '';
+        if (els.resultLetter) els.resultLetter.innerText = '?';
+        if (els.accumulatedText) els.accumulatedText.innerText = previous || '-';
+
+        this.clearAlphabetHighlight();
+        if (answer.hints.includes('alphabet')) this.updateAlphabet(snapshot.result.originalIndex, -1);
+        if (!answer.hints.includes('equation') && els.equationDisplay) {
+            els.equationDisplay.innerHTML = '';
+            const hidden = document.createElement('div');
+            hidden.className = 'equation-template';
+            hidden.textContent = I18n.t('assess.yourTurn');
+            els.equationDisplay.appendChild(hidden);
+        }
+
+        prompt.classList.remove('hidden');
+        if ($id('assessChar')) $id('assessChar').textContent = snapshot.inputChar;
+        I18n.set($id('assessVerb'), s.mode === 'encrypt' ? 'assess.encrypted' : 'assess.decrypted');
+        if ($id('btnHintAlphabet')) $id('btnHintAlphabet').disabled = answer.hints.includes('alphabet');
+        if ($id('btnHintEquation')) $id('btnHintEquation').disabled = answer.hints.includes('equation');
+        const feedback = $id('assessFeedback');
+        if (feedback) {
+            const last = answer.guesses[answer.guesses.length - 1];
+            feedback.textContent = answer.mistakes
+                ? I18n.plural('assess.notIt', ASSESSMENT_CONFIG.MAX_TRIES - answer.mistakes, { guess: last })
+                : '';
+        }
+
+        // A new letter clears the field and puts the cursor in it
+        const input = $id('assessInput');
+        if (input && this.assessStep !== s.currentIndex) {
+            this.assessStep = s.currentIndex;
+            input.value = '';
+            if (els.decryptionScreen && !els.decryptionScreen.classList.contains('hidden') && !Dialog.isOpen()) input.focus({ preventScroll: true });
+        }
+    },
+
+    isAnswered(step) {
+        return LoopEngine.isAnswered(step);
+    },
+
+    // Step Forward while a letter is still unanswered
+    requireAnswer() {
+        const input = $id('assessInput');
+        if (input) input.focus({ preventScroll: true });
+        if ($id('assessFeedback')) $id('assessFeedback').textContent = I18n.t('assess.checkFirst');
+        A11y.announce(I18n.t('assess.checkFirst'));
+    },
+
+    predictionSummary(stats) {
+        if (!stats.total) return '';
+        const accuracy = stats.accuracy === null ? '-' : `${stats.accuracy}%`;
+        return I18n.t('think.summary', { correct: stats.correct, attempted: stats.correct + stats.wrong, accuracy, skipped: stats.skipped });
+    },
+
+    showThinkPrompt(snapshot) {
+        const tp = this.elements.btnReveal ? this.elements.btnReveal.closest('.think-prompt') : null;
+        // toggle container visibility
+        const prompt = $id('thinkPrompt');
+        if (!prompt) return;
+        // Presenting, the class poll asks instead
+        prompt.classList.toggle('hidden', !!Presentation.role);
+        // clear previous feedback/input
+        if (this.elements.predictInput) this.elements.predictInput.value = '';
+        if (this.elements.predictFeedback) this.elements.predictFeedback.innerText = '';
+    },
+
+    // Presentation: Think Mode's prompt becomes a class poll the teacher tallies
+    updateClassPoll(current, s) {
+        const panel = $id('classPoll');
+        if (!panel) return;
+        const poll = Presentation.role && current && !current.result.isSpecial ? Presentation.pollFor(s) : null;
+        panel.classList.toggle('hidden', !poll);
+        if (!poll) return;
+
+        const revealed = !s.waitingForReveal;
+        const expected = current.result.newIndex;
+        const alphabet = Alphabet.resolve(s.alphabet);
+        const tally = $id('pollTally');
+        if (tally) {
+            tally.innerHTML = '';
+            Object.keys(poll.votes).map(Number).sort((a, b) => a - b).forEach(index => {
+                const chip = document.createElement('span');
+                chip.className = `poll-chip${revealed && index === expected ? ' correct' : ''}`;
+                chip.textContent = I18n.t('poll.chip', { index, char: alphabet.letters[index], count: poll.votes[index] });
+                tally.appendChild(chip);
+            });
+        }
+        const votes = Object.values(poll.votes).reduce((sum, n) => sum + n, 0);
+        const status = $id('pollStatus');
+        if (status) {
+            status.textContent = revealed
+                ? I18n.t('poll.result', { right: poll.votes[expected] || 0, votes, index: expected, char: alphabet.letters[expected] })
+                : I18n.plural('poll.votes', votes);
+        }
+        ['pollInput', 'btnPollAdd', 'btnPollReveal'].forEach(id => { if ($id(id)) $id(id).disabled = revealed; });
+    },
+
+    // Speed buttons for the presenter; a running autoplay picks up the new speed
+    changeSpeed(delta) {
+        const slider = this.elements.speedSlider;
+        if (!slider) return;
+        slider.value = clamp(Number(slider.value) + delta, Number(slider.min) || 1, Number(slider.max) || CONFIG.SPEED_LEVELS.length);
+        this.updateSpeedLabel();
+        const engine = this.activeEngine();
+        if (engine.state.isPlaying) {
+            engine.pause();
+            this.play();
+        }
+        Presentation.broadcast();
+    },
+
+    updateSpeedLabel() {
+        const label = $id('presenterSpeed');
+        if (label && this.elements.speedSlider) label.textContent = I18n.t('present.speed', { speed: this.elements.speedSlider.value, max: this.elements.speedSlider.max });
+    },
+
+    hideThinkPrompt() {
+        const prompt = $id('thinkPrompt');
+        if (!prompt) return;
+        prompt.classList.add('hidden');
+        if (this.elements.predictFeedback) this.elements.predictFeedback.innerText = '';
+    },
+
+    // Spans are built once per text; a step only restyles the spans between the
+    // old and new position, so long messages do not re-render on every step
+    updateEncryptedVisualizer(text, currentIndex) {
+        const container = this.elements.encryptedVisualizer;
+        if (!container) return;
+        const view = this.visualizer;
+
+        if (view.text !== text || container.firstChild !== (view.spans[0] || null)) {
+            container.innerHTML = '';
+            const fragment = document.createDocumentFragment();
+            view.spans = Array.from(text).map((ch, i) => {
+                const span = document.createElement('span');
+                span.className = 'char';
+                span.textContent = ch;
+                span.dataset.index = i;
+                fragment.appendChild(span);
+                return span;
+            });
+            container.appendChild(fragment);
+            // Right-to-left messages run right-to-left whatever the page language
+            container.dir = I18n.textDirection(text);
+            view.text = text;
+            view.index = -1;
+            this.styleVisualizerSpans(0, view.spans.length - 1, currentIndex);
+        } else {
+            this.styleVisualizerSpans(Math.min(view.index, currentIndex), Math.max(view.index, currentIndex), currentIndex);
+        }
+        view.index = currentIndex;
+    },
+
+    styleVisualizerSpans(from, to, currentIndex) {
+        const spans = this.visualizer.spans;
+        for (let i = Math.max(from, 0); i <= to && i < spans.length; i++) {
+            spans[i].classList.toggle('char-current', i === currentIndex);
+            spans[i].classList.toggle('char-decrypted', i < currentIndex);
+        }
+    },
+
+    // Scrubber position 0 is "before the first character"; the track shows how far the student got
+    updateScrubber(currentIndex, total, reached) {
+        const scrubber = $id('timelineScrubber');
+        if (!scrubber) return;
+        scrubber.max = total;
+        scrubber.value = currentIndex + 1;
+        scrubber.setAttribute('aria-valuetext', currentIndex >= 0 ? I18n.t('timeline.character', { current: currentIndex + 1, total }) : I18n.t('timeline.start'));
+        scrubber.style.setProperty('--reached', `${total ? ((reached + 1) / total) * 100 : 0}%`);
+        if ($id('timelineLabel')) $id('timelineLabel').textContent = `${currentIndex + 1} / ${total}`;
+    },
+
+    // Dragging fires many input events; only the latest position is drawn, once per frame
+    scheduleJump(index) {
+        const queued = this.pendingJump !== null;
+        this.pendingJump = index;
+        if (queued) return;
+        const run = () => {
+            const target = this.pendingJump;
+            this.pendingJump = null;
+            if (target !== null) LoopEngine.jumpTo(target);
+        };
+        if (window.requestAnimationFrame) window.requestAnimationFrame(run);
+        else setTimeout(run, 16);
+    },
+
+    updateCodebreaker(current, ranked, cipherText) {
+        const els = this.elements;
+        if ($id('shiftDisplay')) $id('shiftDisplay').innerText = I18n.t('codebreaker.shift', { shift: current ? current.shift : '-', max: CONFIG.ALPHABET.length - 1 });
+        if ($id('candidateText')) $id('candidateText').innerText = current ? current.text : '-';
+        if ($id('candidateScore')) $id('candidateScore').innerText = I18n.t('codebreaker.score', { score: current ? current.score.toFixed(1) : '-' });
+
+        if (els.candidateList) {
+            els.candidateList.innerHTML = '';
+            ranked.slice(0, 5).forEach((c, i) => {
+                const li = document.createElement('li');
+                li.innerText = I18n.t('codebreaker.candidate', { shift: c.shift, text: c.text, score: c.score.toFixed(1) });
+                if (i === 0) li.classList.add('best-candidate');
+                els.candidateList.appendChild(li);
+            });
+        }
+
+        this.updateFrequencyHistogram(current ? current.text : cipherText);
+    },
+
+    // Live letter-frequency bars for the current candidate, with the English reference marked
+    updateFrequencyHistogram(text) {
+        const container = this.elements.frequencyHistogram;
+        if (!container) return;
+        const counts = Cryptanalysis.letterCounts(text);
+        const total = counts.reduce((a, b) => a + b, 0) || 1;
+        const maxPct = Math.max(...CONFIG.ENGLISH_FREQUENCIES, ...counts.map(c => c / total * 100));
+
+        container.innerHTML = '';
+        CONFIG.ALPHABET.forEach((letter, i) => {
+            const col = document.createElement('div');
+            col.className = 'freq-col';
+            const bar = document.createElement('div');
+            bar.className = 'freq-bar';
+            bar.style.height = `${(counts[i] / total * 100) / maxPct * 100}%`;
+            const expected = document.createElement('div');
+            expected.className = 'freq-expected';
+            expected.style.bottom = `${CONFIG.ENGLISH_FREQUENCIES[i] / maxPct * 100}%`;
+            const label = document.createElement('span');
+            label.className = 'freq-label';
+            label.innerText = letter;
+            col.appendChild(bar);
+            col.appendChild(expected);
+            col.appendChild(label);
+            container.appendChild(col);
+        });
+    },
+
+    showCodebreakerComplete(best) {
+        if (!best) return;
+        const els = this.elements;
+        setTimeout(() => {
+            // Hand the cracked key to a normal decryption mission
+            if (els.modeSelect) els.modeSelect.value = 'decrypt';
+            this.applyMode('decrypt');
+            if (els.keyInput) els.keyInput.value = best.shift;
+            Dialog.alert(I18n.t('codebreaker.done', { count: CONFIG.ALPHABET.length, shift: best.shift, text: best.text }), I18n.t('codebreaker.region'));
+        }, 800);
+    },
+
+    updateProgress(currentIndex, total) {
+        const bar = $id('progressBar');
+        if (!bar) return;
+        const pct = total === 0 ? 0 : clamp(((currentIndex + 1) / total) * 100, 0, 100);
+        bar.style.width = `${pct}%`;
+    },
+
+    updatePlayButton(isPlaying) {
+        const btnPlay = this.elements.btnPlay;
+        const btnPause = this.elements.btnPause;
+        if (!btnPlay || !btnPause) return;
+        if (isPlaying) { btnPlay.classList.add('hidden'); btnPause.classList.remove('hidden'); }
+        else { btnPlay.classList.remove('hidden'); btnPause.classList.add('hidden'); }
+    },
+
+    showMissionComplete() {
+        const s = LoopEngine.state;
+        const code = PythonTemplate.build(s.encryptedText, s.cipher, s.key, s.mode, s.alphabet);
+
+        PythonLabController.load(code, s.accumulatedText);
+        const summary = [
+            this.predictionSummary(LoopEngine.predictionStats()),
+            this.assessmentSummary(LoopEngine.assessmentStats(), s.startedAt)
+        ].filter(Boolean).join('\n');
+        if ($id('predictionScore')) $id('predictionScore').innerText = summary;
+        setTimeout(() => {
             const classId = this.elements.classIdInput ? this.elements.classIdInput.value : 'default';
             const studentId = this.elements.studentIdInput ? this.elements.studentIdInput.value : 'unknown';
-            ClassSync.saveAttempt(classId, studentId);
 
-            // Transition to Thonny Screen
-            this.showScreen('thonnyScreen');
+            // Campaign missions record progress and may award a new rank
+            let headline = I18n.t('complete.headline');
+            let rank = CampaignStore.loadProgress(classId, studentId).rank;
+            let promoted = false;
+            if (this.activeMission) {
+                const outcome = CampaignStore.completeMission(classId, studentId, this.activeMission.id);
+                if (outcome.promoted) headline = I18n.t('complete.promoted', { rank: outcome.progress.rank });
+                this.showRank(outcome.progress.rank);
+                rank = outcome.progress.rank;
+                promoted = outcome.promoted;
+            }
+            this.certificate = { studentName: studentId, rank, promoted, missionTitle: this.missionTitle(), date: Date.now() };
+            if ($id('btnPrintCertificate')) {
+                $id('btnPrintCertificate').classList.remove('hidden');
+                I18n.set($id('btnPrintCertificate'), promoted ? 'complete.certificatePromoted' : 'complete.certificate');
+            }
+            // Save attempt to localStorage; the finished mission is no longer resumable
+            ClassSync.saveAttempt(classId, studentId, s, this.activeMission ? this.activeMission.id : null);
+            this.flushSync(false);
+            SessionStore.clear(classId, studentId);
+
+            // Transition to Thonny Screen once the student dismisses the debrief
+            Dialog.alert(summary ? `${headline}\n${summary}` : headline, I18n.t('complete.title'))
+                .then(() => this.showScreen('thonnyScreen'));
         }, 800);
     },
 
+    missionTitle() {
+        if (this.activeMission) return this.activeMission.title;
+        return this.sharedMission ? this.sharedMission.title : '';
+    },
+
+    // Worksheet for the mission on screen: the running one, or the settings not yet
+    // started. This is the student's copy, so it has no answer key.
+    printWorksheet() {
+        const s = LoopEngine.state;
+        const running = this.missionMode !== 'crack' && s.chars.length > 0;
+        const config = running
+            ? { encrypted: s.encryptedText, cipher: s.cipher, key: CipherEngine.formatKey(s.cipher, s.key), mode: s.mode, alphabet: s.alphabet }
+            : this.readMissionConfig();
+        if (config.mode === 'crack') {
+            Dialog.alert(I18n.t('worksheet.needsKey'), I18n.t('worksheet.title'));
+            return;
+        }
+        Printables.print(Printables.worksheet({ ...config, title: this.missionTitle() }, { answerKey: false }));
+    },
+
+    showRank(rank) {
+        I18n.set(this.elements.agentRank, 'campaign.rank', { rank: rank || DEFAULT_RANK });
+    },
+
+    // Campaign missions fix the text, cipher and key; free practice leaves them editable
+    lockMissionInputs(locked) {
+        ['encryptedInput', 'keyInput', 'customAlphabetInput'].forEach(id => { if ($id(id)) $id(id).readOnly = locked; });
+        ['modeSelect', 'cipherSelect', 'alphabetSelect', 'assessModeToggle'].forEach(id => { if ($id(id)) $id(id).disabled = locked; });
+        if (!locked) this.applyMode(this.elements.modeSelect ? this.elements.modeSelect.value : 'decrypt');
+    },
+
     reset() {
         this.clearAlphabetHighlight();
         if (this.elements.resultLetter) this.elements.resultLetter.innerText = '-';
         if (this.elements.accumulatedText) this.elements.accumulatedText.innerText = '-';
-        if (this.elements.iterationDisplay) this.elements.iterationDisplay.innerText = 'Iteration: - / -';
+        if (this.elements.iterationDisplay) this.elements.iterationDisplay.innerText = I18n.t('inspector.iteration', { current: '-', total: '-' });
         this.updatePlayButton(false);
         this.showScreen('decryptionScreen');
     },
 
+    // After a language switch: tagged markup is already redone by I18n.apply,
+    // text drawn from engine state is drawn again
+    refreshLocale() {
+        const els = this.elements;
+        if (els.cipherSelect) this.labelKey(els.cipherSelect.value);
+        A11y.setCalm(A11y.calm, false);
+        this.renderUnsavedNotice();
+        this.updateSpeedLabel();
+        if (els.decryptionScreen && !els.decryptionScreen.classList.contains('hidden')) {
+            if (this.missionMode === 'crack') CodebreakerEngine.notifyUI();
+            else if (LoopEngine.state.chars.length) LoopEngine.notify();
+        }
+        const campaign = $id('campaignScreen');
+        if (campaign && !campaign.classList.contains('hidden')) CampaignController.render();
+        const dashboard = $id('teacherDashboard');
+        if (dashboard && !dashboard.classList.contains('hidden')) {
+            TeacherController.render();
+            TeacherController.renderMissions();
+            TeacherController.renderSync();
+            TeacherController.renderStorage();
+        }
+        const analytics = $id('analyticsScreen');
+        if (analytics && !analytics.classList.contains('hidden')) AnalyticsController.render();
+        const live = $id('liveScreen');
+        if (live && !live.classList.contains('hidden')) LiveViewController.refresh();
+    },
+
     attachListeners() {
         const els = this.elements;
-        if (els.btnStepForward) els.btnStepForward.addEventListener('click', () => LoopEngine.nextStep());
-        if (els.btnStepBack) els.btnStepBack.addEventListener('click', () => LoopEngine.prevStep());
-        if (els.btnPlay) els.btnPlay.addEventListener('click', () => LoopEngine.play());
-        if (els.btnPause) els.btnPause.addEventListener('click', () => LoopEngine.pause());
-        if (els.btnReset) els.btnReset.addEventListener('click', () => LoopEngine.reset());
+        if (els.btnStepForward) els.btnStepForward.addEventListener('click', () => this.activeEngine().nextStep());
+        if (els.btnStepBack) els.btnStepBack.addEventListener('click', () => this.activeEngine().prevStep());
+        if (els.btnPlay) els.btnPlay.addEventListener('click', () => this.play());
+        if (els.btnPause) els.btnPause.addEventListener('click', () => this.activeEngine().pause());
+        if (els.btnReset) els.btnReset.addEventListener('click', () => this.activeEngine().reset());
         if (els.btnReveal) els.btnReveal.addEventListener('click', () => {
-            // check prediction if any
+            // check prediction if any; the outcome is shown with the revealed calculation
             const guess = parseInt(els.predictInput ? els.predictInput.value : NaN, 10);
-            const currentSnap = LoopEngine.state.history[LoopEngine.state.history.length - 1];
-            if (!isNaN(guess) && currentSnap && !currentSnap.result.isSpecial) {
-                if (guess === currentSnap.result.newIndex) {
-                    if (els.predictFeedback) { els.predictFeedback.innerText = "Nice! Prediction correct."; }
-                } else {
-                    if (els.predictFeedback) { els.predictFeedback.innerText = `Not quite — expected ${currentSnap.result.newIndex}.`; }
-                }
-            }
-            LoopEngine.revealPrediction();
+            LoopEngine.revealPrediction(guess);
         });
         if (els.btnSkipPredict) els.btnSkipPredict.addEventListener('click', () => LoopEngine.skipPrediction());
+        // Presentation mode and the class poll
+        if ($id('btnPresent')) $id('btnPresent').addEventListener('click', () => Presentation.start());
+        if ($id('btnExitPresent')) $id('btnExitPresent').addEventListener('click', () => Presentation.stop());
+        if ($id('btnOpenAudience')) $id('btnOpenAudience').addEventListener('click', () => Presentation.openAudience());
+        if ($id('btnSlower')) $id('btnSlower').addEventListener('click', () => this.changeSpeed(-1));
+        if ($id('btnFaster')) $id('btnFaster').addEventListener('click', () => this.changeSpeed(1));
+        if (els.speedSlider) els.speedSlider.addEventListener('input', () => {
+            this.updateSpeedLabel();
+            Presentation.broadcast();
+        });
+        const pollInput = $id('pollInput');
+        const addVote = () => {
+            if (!pollInput) return;
+            const ok = Presentation.vote(pollInput.value);
+            if ($id('pollStatus') && !ok && pollInput.value.trim()) $id('pollStatus').textContent = I18n.t('poll.invalid', { value: pollInput.value.trim() });
+            pollInput.value = '';
+            pollInput.focus();
+        };
+        if ($id('btnPollAdd')) $id('btnPollAdd').addEventListener('click', addVote);
+        if (pollInput) pollInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addVote();
+        });
+        if ($id('btnPollReveal')) $id('btnPollReveal').addEventListener('click', () => Presentation.reveal());
+        if ($id('btnViewGrid')) $id('btnViewGrid').addEventListener('click', () => this.setAlphabetView('grid', true));
+        if ($id('btnViewLine')) $id('btnViewLine').addEventListener('click', () => this.setAlphabetView('line', true));
+        // Timeline: scrubber and clickable characters jump to any iteration
+        const scrubber = $id('timelineScrubber');
+        if (scrubber) scrubber.addEventListener('input', () => this.scheduleJump(Number(scrubber.value) - 1));
+        if (els.encryptedVisualizer) els.encryptedVisualizer.addEventListener('click', (e) => {
+            const span = e.target.closest('.char');
+            if (span && this.missionMode !== 'crack') LoopEngine.jumpTo(Number(span.dataset.index));
+        });
+        // Toggles reach a running mission as engine options
+        if (els.preserveCaseToggle) els.preserveCaseToggle.addEventListener('change', () => {
+            if (this.missionMode !== 'crack') LoopEngine.setOptions({ preserveCase: els.preserveCaseToggle.checked });
+        });
+        if (els.thinkModeToggle) els.thinkModeToggle.addEventListener('change', () => {
+            if (this.missionMode !== 'crack') LoopEngine.setOptions({ thinkMode: els.thinkModeToggle.checked });
+        });
+        const stepSize = $id('stepSizeSelect');
+        if (stepSize) stepSize.addEventListener('change', () => {
+            if (this.missionMode !== 'crack') LoopEngine.setOptions({ stepSize: stepSize.value });
+        });
+        // Assessment Mode answers and hints
+        const assessInput = $id('assessInput');
+        const check = () => {
+            if (!assessInput) return;
+            const answer = LoopEngine.submitAnswer(assessInput.value);
+            if (!answer) return;
+            if (LoopEngine.isAnswered(LoopEngine.currentStep())) {
+                if (els.btnStepForward) els.btnStepForward.focus();
+            } else {
+                assessInput.select();
+            }
+        };
+        if ($id('btnAssessCheck')) $id('btnAssessCheck').addEventListener('click', check);
+        if (assessInput) assessInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') { e.preventDefault(); check(); }
+        });
+        if ($id('btnHintAlphabet')) $id('btnHintAlphabet').addEventListener('click', () => LoopEngine.useHint('alphabet'));
+        if ($id('btnHintEquation')) $id('btnHintEquation').addEventListener('click', () => LoopEngine.useHint('equation'));
+        if (els.predictInput) els.predictInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && els.btnReveal) { e.preventDefault(); els.btnReveal.click(); }
+        });
+
+        // Paper copies
+        if ($id('btnPrintWorksheet')) $id('btnPrintWorksheet').addEventListener('click', () => this.printWorksheet());
+        if ($id('btnPrintCertificate')) $id('btnPrintCertificate').addEventListener('click', () => {
+            if (this.certificate) Printables.print(Printables.certificate(this.certificate));
+        });
 
         // Thonny Finish Button
         if ($id('btnFinish')) $id('btnFinish').addEventListener('click', () => {
-            // Return to start or reset? Let's reload or just go back to setup
-            location.reload();
+            // Back to mission select; login and campaign progress are kept
+            CampaignController.open();
         });
 
         // Start mission button
         const startBtn = $id('btnStartMission');
         if (startBtn) startBtn.addEventListener('click', () => {
-            const encrypted = $id('encryptedInput') ? $id('encryptedInput').value : 'khoor zruog';
-            const key = $id('keyInput') ? parseInt($id('keyInput').value, 10) : CONFIG.DEFAULT_KEY;
-            LoopEngine.init(encrypted, key);
+            this.startMission(this.readMissionConfig());
         });
 
-        // Export CSV
+        // Mission direction relabels the screen before the mission starts
+        if (els.modeSelect) els.modeSelect.addEventListener('change', () => this.applyMode(els.modeSelect.value));
+
+        // Cipher picker drives the key field
+        if (els.cipherSelect) els.cipherSelect.addEventListener('change', () => this.applyKeySchema(els.cipherSelect.value));
+
+        // Alphabet picker: custom letters field, key range and the grid preview
+        const onAlphabet = () => {
+            if (els.customAlphabetInput) els.customAlphabetInput.classList.toggle('hidden', !els.alphabetSelect || els.alphabetSelect.value !== 'custom');
+            this.applyKeySchema(els.cipherSelect ? els.cipherSelect.value : 'caesar', true);
+            this.generateAlphabetGrid(this.readAlphabet());
+        };
+        if (els.alphabetSelect) els.alphabetSelect.addEventListener('change', onAlphabet);
+        if (els.customAlphabetInput) els.customAlphabetInput.addEventListener('input', onAlphabet);
+
+        // Export CSV / JSON
         if (els.btnExportData) els.btnExportData.addEventListener('click', () => {
             const classId = els.classIdInput ? els.classIdInput.value : 'default';
             ClassSync.exportClassCSV(classId);
         });
+        if ($id('btnExportJSON')) $id('btnExportJSON').addEventListener('click', () => {
+            const classId = els.classIdInput ? els.classIdInput.value : 'default';
+            ClassSync.exportClassJSON(classId);
+        });
 
         // Class setup - FIXED ID & STUDENT WHITELIST CHECK
         if (els.btnStartClass) els.btnStartClass.addEventListener('click', () => {
             const enteredId = els.classIdInput ? els.classIdInput.value.trim().toUpperCase() : '';
             const studentId = els.studentIdInput ? (els.studentIdInput.value || '').trim() : '';
 
-            // 1. Fixed Password Check
-            // CHANGE THIS VALUE TO SET YOUR CLASS PASSWORD
-            const FIXED_CLASS_ID = "SPY-ACADEMY";
-
-            if (enteredId !== FIXED_CLASS_ID) {
-                alert("ACCESS DENIED: INCORRECT CLASS ID.\nPlease enter the correct code (e.g. SPY-ACADEMY).");
-                if (els.classIdInput) {
-                    els.classIdInput.value = "";
-                    els.classIdInput.focus();
-                }
+            // 1. Class access code check (classes are managed in the Teacher Dashboard)
+            if (!TeacherStore.findClass(enteredId)) {
+                if (els.classIdInput) els.classIdInput.value = "";
+                Dialog.alert(I18n.t('login.badClass'), I18n.t('login.deniedTitle'))
+                    .then(() => { if (els.classIdInput) els.classIdInput.focus(); });
                 return;
             }
 
             // 2. Student Whitelist Check
             // Case-insensitive lookup
-            const foundStudent = STUDENT_DATABASE.find(name => name.toLowerCase() === studentId.toLowerCase());
+            const foundStudent = TeacherStore.findStudent(enteredId, studentId);
 
             if (!foundStudent) {
-                alert(`ACCESS DENIED: IDENTITY UNVERIFIED.\nAgent "${studentId}" is not in the mission database.\nPlease contact your handler.`);
-                if (els.studentIdInput) {
-                    els.studentIdInput.value = "";
-                    els.studentIdInput.focus();
-                }
+                if (els.studentIdInput) els.studentIdInput.value = "";
+                Dialog.alert(I18n.t('login.badStudent', { name: studentId }), I18n.t('login.deniedTitle'))
+                    .then(() => { if (els.studentIdInput) els.studentIdInput.focus(); });
                 return;
             }
 
@@ -540,96 +5835,1127 @@ print(decrypted)
             // store temporarily in UIController
             if (els.classIdInput) els.classIdInput.value = enteredId;
             if (els.studentIdInput) els.studentIdInput.value = foundStudent; // Use proper casing from DB
+            SessionStore.rememberLogin(enteredId, foundStudent);
+
+            // A mission code goes straight to that mission
+            const codeInput = $id('missionCodeInput');
+            const code = codeInput ? codeInput.value.trim() : '';
+            if (code) {
+                const shared = MissionCode.decode(code);
+                if (!shared) {
+                    Dialog.alert(I18n.t('login.badCode'), I18n.t('login.badCodeTitle'))
+                        .then(() => { if (codeInput) codeInput.focus(); });
+                    return;
+                }
+                CampaignController.startSharedMission(shared);
+                return;
+            }
+
+            // A mission left half-way is offered on mission select instead of re-running the diagnostic
+            if (SessionStore.resumable(enteredId, foundStudent)) {
+                CampaignController.open();
+                return;
+            }
 
             // Transition using new helper
             this.showScreen('diagnosticScreen');
+            DiagnosticController.start();
         });
 
-        // Keyboard controls
+        const share = $id('btnShareMission');
+        if (share) share.addEventListener('click', () => this.shareCurrentMission());
+
+        // Keyboard controls: only on the mission screen, and never while typing.
+        // Space on a focused button presses that button instead.
+        // Presenting, a clicker's Page Down / Page Up step and + / - change the speed;
+        // the audience window only follows the presenter.
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowRight') LoopEngine.nextStep();
-            if (e.key === 'ArrowLeft') LoopEngine.prevStep();
+            if (Dialog.isOpen() || e.altKey || e.ctrlKey || e.metaKey) return;
+            if (!els.decryptionScreen || els.decryptionScreen.classList.contains('hidden')) return;
+            if (Presentation.role === 'audience') return;
+            const target = e.target;
+            if (A11y.isTypingTarget(target)) return;
+            const engine = this.activeEngine();
+            const presenting = Presentation.role === 'presenter';
+            if (e.key === 'ArrowRight' || (presenting && e.key === 'PageDown')) engine.nextStep();
+            if (e.key === 'ArrowLeft' || (presenting && e.key === 'PageUp')) engine.prevStep();
+            if (presenting && (e.key === '+' || e.key === '=')) this.changeSpeed(1);
+            if (presenting && e.key === '-') this.changeSpeed(-1);
+            if (presenting && (e.key === 'PageDown' || e.key === 'PageUp')) e.preventDefault();
             if (e.key === ' ' || e.key === 'Spacebar') {
+                if (target && (target.tagName === 'BUTTON' || target.tagName === 'A')) return;
                 e.preventDefault();
-                LoopEngine.state.isPlaying ? LoopEngine.pause() : LoopEngine.play();
+                if (engine.state.isPlaying) engine.pause();
+                else if (A11y.calm) A11y.announce(I18n.t('a11y.autoplayHint'));
+                else this.play();
             }
         });
     }
 };
 
 // ---------- DiagnosticController ----------
+// Builds the deck from DIAGNOSTIC_BANK, counts tries per question and routes
+// students who struggle through the remedial notes before the mission.
 const DiagnosticController = {
+    questions: [],
+    results: [],
+    current: 0,
+    busy: false, // an answer is being shown; further clicks and Enter presses are ignored
+
     init() {
-        // STATE-BASED INIT
-        const tasks = document.querySelectorAll('.task-card');
-        tasks.forEach((t, i) => {
-            // Clear any old classes just in case
-            t.classList.remove('hidden', 'state-active', 'state-incoming', 'state-outgoing');
-
-            if (i === 0) {
-                t.classList.add('state-active');
+        const cont = $id('btnRemedialContinue');
+        if (cont) cont.addEventListener('click', () => CampaignController.open());
+    },
+
+    // Random questions, one per topic where the bank allows it
+    pickQuestions(count = DIAGNOSTIC_CONFIG.QUESTION_COUNT) {
+        const shuffled = DIAGNOSTIC_BANK.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        const picked = [];
+        const topics = new Set();
+        shuffled.forEach(q => { if (picked.length < count && !topics.has(q.topic)) { picked.push(q); topics.add(q.topic); } });
+        shuffled.forEach(q => { if (picked.length < count && !picked.includes(q)) picked.push(q); });
+        return picked;
+    },
+
+    start() {
+        this.questions = this.pickQuestions();
+        this.results = this.questions.map(q => ({ id: q.id, topic: q.topic, tries: 0, correct: false }));
+        this.current = 0;
+        this.busy = false;
+        I18n.set($id('diagnosticIntro'), 'diagnostic.intro', { count: this.questions.length });
+        this.render();
+    },
+
+    // `code` spans in prompt text become <code> elements
+    appendRichText(parent, text) {
+        String(text).split('`').forEach((part, i) => {
+            if (!part) return;
+            if (i % 2) {
+                const code = document.createElement('code');
+                code.textContent = part;
+                parent.appendChild(code);
             } else {
-                t.classList.add('state-incoming');
-            }
-        });
-
-        const options = document.querySelectorAll('.option-btn');
-        options.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const isCorrect = e.target.dataset.correct === 'true';
-                const parent = e.target.closest('.task-card');
-                const feedback = $id('diagnosticFeedback');
-
-                if (isCorrect) {
-                    e.target.style.background = 'var(--success)';
-                    e.target.style.color = '#fff';
-                    if (feedback) feedback.innerText = "CORRECT. ACCESSING NEXT NODE...";
-
-                    // TRANSITION LOGIC
-                    setTimeout(() => {
-                        if (feedback) feedback.innerText = "";
-
-                        if (parent) {
-                            // 1. Current card exits Left
-                            parent.classList.remove('state-active');
-                            parent.classList.add('state-outgoing');
-
-                            // 2. Next card enters from Right
-                            const next = parent.nextElementSibling;
-                            if (next && next.classList.contains('task-card')) {
-                                next.classList.remove('state-incoming');
-                                // Force reflow to ensure transition triggers if needed, 
-                                // though usually removing incoming and adding active is enough 
-                                // if they have different transform states.
-                                void next.offsetWidth;
-                                next.classList.add('state-active');
-
-                            } else {
-                                // All done -> start mission screen
-                                const encrypted = $id('encryptedInput') ? $id('encryptedInput').value : 'khoor zruog';
-                                const key = $id('keyInput') ? parseInt($id('keyInput').value, 10) : CONFIG.DEFAULT_KEY;
-
-                                UIController.showScreen('decryptionScreen');
-                                LoopEngine.init(encrypted, key);
-                            }
-                        }
-                    }, 500); // Short pause to see green success state
-                } else {
-                    e.target.style.background = 'var(--danger)';
-                    e.target.style.color = '#fff';
-                    if (feedback) feedback.innerText = "ACCESS DENIED. INCORRECT.";
-                    setTimeout(() => {
-                        e.target.style.background = '';
-                        e.target.style.color = '';
-                        if (feedback) feedback.innerText = "";
-                    }, 800);
+                parent.appendChild(document.createTextNode(part));
+            }
+        });
+    },
+
+    render() {
+        const deck = $id('diagnosticTasks');
+        if (!deck) return;
+        deck.innerHTML = '';
+
+        this.questions.forEach((q, i) => {
+            const card = document.createElement('div');
+            card.className = 'task-card';
+            card.id = `task${i + 1}`;
+            // STATE-BASED INIT
+            card.classList.add(i === 0 ? 'state-active' : 'state-incoming');
+            this.setCardActive(card, i === 0);
+
+            const title = document.createElement('h3');
+            title.textContent = `${i + 1}. ${q.title}`;
+            card.appendChild(title);
+
+            const prompt = document.createElement('p');
+            this.appendRichText(prompt, q.prompt);
+            card.appendChild(prompt);
+
+            if (q.code) {
+                const pre = document.createElement('pre');
+                pre.className = 'code-snippet';
+                pre.textContent = q.code;
+                card.appendChild(pre);
+            }
+
+            if (q.type === 'choice') {
+                const options = document.createElement('div');
+                options.className = 'options';
+                q.options.forEach((label, optIdx) => {
+                    const btn = document.createElement('button');
+                    btn.className = 'option-btn';
+                    btn.textContent = label;
+                    btn.addEventListener('click', () => this.answer(i, optIdx === q.answer, btn));
+                    options.appendChild(btn);
+                });
+                card.appendChild(options);
+            } else {
+                const row = document.createElement('div');
+                row.className = 'options';
+                const input = document.createElement(q.type === 'output' ? 'textarea' : 'input');
+                input.className = 'diagnostic-answer';
+                if (q.type === 'numeric') input.type = 'number';
+                else input.rows = 3;
+                input.dataset.i18nPlaceholder = q.type === 'output' ? 'diagnostic.outputPlaceholder' : 'diagnostic.answerPlaceholder';
+                input.placeholder = I18n.t(input.dataset.i18nPlaceholder);
+                const submit = document.createElement('button');
+                submit.className = 'option-btn';
+                I18n.set(submit, 'diagnostic.check');
+                const check = () => this.answer(i, this.isCorrect(q, input.value), submit);
+                submit.addEventListener('click', check);
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' && (q.type === 'numeric' || !e.shiftKey)) { e.preventDefault(); check(); }
+                });
+                row.appendChild(input);
+                row.appendChild(submit);
+                card.appendChild(row);
+            }
+
+            deck.appendChild(card);
+        });
+    },
+
+    // Off-screen cards are hidden from screen readers and the Tab order
+    setCardActive(card, active) {
+        card.setAttribute('aria-hidden', String(!active));
+        card.inert = !active;
+    },
+
+    focusCard(card) {
+        const control = card.querySelector('button, input, textarea');
+        if (control) control.focus({ preventScroll: true });
+    },
+
+    // Output answers ignore differences in spacing and line breaks
+    isCorrect(q, raw) {
+        const value = String(raw || '').trim();
+        if (!value) return false;
+        if (q.type === 'numeric') return Number(value) === q.answer;
+        const normalize = (s) => String(s).trim().split(/\s+/).join(' ').toLowerCase();
+        return normalize(value) === normalize(q.answer);
+    },
+
+    answerText(q) {
+        return q.type === 'choice' ? q.options[q.answer] : String(q.answer).replace(/\n/g, ' ');
+    },
+
+    answer(index, isCorrect, target) {
+        if (index !== this.current || this.busy) return;
+        const q = this.questions[index];
+        const result = this.results[index];
+        const feedback = $id('diagnosticFeedback');
+        result.tries++;
+        this.busy = true;
+
+        if (isCorrect) {
+            result.correct = true;
+            target.style.background = 'var(--success)';
+            target.style.color = '#fff';
+            if (feedback) feedback.innerText = I18n.t('diagnostic.correct');
+            setTimeout(() => this.advance(), 500); // Short pause to see green success state
+        } else if (result.tries >= DIAGNOSTIC_CONFIG.MAX_TRIES) {
+            target.style.background = 'var(--danger)';
+            target.style.color = '#fff';
+            if (feedback) feedback.innerText = I18n.t('diagnostic.override', { answer: this.answerText(q) });
+            setTimeout(() => this.advance(), 2000);
+        } else {
+            target.style.background = 'var(--danger)';
+            target.style.color = '#fff';
+            if (feedback) feedback.innerText = I18n.t('diagnostic.wrong');
+            setTimeout(() => {
+                target.style.background = '';
+                target.style.color = '';
+                if (feedback) feedback.innerText = "";
+                this.busy = false;
+            }, 800);
+        }
+    },
+
+    // TRANSITION LOGIC
+    advance() {
+        const feedback = $id('diagnosticFeedback');
+        if (feedback) feedback.innerText = "";
+        const parent = $id(`task${this.current + 1}`);
+        const next = $id(`task${this.current + 2}`);
+        this.current++;
+        this.busy = false;
+
+        if (parent) {
+            // 1. Current card exits Left
+            parent.classList.remove('state-active');
+            parent.classList.add('state-outgoing');
+            this.setCardActive(parent, false);
+        }
+
+        if (next) {
+            // 2. Next card enters from Right
+            next.classList.remove('state-incoming');
+            // Force reflow to ensure transition triggers
+            void next.offsetWidth;
+            next.classList.add('state-active');
+            this.setCardActive(next, true);
+            this.focusCard(next);
+        } else {
+            this.finish();
+        }
+    },
+
+    struggledTopics() {
+        const topics = [];
+        this.results.forEach(r => {
+            if ((r.tries >= DIAGNOSTIC_CONFIG.STRUGGLE_TRIES || !r.correct) && !topics.includes(r.topic)) topics.push(r.topic);
+        });
+        return topics;
+    },
+
+    finish() {
+        const topics = this.struggledTopics();
+        const els = UIController.elements;
+        const classId = els.classIdInput ? els.classIdInput.value : 'default';
+        const studentId = els.studentIdInput ? els.studentIdInput.value : 'unknown';
+        ClassSync.saveDiagnostic(classId, studentId, this.results, topics.length > 0);
+
+        if (topics.length) this.showRemedial(topics);
+        else CampaignController.open();
+    },
+
+    showRemedial(topics) {
+        const list = $id('remedialNotes');
+        if (list) {
+            list.innerHTML = '';
+            topics.forEach(topic => {
+                const note = REMEDIAL_NOTES[topic];
+                if (!note) return;
+                const card = document.createElement('div');
+                card.className = 'task-card remedial-card';
+                const title = document.createElement('h3');
+                title.textContent = note.title;
+                const text = document.createElement('p');
+                this.appendRichText(text, note.text);
+                card.appendChild(title);
+                card.appendChild(text);
+                list.appendChild(card);
+            });
+        }
+        UIController.showScreen('remedialScreen');
+    }
+};
+
+// ---------- TeacherController ----------
+const TeacherController = {
+    selectedCode: null,
+
+    init() {
+        const open = $id('btnOpenTeacher');
+        if (open) open.addEventListener('click', () => this.open());
+        const back = $id('btnTeacherBack');
+        if (back) back.addEventListener('click', () => this.lock());
+
+        const unlock = $id('btnTeacherUnlock');
+        if (unlock) unlock.addEventListener('click', () => this.unlock());
+        ClassSync.on('storageLow', () => this.renderStorage());
+        ClassSync.on('saveFailed', () => this.renderStorage());
+        const pinInput = $id('teacherPinInput');
+        if (pinInput) pinInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') this.unlock(); });
+
+        const addClass = $id('btnAddClass');
+        if (addClass) addClass.addEventListener('click', () => {
+            const code = $id('newClassCode') ? $id('newClassCode').value : '';
+            const name = $id('newClassName') ? $id('newClassName').value : '';
+            if (!TeacherStore.addClass(code, name)) {
+                Dialog.alert(I18n.t('teacher.badClassCode'), I18n.t('teacher.addClassTitle'));
+                return;
+            }
+            this.selectedCode = TeacherStore.normalizeCode(code);
+            if ($id('newClassCode')) $id('newClassCode').value = '';
+            if ($id('newClassName')) $id('newClassName').value = '';
+            this.render();
+        });
+
+        const classSelect = $id('teacherClassSelect');
+        if (classSelect) classSelect.addEventListener('change', () => {
+            this.selectedCode = classSelect.value;
+            this.render();
+        });
+
+        const analytics = $id('btnOpenAnalytics');
+        if (analytics) analytics.addEventListener('click', () => {
+            if (this.selectedCode) AnalyticsController.open(this.selectedCode);
+        });
+        const live = $id('btnOpenLiveView');
+        if (live) live.addEventListener('click', () => {
+            if (this.selectedCode) LiveViewController.open(this.selectedCode);
+        });
+
+        const syncSave = $id('btnSaveSync');
+        if (syncSave) syncSave.addEventListener('click', () => {
+            ClassSync.saveSettings({
+                transport: $id('syncTransportSelect') ? $id('syncTransportSelect').value : 'local',
+                url: $id('syncServerUrl') ? $id('syncServerUrl').value : ''
+            });
+            this.renderSync();
+            this.checkServer();
+        });
+        const pull = $id('btnPullAttempts');
+        if (pull) pull.addEventListener('click', () => this.pullAttempts());
+
+        const exportCSV = $id('btnTeacherExportCSV');
+        if (exportCSV) exportCSV.addEventListener('click', () => { if (this.selectedCode) ClassSync.exportClassCSV(this.selectedCode); });
+        const exportJSON = $id('btnTeacherExportJSON');
+        if (exportJSON) exportJSON.addEventListener('click', () => { if (this.selectedCode) ClassSync.exportClassJSON(this.selectedCode); });
+
+        const attemptFiles = $id('attemptFileInput');
+        if (attemptFiles) attemptFiles.addEventListener('change', () => {
+            const files = Array.from(attemptFiles.files || []);
+            if (!files.length || !this.selectedCode) return;
+            this.importAttemptFiles(files);
+            attemptFiles.value = '';
+        });
+
+        const addMission = $id('btnAddMission');
+        if (addMission) addMission.addEventListener('click', () => this.addMission());
+        const resetMissions = $id('btnResetMissions');
+        if (resetMissions) resetMissions.addEventListener('click', () => {
+            Dialog.confirm(I18n.t('teacher.resetMissionsConfirm'), I18n.t('teacher.resetMissionsTitle')).then(ok => {
+                if (!ok) return;
+                TeacherStore.saveMissions(null);
+                this.renderMissions();
+            });
+        });
+        const missionAlphabet = $id('newMissionAlphabet');
+        UIController.populateAlphabetSelect(missionAlphabet);
+        if (missionAlphabet) missionAlphabet.addEventListener('change', () => {
+            if ($id('newMissionCustomAlphabet')) $id('newMissionCustomAlphabet').classList.toggle('hidden', missionAlphabet.value !== 'custom');
+        });
+        const missionCipher = $id('newMissionCipher');
+        if (missionCipher) {
+            Object.keys(CIPHERS).forEach(id => {
+                const opt = document.createElement('option');
+                opt.value = id;
+                opt.textContent = CIPHERS[id].name;
+                missionCipher.appendChild(opt);
+            });
+        }
+
+        const removeClass = $id('btnRemoveClass');
+        if (removeClass) removeClass.addEventListener('click', () => {
+            if (!this.selectedCode) return;
+            Dialog.confirm(I18n.t('teacher.deleteClassConfirm', { code: this.selectedCode }), I18n.t('teacher.deleteClassTitle')).then(ok => {
+                if (!ok) return;
+                TeacherStore.removeClass(this.selectedCode);
+                this.selectedCode = null;
+                this.render();
+            });
+        });
+
+        const addStudent = $id('btnAddStudent');
+        if (addStudent) addStudent.addEventListener('click', () => {
+            const input = $id('newStudentName');
+            if (!input || !this.selectedCode) return;
+            TeacherStore.addStudents(this.selectedCode, [input.value]);
+            input.value = '';
+            this.render();
+        });
+
+        const bulkImport = $id('btnImportRoster');
+        if (bulkImport) bulkImport.addEventListener('click', () => {
+            const area = $id('rosterImportText');
+            if (!area || !this.selectedCode) return;
+            this.importRoster(area.value);
+            area.value = '';
+        });
+
+        const fileInput = $id('rosterFileInput');
+        if (fileInput) fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file || !this.selectedCode) return;
+            const reader = new FileReader();
+            reader.onload = () => this.importRoster(String(reader.result || ''));
+            reader.readAsText(file);
+            fileInput.value = '';
+        });
+    },
+
+    open() {
+        const hasPin = TeacherStore.hasPin();
+        I18n.set($id('teacherPinPrompt'), hasPin ? 'teacher.pinPrompt' : 'teacher.pinChoose');
+        if ($id('teacherLock')) $id('teacherLock').classList.remove('hidden');
+        if ($id('teacherDashboard')) $id('teacherDashboard').classList.add('hidden');
+        UIController.showScreen('teacherScreen');
+        if ($id('teacherPinInput')) $id('teacherPinInput').focus();
+    },
+
+    unlock() {
+        const input = $id('teacherPinInput');
+        const pin = input ? input.value.trim() : '';
+        if (input) input.value = '';
+
+        if (!TeacherStore.hasPin()) {
+            if (!/^\d{4,}$/.test(pin)) {
+                Dialog.alert(I18n.t('teacher.pinTooShort'), I18n.t('teacher.pinTitle'));
+                return;
+            }
+            TeacherStore.setPin(pin);
+        } else if (!TeacherStore.checkPin(pin)) {
+            Dialog.alert(I18n.t('teacher.pinDenied'), I18n.t('login.deniedTitle'));
+            return;
+        }
+
+        if ($id('teacherLock')) $id('teacherLock').classList.add('hidden');
+        if ($id('teacherDashboard')) $id('teacherDashboard').classList.remove('hidden');
+        this.render();
+        this.renderMissions();
+        this.renderSync();
+        this.renderStorage();
+        this.offerStorageExport();
+    },
+
+    lock() {
+        if ($id('teacherDashboard')) $id('teacherDashboard').classList.add('hidden');
+        UIController.showScreen('classSetupScreen');
+    },
+
+    renderSync() {
+        const settings = ClassSync.settings();
+        const select = $id('syncTransportSelect');
+        if (select) {
+            select.innerHTML = '';
+            Object.keys(SyncTransports).forEach(id => {
+                const opt = document.createElement('option');
+                opt.value = id;
+                opt.textContent = SyncTransports[id].label;
+                select.appendChild(opt);
+            });
+            select.value = settings.transport;
+        }
+        if ($id('syncServerUrl')) $id('syncServerUrl').value = settings.url;
+        if ($id('syncStatus')) $id('syncStatus').innerText = settings.transport === 'local'
+            ? I18n.t('sync.localStatus')
+            : I18n.t('sync.sending', { url: settings.url || location.origin });
+    },
+
+    renderStorage() {
+        const el = $id('storageStatus');
+        if (!el) return;
+        const usage = ClassSync.storageUsage();
+        const mb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+        const unsaved = Object.values(ClassSync.unsaved).reduce((sum, list) => sum + list.length, 0);
+        el.innerText = [
+            I18n.t('storage.usage', { used: mb(usage.used), budget: mb(usage.budget) }),
+            usage.ratio >= ClassSync.WARN_RATIO ? I18n.t('storage.nearlyFull') : '',
+            unsaved ? I18n.plural('storage.unsaved', unsaved) : ''
+        ].filter(Boolean).join(' ');
+        el.classList.toggle('storage-warning', usage.ratio >= ClassSync.WARN_RATIO || unsaved > 0);
+    },
+
+    // On unlock, a nearly full device or attempts that could not be saved get an
+    // export offer: the classes holding unsaved attempts, else the selected class
+    offerStorageExport() {
+        const usage = ClassSync.storageUsage();
+        const mb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+        const unsavedClasses = Object.keys(ClassSync.unsaved).filter(id => ClassSync.unsaved[id].length);
+        if (usage.ratio < ClassSync.WARN_RATIO && !unsavedClasses.length) return;
+        const codes = unsavedClasses.length ? unsavedClasses : [this.selectedCode].filter(Boolean);
+        if (!codes.length) return;
+        const unsaved = unsavedClasses.reduce((sum, id) => sum + ClassSync.unsaved[id].length, 0);
+        const params = { used: mb(usage.used), budget: mb(usage.budget), classes: I18n.list(codes) };
+        const message = unsaved ? I18n.plural('storage.failed', unsaved, params) : I18n.t('storage.low', params);
+        Dialog.confirm(message, I18n.t('storage.title'))
+            .then(ok => { if (ok) codes.forEach(code => ClassSync.exportClassJSON(code)); });
+    },
+
+    checkServer() {
+        if (ClassSync.settings().transport !== 'http') return;
+        SyncTransports.http.request('GET', '/api/ping')
+            .then(() => { if ($id('syncStatus')) $id('syncStatus').innerText += ` ${I18n.t('sync.reachable')}`; })
+            .catch(() => { if ($id('syncStatus')) $id('syncStatus').innerText += ` ${I18n.t('sync.unreachable')}`; });
+    },
+
+    // Attempts the server collected from every device, merged into this one
+    pullAttempts() {
+        const code = this.selectedCode;
+        if (!code) return;
+        ClassSync.transport().fetchAttempts(code)
+            .then(attempts => {
+                let merged;
+                try {
+                    merged = ClassSync.mergeAttempts(code, Array.isArray(attempts) ? attempts : []);
+                } catch (e) {
+                    console.warn('Pulled attempts could not be saved', e);
+                    return Dialog.alert(this.mergeSummary(code, { added: 0, duplicates: 0, invalid: 0, historyDropped: 0 }, [], [I18n.t('teacher.theServer')]), I18n.t('teacher.pullTitle'));
                 }
+                Dialog.alert(this.mergeSummary(code, merged, [], []), I18n.t('teacher.pullTitle'));
+            })
+            .catch(e => Dialog.alert(I18n.t('teacher.pullFailed', { error: e.message }), I18n.t('teacher.pullTitle')));
+    },
+
+    // Read failures (not an export file) and write failures (storage full) are reported apart
+    mergeSummary(code, merged, unreadable, unsaved) {
+        const lines = [[
+            I18n.plural('merge.added', merged.added, { code }),
+            I18n.plural('merge.duplicates', merged.duplicates),
+            merged.invalid ? I18n.plural('merge.invalid', merged.invalid) : '',
+            merged.historyDropped ? I18n.plural('merge.historyDropped', merged.historyDropped) : ''
+        ].filter(Boolean).join(' ')];
+        if (unreadable.length) lines.push(I18n.t('merge.unreadable', { files: I18n.list(unreadable) }));
+        if (unsaved.length) lines.push(I18n.t('merge.unsaved', { files: I18n.list(unsaved) }));
+        return lines.join('\n');
+    },
+
+    importAttemptFiles(files) {
+        const code = this.selectedCode;
+        const readers = files.map(file => new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve({ name: file.name, text: String(reader.result || '') });
+            reader.onerror = () => resolve({ name: file.name, text: '' });
+            reader.readAsText(file);
+        }));
+
+        Promise.all(readers).then(results => {
+            const total = { added: 0, duplicates: 0, invalid: 0, historyDropped: 0 };
+            const unreadable = [];
+            const unsaved = [];
+            results.forEach(({ name, text }) => {
+                let attempts;
+                try {
+                    attempts = ClassSync.parseAttemptFile(text);
+                } catch (e) {
+                    console.warn('Attempt import failed', name, e);
+                    unreadable.push(name);
+                    return;
+                }
+                try {
+                    const merged = ClassSync.mergeAttempts(code, attempts);
+                    Object.keys(total).forEach(k => { total[k] += merged[k]; });
+                } catch (e) {
+                    console.warn('Attempt import could not be saved', name, e);
+                    unsaved.push(name);
+                }
+            });
+            Dialog.alert(this.mergeSummary(code, total, unreadable, unsaved), I18n.t('teacher.importAttemptsTitle'));
+        });
+    },
+
+    // Teachers write the plain message; it is stored encrypted with the chosen cipher and key
+    addMission() {
+        const val = (id) => ($id(id) ? $id(id).value.trim() : '');
+        const title = val('newMissionTitle');
+        const plain = val('newMissionPlain');
+        if (!title || !plain) {
+            Dialog.alert(I18n.t('teacher.missionIncomplete'), I18n.t('teacher.addMissionTitle'));
+            return;
+        }
+        const cipher = CIPHERS[val('newMissionCipher')] ? val('newMissionCipher') : 'caesar';
+        const alphabet = UIController.readAlphabet($id('newMissionAlphabet'), $id('newMissionCustomAlphabet'));
+        const rawKey = val('newMissionKey');
+        const key = CipherEngine.parseKey(cipher, rawKey, alphabet);
+        const missions = TeacherStore.getMissions().slice();
+        missions.push({
+            id: `m-${Date.now().toString(36)}`,
+            title,
+            rank: val('newMissionRank').toUpperCase() || DEFAULT_RANK,
+            cipher,
+            alphabet,
+            key: CipherEngine.formatKey(cipher, key),
+            mode: 'decrypt',
+            briefing: val('newMissionBriefing'),
+            assessment: !!($id('newMissionAssessment') && $id('newMissionAssessment').checked),
+            text: CipherEngine.transformText(plain.normalize('NFC'), key, { cipher, direction: 'encrypt', alphabet })
+        });
+        TeacherStore.saveMissions(missions);
+        ['newMissionTitle', 'newMissionPlain', 'newMissionKey', 'newMissionRank', 'newMissionBriefing', 'newMissionCustomAlphabet'].forEach(id => { if ($id(id)) $id(id).value = ''; });
+        if ($id('newMissionAssessment')) $id('newMissionAssessment').checked = false;
+        this.renderMissions();
+    },
+
+    moveMission(index, delta) {
+        const missions = TeacherStore.getMissions().slice();
+        const target = index + delta;
+        if (target < 0 || target >= missions.length) return;
+        [missions[index], missions[target]] = [missions[target], missions[index]];
+        TeacherStore.saveMissions(missions);
+        this.renderMissions();
+    },
+
+    removeMission(index) {
+        const missions = TeacherStore.getMissions().slice();
+        missions.splice(index, 1);
+        TeacherStore.saveMissions(missions.length ? missions : null);
+        this.renderMissions();
+    },
+
+    renderMissions() {
+        const list = $id('teacherMissions');
+        if (!list) return;
+        list.innerHTML = '';
+        TeacherStore.getMissions().forEach((m, i) => {
+            const li = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${m.title} — ${I18n.list([
+                CipherEngine.getCipher(m.cipher).name,
+                Alphabet.resolve(m.alphabet).name,
+                I18n.t('teacher.missionRankTag', { rank: m.rank }),
+                m.assessment ? I18n.t('teacher.missionGradedTag') : ''
+            ])}`;
+            li.appendChild(label);
+            const actions = document.createElement('span');
+            [['↑', () => this.moveMission(i, -1)], ['↓', () => this.moveMission(i, 1)], [I18n.t('teacher.share'), () => this.shareMission(m)],
+                [I18n.t('worksheet.title'), () => Printables.print(Printables.worksheet({ title: m.title, encrypted: m.text, cipher: m.cipher, key: m.key, mode: m.mode, alphabet: m.alphabet }))],
+                [I18n.t('teacher.remove'), () => this.removeMission(i)]].forEach(([text, fn]) => {
+                const btn = document.createElement('button');
+                btn.className = 'secondary';
+                btn.textContent = text;
+                btn.addEventListener('click', fn);
+                actions.appendChild(btn);
+            });
+            li.appendChild(actions);
+            list.appendChild(li);
+        });
+    },
+
+    // Code and link that start students on this mission outside the campaign order
+    shareMission(m) {
+        const code = MissionCode.encode({ title: m.title, encrypted: m.text, cipher: m.cipher, key: m.key, mode: m.mode, alphabet: m.alphabet, toggles: { assessment: !!m.assessment } });
+        const out = $id('teacherMissionShare');
+        if (out) {
+            out.value = `${MissionCode.link(code)}\n${I18n.t('teacher.shareCode', { code })}`;
+            out.classList.remove('hidden');
+            out.select();
+        }
+        return code;
+    },
+
+    importRoster(text) {
+        const names = TeacherStore.parseRoster(text);
+        const added = TeacherStore.addStudents(this.selectedCode, names);
+        Dialog.alert(I18n.plural('teacher.rosterImported', added, { code: this.selectedCode }), I18n.t('teacher.importRosterTitle'));
+        this.render();
+    },
+
+    render() {
+        const classes = TeacherStore.getClasses();
+        if (!classes.some(c => c.code === this.selectedCode)) {
+            this.selectedCode = classes.length ? classes[0].code : null;
+        }
+
+        const select = $id('teacherClassSelect');
+        if (select) {
+            select.innerHTML = '';
+            classes.forEach(c => {
+                const opt = document.createElement('option');
+                opt.value = c.code;
+                opt.textContent = `${c.name} (${c.code})`;
+                select.appendChild(opt);
+            });
+            select.value = this.selectedCode || '';
+        }
+
+        const cls = classes.find(c => c.code === this.selectedCode);
+        const title = $id('teacherRosterTitle');
+        if (title && cls) title.textContent = I18n.plural('teacher.rosterOf', cls.students.length, { name: cls.name });
+        else if (title) title.textContent = I18n.t('teacher.noClasses');
+
+        const list = $id('teacherRoster');
+        if (!list) return;
+        list.innerHTML = '';
+        if (!cls) return;
+        cls.students.forEach(name => {
+            const li = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = name;
+            const remove = document.createElement('button');
+            remove.className = 'secondary';
+            remove.textContent = I18n.t('teacher.remove');
+            remove.addEventListener('click', () => {
+                TeacherStore.removeStudent(cls.code, name);
+                this.render();
+            });
+            li.appendChild(label);
+            li.appendChild(remove);
+            list.appendChild(li);
+        });
+    }
+};
+
+// ---------- CampaignController ----------
+const CampaignController = {
+    init() {
+        const free = $id('btnFreePractice');
+        if (free) free.addEventListener('click', () => this.startFreePractice());
+        const resume = $id('btnResumeMission');
+        if (resume) resume.addEventListener('click', () => this.resume());
+        const discard = $id('btnDiscardSession');
+        if (discard) discard.addEventListener('click', () => {
+            const { classId, studentId } = this.identity();
+            UIController.flushSync(false);
+            SessionStore.clear(classId, studentId);
+            this.render();
+        });
+        const logout = $id('btnLogout');
+        if (logout) logout.addEventListener('click', () => this.logout());
+    },
+
+    identity() {
+        const els = UIController.elements;
+        return {
+            classId: els.classIdInput ? els.classIdInput.value : 'default',
+            studentId: els.studentIdInput ? els.studentIdInput.value : 'unknown'
+        };
+    },
+
+    open() {
+        LoopEngine.pause();
+        CodebreakerEngine.pause();
+        this.render();
+        UIController.showScreen('campaignScreen');
+    },
+
+    render() {
+        const { classId, studentId } = this.identity();
+        const progress = CampaignStore.loadProgress(classId, studentId);
+        const missions = TeacherStore.getMissions();
+        I18n.set($id('campaignRank'), 'campaign.rank', { rank: progress.rank });
+        this.renderResume(SessionStore.resumable(classId, studentId));
+
+        const list = $id('campaignList');
+        if (!list) return;
+        list.innerHTML = '';
+        missions.forEach((m, i) => {
+            const done = progress.completed.includes(m.id);
+            const unlocked = CampaignStore.isUnlocked(missions, i, progress);
+            const btn = document.createElement('button');
+            btn.className = 'mission-card';
+            if (done) btn.classList.add('mission-done');
+            btn.disabled = !unlocked;
+
+            const title = document.createElement('strong');
+            title.textContent = `${done ? '✔' : (unlocked ? '▶' : '🔒')} ${i + 1}. ${m.title}`;
+            const meta = document.createElement('span');
+            meta.className = 'mission-meta';
+            const alphabet = Alphabet.resolve(m.alphabet);
+            meta.textContent = `${CipherEngine.getCipher(m.cipher).name}${alphabet.id === Alphabet.DEFAULT ? '' : ` · ${alphabet.name}`} · ${I18n.t('campaign.missionRank', { rank: m.rank })}`;
+            const briefing = document.createElement('span');
+            briefing.className = 'mission-briefing-text';
+            briefing.textContent = unlocked ? (m.briefing || '') : I18n.t('campaign.locked');
+
+            btn.appendChild(title);
+            btn.appendChild(meta);
+            btn.appendChild(briefing);
+            btn.addEventListener('click', () => this.startCampaignMission(m));
+            list.appendChild(btn);
+        });
+    },
+
+    renderResume(session) {
+        const banner = $id('resumeBanner');
+        if (!banner) return;
+        banner.classList.toggle('hidden', !session);
+        if (!session) return;
+        const engine = session.engine;
+        const name = session.title || I18n.t('campaign.practice', { cipher: CipherEngine.getCipher(engine.cipher).name });
+        if ($id('resumeText')) $id('resumeText').innerText = I18n.t('campaign.inProgress', { name, current: engine.currentIndex + 1, total: Array.from(engine.encryptedText).length });
+    },
+
+    // Puts the config row back the way it was, then continues the saved loop
+    resume() {
+        const { classId, studentId } = this.identity();
+        const session = SessionStore.resumable(classId, studentId);
+        if (!session) return this.render();
+        const engine = session.engine;
+        const mission = session.missionId ? TeacherStore.getMissions().find(m => m.id === session.missionId) : null;
+        UIController.activeMission = mission || null;
+        UIController.sharedMission = session.shared ? { title: session.title } : null;
+        this.fillConfig({ encrypted: engine.encryptedText, cipher: engine.cipher, key: engine.key, mode: engine.mode, alphabet: engine.alphabet });
+        UIController.applyToggles(session.toggles);
+        if (session.speed && UIController.elements.speedSlider) UIController.elements.speedSlider.value = session.speed;
+        UIController.lockMissionInputs(!!(mission || session.shared));
+        this.showBriefing(mission || (session.shared ? { title: session.title || I18n.t('campaign.sharedTitle'), briefing: I18n.t('campaign.sharedBriefing') } : null));
+        UIController.showScreen('decryptionScreen');
+        UIController.startMission(UIController.readMissionConfig(), engine);
+        UIController.showRank(CampaignStore.loadProgress(classId, studentId).rank);
+    },
+
+    fillConfig(config) {
+        const els = UIController.elements;
+        if (els.modeSelect) els.modeSelect.value = config.mode || 'decrypt';
+        UIController.setAlphabet(config.alphabet);
+        UIController.applyMode(config.mode || 'decrypt');
+        if (els.cipherSelect) els.cipherSelect.value = config.cipher;
+        UIController.applyKeySchema(config.cipher, true);
+        if (els.keyInput) els.keyInput.value = config.key;
+        if ($id('encryptedInput')) $id('encryptedInput').value = config.encrypted;
+    },
+
+    // Every student who enters the same code gets the same text, key and toggles
+    startSharedMission(shared) {
+        UIController.activeMission = null;
+        UIController.sharedMission = shared;
+        this.fillConfig(shared);
+        UIController.applyToggles(shared.toggles);
+        UIController.lockMissionInputs(true);
+        this.showBriefing({ title: shared.title || I18n.t('campaign.sharedTitle'), briefing: I18n.t('campaign.sharedBriefing') });
+        this.enterMission();
+    },
+
+    logout() {
+        LoopEngine.pause();
+        SessionStore.forgetLogin();
+        const els = UIController.elements;
+        if (els.studentIdInput) els.studentIdInput.value = '';
+        UIController.showScreen('classSetupScreen');
+    },
+
+    startCampaignMission(m) {
+        UIController.activeMission = m;
+        UIController.sharedMission = null;
+        this.fillConfig({ encrypted: m.text, cipher: m.cipher, key: m.key, mode: m.mode, alphabet: m.alphabet });
+        UIController.applyToggles({ assessment: !!m.assessment });
+        UIController.lockMissionInputs(true);
+        this.showBriefing(m);
+        this.enterMission();
+    },
+
+    startFreePractice() {
+        UIController.activeMission = null;
+        UIController.sharedMission = null;
+        UIController.lockMissionInputs(false);
+        this.showBriefing(null);
+        this.enterMission();
+    },
+
+    showBriefing(m) {
+        const el = $id('missionBriefing');
+        if (!el) return;
+        el.innerText = m ? `${m.title}: ${m.briefing || ''}` : '';
+        el.classList.toggle('hidden', !m);
+    },
+
+    enterMission() {
+        const { classId, studentId } = this.identity();
+        UIController.showScreen('decryptionScreen');
+        UIController.startMission(UIController.readMissionConfig());
+        UIController.showRank(CampaignStore.loadProgress(classId, studentId).rank);
+    }
+};
+
+// ---------- PythonLabController ----------
+// Editable template on the Thonny screen, run offline through MiniPython and
+// checked against the text the loop inspector produced
+const PythonLabController = {
+    template: '',
+    expected: '',
+
+    init() {
+        const editor = $id('pythonCodeTemplate');
+        if ($id('btnRunPython')) $id('btnRunPython').addEventListener('click', () => this.run());
+        if ($id('btnResetPython')) $id('btnResetPython').addEventListener('click', () => this.load(this.template, this.expected));
+        if (editor) editor.addEventListener('keydown', (e) => {
+            // Tab indents like Thonny instead of leaving the editor; Ctrl/Cmd+Enter runs
+            if (e.key === 'Tab' && !e.shiftKey) {
+                e.preventDefault();
+                const start = editor.selectionStart;
+                editor.value = `${editor.value.slice(0, start)}    ${editor.value.slice(editor.selectionEnd)}`;
+                editor.selectionStart = editor.selectionEnd = start + 4;
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.run();
+            }
+        });
+    },
+
+    load(code, expected) {
+        this.template = code;
+        this.expected = expected || '';
+        if ($id('pythonCodeTemplate')) $id('pythonCodeTemplate').value = code;
+        if ($id('pythonOutput')) { $id('pythonOutput').textContent = ''; $id('pythonOutput').classList.remove('error'); }
+        if ($id('pythonCompare')) { $id('pythonCompare').textContent = ''; $id('pythonCompare').className = 'python-compare'; }
+    },
+
+    run() {
+        const editor = $id('pythonCodeTemplate');
+        if (!editor) return;
+        const result = MiniPython.run(editor.value);
+        const out = $id('pythonOutput');
+        if (out) {
+            out.textContent = result.error ? `${result.output ? `${result.output}\n` : ''}${result.error}` : (result.output || I18n.t('thonny.noOutput'));
+            out.classList.toggle('error', !!result.error);
+        }
+        this.compare(result);
+        return result;
+    },
+
+    // The last printed line is the program's answer; compare it with the loop result
+    compare(result) {
+        const el = $id('pythonCompare');
+        if (!el) return;
+        const lines = result.output ? result.output.split('\n') : [];
+        const last = lines.length ? lines[lines.length - 1] : '';
+        let text;
+        let state;
+        if (result.error) {
+            text = I18n.t('thonny.fixError');
+            state = 'wrong';
+        } else if (last === this.expected) {
+            text = I18n.t('thonny.matches');
+            state = 'correct';
+        } else {
+            text = I18n.t('thonny.differs', { expected: this.expected });
+            if (this.expected !== this.expected.toLowerCase()) text += ` ${I18n.t('thonny.capitals')}`;
+            state = 'wrong';
+        }
+        el.textContent = text;
+        el.className = `python-compare ${state}`;
+    }
+};
+
+// ---------- LiveViewController ----------
+// Teacher's live table of where each student is, polled from the transport
+const LiveViewController = {
+    POLL_MS: 2000,
+    STALE_MS: 60000,
+    classCode: null,
+    timer: null,
+    pending: null, // the request in flight; polls are skipped until it settles
+
+    init() {
+        const back = $id('btnLiveBack');
+        if (back) back.addEventListener('click', () => {
+            this.stop();
+            UIController.showScreen('teacherScreen');
+        });
+    },
+
+    open(classCode) {
+        this.classCode = classCode;
+        const cls = TeacherStore.findClass(classCode);
+        I18n.set($id('liveTitle'), 'live.titleFor', { name: cls ? cls.name : classCode });
+        UIController.showScreen('liveScreen');
+        this.stop();
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), this.POLL_MS);
+    },
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    },
+
+    refresh() {
+        if (this.pending) return this.pending;
+        const code = this.classCode;
+        this.pending = ClassSync.transport().fetchProgress(code)
+            .then(progress => { if (code === this.classCode) this.render(progress); })
+            .catch(e => { if ($id('liveStatus')) $id('liveStatus').innerText = I18n.t('live.unreachable', { error: e.message }); })
+            .then(() => { this.pending = null; });
+        return this.pending;
+    },
+
+    // Roster students appear even before they start; unknown names are listed after them
+    render(progress) {
+        const cls = TeacherStore.findClass(this.classCode);
+        const byStudent = {};
+        progress.forEach(p => { byStudent[String(p.studentId).toLowerCase()] = p; });
+        const names = (cls ? cls.students : []).slice();
+        progress.forEach(p => { if (!names.some(n => n.toLowerCase() === String(p.studentId).toLowerCase())) names.push(p.studentId); });
+
+        const now = Date.now();
+        const rows = names.map(name => {
+            const p = byStudent[name.toLowerCase()];
+            if (!p) return [name, '-', I18n.t('analytics.status.notStarted'), '-'];
+            const age = now - Date.parse(p.updatedAt);
+            let where = `${p.iteration} / ${p.total}`;
+            if (p.total > 0 && p.iteration >= p.total) where += ' ✔';
+            else if (p.waitingForReveal) where += ` ${I18n.t('live.predicting')}`;
+            const seen = isNaN(age) ? '-' : (age > this.STALE_MS ? I18n.t('live.ago', { time: ClassAnalytics.formatDuration(age) }) : I18n.t('live.now'));
+            return [name, `${p.mission || I18n.t('live.freePractice')} · ${CipherEngine.getCipher(p.cipher).name}`, where, seen];
+        });
+
+        AnalyticsController.fillTable('liveStudents', ['column.student', 'column.mission', 'column.iteration', 'column.lastSeen'], rows);
+        const active = progress.filter(p => now - Date.parse(p.updatedAt) <= this.STALE_MS).length;
+        if ($id('liveStatus')) $id('liveStatus').innerText = [
+            I18n.plural('live.active', active),
+            ClassSync.transport().label,
+            I18n.t('live.updated', { time: new Date().toLocaleTimeString(I18n.locale) })
+        ].join(' · ');
+    }
+};
+
+// ---------- AnalyticsController ----------
+const AnalyticsController = {
+    classCode: null,
+
+    init() {
+        const back = $id('btnAnalyticsBack');
+        if (back) back.addEventListener('click', () => UIController.showScreen('teacherScreen'));
+    },
+
+    open(classCode) {
+        this.classCode = classCode;
+        this.render();
+        UIController.showScreen('analyticsScreen');
+    },
+
+    render() {
+        const cls = TeacherStore.findClass(this.classCode);
+        const attempts = ClassSync.loadAttempts(this.classCode);
+        I18n.set($id('analyticsTitle'), 'analytics.titleFor', { name: cls ? cls.name : this.classCode });
+
+        const students = ClassAnalytics.students(attempts, cls ? cls.students : [], ClassSync.loadDiagnostics(this.classCode));
+        const done = students.filter(s => s.status === 'completed').length;
+        if ($id('analyticsSummary')) $id('analyticsSummary').innerText = `${I18n.plural('analytics.completed', students.length, { done })} · ${I18n.plural('analytics.recorded', attempts.length)}`;
+
+        this.fillTable('analyticsStudents', ['column.student', 'column.status', 'column.attempts', 'column.timeSpent', 'column.mistakes', 'column.predictions', 'column.assessment', 'column.diagnostic'],
+            students.map(s => [s.name, I18n.t(`analytics.status.${s.status}`), s.attempts, ClassAnalytics.formatDuration(s.timeSpentMs), s.mistakes, s.predictionAccuracy, s.assessmentSummary, s.diagnosticSummary]));
+
+        this.fillTable('analyticsChars', ['column.character', 'column.mistakes', 'column.timesSeen'],
+            ClassAnalytics.troubleCharacters(attempts).slice(0, 10).map(c => [c.char, c.mistakes, c.seen]));
+
+        const wrap = ClassAnalytics.wrapAround(attempts);
+        const rate = (b) => b.steps ? `${Math.round(b.mistakes / b.steps * 100)}%` : '-';
+        this.fillTable('analyticsWrap', ['column.stepType', 'column.steps', 'column.mistakes', 'column.mistakeRate'], [
+            [I18n.t('analytics.wrapRow'), wrap.wrap.steps, wrap.wrap.mistakes, rate(wrap.wrap)],
+            [I18n.t('analytics.plainRow'), wrap.plain.steps, wrap.plain.mistakes, rate(wrap.plain)]
+        ]);
+    },
+
+    // `headers` are locale keys
+    fillTable(id, headers, rows) {
+        const table = $id(id);
+        if (!table) return;
+        table.innerHTML = '';
+        const head = document.createElement('tr');
+        headers.forEach(h => {
+            const th = document.createElement('th');
+            th.textContent = I18n.t(h);
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+
+        if (!rows.length) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = headers.length;
+            td.className = 'muted';
+            td.textContent = I18n.t('analytics.noData');
+            tr.appendChild(td);
+            table.appendChild(tr);
+            return;
+        }
+
+        rows.forEach(r => {
+            const tr = document.createElement('tr');
+            r.forEach(cell => {
+                const td = document.createElement('td');
+                td.textContent = cell;
+                tr.appendChild(td);
             });
+            table.appendChild(tr);
         });
     }
 };
 
 // ---------- Boot ----------
-document.addEventListener('DOMContentLoaded', () => {
-    UIController.init();
-});
+// In a browser the page boots; under Node (the tests) the headless core is exported
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        UIController.init();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONFIG, ASSESSMENT_CONFIG, ALPHABETS, Alphabet, CIPHERS, CipherEngine, PythonTemplate, MiniPython, CSV, LoopEngine, ClassSync, withEvents };
+}
@@ -0,0 +1,61 @@
+// sw.js - Spy School service worker: keeps the app working when the school network drops.
+// The app shell is served stale-while-revalidate: the cached copy answers at once,
+// a fresh copy is fetched behind it, and when a file has changed the page offers
+// a reload (see OfflineApp in script.js) instead of switching mid-mission. Deploys
+// need no version bump; VERSION only names the cache, so change it when APP_SHELL changes.
+
+const VERSION = 'spyschool-v1';
+const APP_SHELL = ['./', './index.html', './script.js', './styles.css', './manifest.webmanifest', './icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(VERSION).then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+// Older versions are dropped once this one takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== VERSION).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// The page asks for this when the teacher or student accepts the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+function notifyUpdated() {
+    return self.clients.matchAll({ type: 'window' })
+        .then(clients => clients.forEach(client => client.postMessage({ type: 'UPDATED' })));
+}
+
+// Stores a fresh copy, bypassing the HTTP cache; `cached` is a clone of the copy
+// the page was given, if any. Resolves to the network response.
+function refresh(cache, request, cached) {
+    return fetch(new Request(request.url, { cache: 'no-cache' })).then(response => {
+        if (!response.ok) return response;
+        const fresh = response.clone();
+        return Promise.all([fresh.clone().text(), cached ? cached.text() : null])
+            .then(([now, before]) => cache.put(request, fresh).then(() => {
+                if (before !== null && now !== before) return notifyUpdated();
+            }))
+            .then(() => response);
+    });
+}
+
+// Only the app shell is cached; the classroom server's /api/ calls always go to the network
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+    event.respondWith(caches.open(VERSION).then(cache => cache.match(request, { ignoreSearch: true }).then(cached => {
+        const update = refresh(cache, request, cached && cached.clone());
+        if (cached) {
+            event.waitUntil(update.catch(() => {}));
+            return cached;
+        }
+        // Offline and not cached: a page load still gets the app
+        return update.catch(() => (request.mode === 'navigate'
+            ? cache.match('./index.html').then(page => page || Response.error())
+            : Response.error()));
+    })));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core } = require('./support');
+
+const { CipherEngine, PythonTemplate, CIPHERS } = core;
+
+test('caesar decrypts and encrypts with wrap-around', () => {
+    assert.equal(CipherEngine.transformText('khoor zruog', 3, { cipher: 'caesar', direction: 'decrypt' }), 'hello world');
+    assert.equal(CipherEngine.transformText('xyz', 3, { cipher: 'caesar', direction: 'encrypt' }), 'abc');
+
+    const step = CipherEngine.decryptChar('a', 3);
+    assert.equal(step.char, 'x');
+    assert.equal(step.rawCalculation, -3);
+    assert.equal(step.wrapped, true);
+});
+
+test('characters outside the alphabet are kept as they are', () => {
+    const step = CipherEngine.decryptChar('!', 3);
+    assert.equal(step.isSpecial, true);
+    assert.equal(step.char, '!');
+});
+
+test('preserveCase keeps capitals only when asked', () => {
+    assert.equal(CipherEngine.decryptChar('K', 3, true).char, 'H');
+    assert.equal(CipherEngine.decryptChar('K', 3, false).char, 'h');
+});
+
+test('every cipher round-trips a message', () => {
+    const keys = { caesar: '7', rot13: '', atbash: '', affine: '5, 8', vigenere: 'lemon' };
+    Object.keys(CIPHERS).forEach(id => {
+        const key = CipherEngine.parseKey(id, keys[id]);
+        const secret = CipherEngine.transformText('Meet at Noon!', key, { cipher: id, direction: 'encrypt' });
+        assert.equal(CipherEngine.transformText(secret, key, { cipher: id, direction: 'decrypt' }), 'Meet at Noon!', id);
+    });
+});
+
+test('other alphabets set the modulus', () => {
+    assert.equal(CipherEngine.transformText('ñ', 1, { cipher: 'caesar', direction: 'encrypt', alphabet: 'spanish' }), 'o');
+    assert.equal(CipherEngine.transformText('9', 1, { cipher: 'caesar', direction: 'encrypt', alphabet: 'digits' }), '0');
+});
+
+test('the Python program names its variables after the direction', () => {
+    const code = PythonTemplate.build('khoor', 'caesar', 3, 'decrypt');
+    assert.match(code, /^encrypted = "khoor"$/m);
+    assert.match(code, /^print\(decrypted\)$/m);
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core } = require('./support');
+
+const { LoopEngine, ClassSync, CSV } = core;
+
+function finishedRun(text, options) {
+    LoopEngine.init(text, 3, 'caesar', 'decrypt', 'latin', options);
+    LoopEngine.jumpTo(Array.from(text).length - 1);
+    return LoopEngine.state;
+}
+
+test('saveAttempt stores the run it is given and emits attemptSaved', (t) => {
+    localStorage.clear();
+    const saved = [];
+    t.after(ClassSync.on('attemptSaved', (classId, record) => saved.push([classId, record])));
+
+    const record = ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor'), 'm1');
+    assert.equal(record.finalDecrypted, 'Hello');
+    assert.equal(record.completed, true);
+    assert.equal(record.missionId, 'm1');
+    assert.equal(record.history.length, 5);
+    assert.equal(record.assessment, null);
+
+    assert.deepEqual(ClassSync.loadAttempts('SPY-1').map(r => r.id), [record.id]);
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0][0], 'SPY-1');
+});
+
+test('a failed write emits saveFailed instead of throwing', (t) => {
+    localStorage.clear();
+    const failures = [];
+    t.after(ClassSync.on('saveFailed', (classId, error) => failures.push(error)));
+    const setItem = localStorage.setItem;
+    localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+    t.after(() => { localStorage.setItem = setItem; });
+    t.mock.method(console, 'warn', () => {});
+
+    assert.equal(ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor')), null);
+    assert.equal(failures.length, 1);
+});
+
+test('CSV export rows read back into the same attempt', () => {
+    localStorage.clear();
+    const record = ClassSync.saveAttempt('SPY-1', 'Jane, "JD" Doe', finishedRun('Khoor, zruog!'));
+    const text = CSV.stringify([ClassSync.csvColumns, ClassSync.toCSVRow(record)]);
+
+    const [back] = ClassSync.parseAttemptFile(text);
+    assert.equal(back.id, record.id);
+    assert.equal(back.studentId, 'Jane, "JD" Doe');
+    assert.equal(back.finalDecrypted, 'Hello, world!');
+    assert.deepEqual(back.history.map(h => h.result.char), record.history.map(h => h.result.char));
+});
+
+test('merging skips attempts that are already stored', () => {
+    localStorage.clear();
+    const record = ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor'));
+    const other = { ...record, id: 'other-machine-1', studentId: 'Jane Doe' };
+
+    assert.deepEqual(ClassSync.mergeAttempts('SPY-1', [record, other]), { added: 1, duplicates: 1, invalid: 0, historyDropped: 0 });
+    assert.equal(ClassSync.loadAttempts('SPY-1').length, 2);
+});
+
+test('merging ignores records that are not attempts', () => {
+    localStorage.clear();
+    const record = ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor'));
+    localStorage.clear();
+    const junk = [null, [1, 2], { studentId: 'x' }, { ...record, id: 'a', studentId: '' }, { ...record, id: 'b', timestamp: 'yesterday' },
+        { ...record, id: 'c', assessment: { score: 'A+' } }, { ...record, id: 'd', history: 'none' }];
+
+    assert.deepEqual(ClassSync.mergeAttempts('SPY-1', junk.concat([record])), { added: 1, duplicates: 0, invalid: 7, historyDropped: 0 });
+});
+
+test('a merge on a full device drops histories, and a failed write is marked as a storage error', (t) => {
+    localStorage.clear();
+    const record = ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor, zruog!'));
+    localStorage.clear();
+    const setItem = localStorage.setItem;
+    let limit = 1500;
+    localStorage.setItem = function (key, value) {
+        if (value.length > limit) throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+        return setItem.call(this, key, value);
+    };
+    t.after(() => { localStorage.setItem = setItem; });
+
+    assert.equal(ClassSync.mergeAttempts('SPY-1', [record]).historyDropped, 1);
+    assert.deepEqual(ClassSync.loadAttempts('SPY-1')[0].history, []);
+    limit = 0;
+    assert.throws(() => ClassSync.mergeAttempts('SPY-1', [{ ...record, id: 'other' }]), e => e.storage === true);
+});
+
+test('a full storage keeps the attempt without its step history', (t) => {
+    localStorage.clear();
+    const setItem = localStorage.setItem;
+    localStorage.setItem = function (key, value) {
+        if (value.length > 1500) throw Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+        return setItem.call(this, key, value);
+    };
+    t.after(() => { localStorage.setItem = setItem; });
+
+    const record = ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor, zruog!'));
+    assert.equal(record.historyDropped, true);
+    assert.deepEqual(record.history, []);
+    assert.equal(ClassSync.loadAttempts('SPY-1')[0].finalDecrypted, 'Hello, world!');
+});
+
+test('an attempt that cannot be stored at all is kept for export', (t) => {
+    localStorage.clear();
+    ClassSync.unsaved = {};
+    const failures = [];
+    t.after(ClassSync.on('saveFailed', (classId, error, record) => failures.push(record)));
+    const setItem = localStorage.setItem;
+    localStorage.setItem = () => { throw Object.assign(new Error('full'), { name: 'QuotaExceededError' }); };
+    t.after(() => { localStorage.setItem = setItem; });
+    t.mock.method(console, 'warn', () => {});
+
+    assert.equal(ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor')), null);
+    assert.equal(failures[0].finalDecrypted, 'Hello');
+    assert.deepEqual(ClassSync.exportableAttempts('SPY-1').map(r => r.id), [failures[0].id]);
+});
+
+test('a student can export their own unsaved attempts as a file the teacher can merge', (t) => {
+    localStorage.clear();
+    ClassSync.unsaved = {};
+    const failures = [];
+    t.after(ClassSync.on('saveFailed', (classId, error, record) => failures.push(record)));
+    const setItem = localStorage.setItem;
+    localStorage.setItem = () => { throw Object.assign(new Error('full'), { name: 'QuotaExceededError' }); };
+    t.after(() => { localStorage.setItem = setItem; });
+    t.mock.method(console, 'warn', () => {});
+
+    ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor'));
+    ClassSync.saveAttempt('SPY-1', 'Amira', finishedRun('Zruog'));
+    assert.equal(failures.length, 2);
+
+    const payload = ClassSync.unsavedExport('SPY-1', 'gabriel');
+    assert.deepEqual(payload.attempts.map(r => r.id), [failures[0].id]);
+    assert.equal(payload.attempts[0].history.length, 5);
+
+    localStorage.setItem = setItem;
+    assert.deepEqual(ClassSync.parseAttemptFile(JSON.stringify(payload)).map(r => r.id), [failures[0].id]);
+    assert.equal(ClassSync.mergeAttempts('SPY-1', ClassSync.parseAttemptFile(JSON.stringify(payload))).added, 1);
+});
+
+test('saving past the warning level emits storageLow', (t) => {
+    localStorage.clear();
+    const warnings = [];
+    t.after(ClassSync.on('storageLow', (classId, usage) => warnings.push(usage)));
+    const budget = ClassSync.STORAGE_BUDGET;
+    t.after(() => { ClassSync.STORAGE_BUDGET = budget; });
+
+    ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor'));
+    assert.equal(warnings.length, 0);
+    ClassSync.STORAGE_BUDGET = ClassSync.storageUsage().used;
+    ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor'));
+    assert.equal(warnings.length, 1);
+    assert.ok(warnings[0].ratio >= ClassSync.WARN_RATIO);
+});
+
+test('an undelivered attempt waits in the outbox without its history when storage is full', async (t) => {
+    localStorage.clear();
+    t.mock.method(ClassSync, 'transport', () => ({ pushAttempt: () => Promise.reject(new Error('offline')) }));
+    const setItem = localStorage.setItem;
+    localStorage.setItem = function (key, value) {
+        if (key.endsWith('_outbox') && value.length > 1500) throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+        return setItem.call(this, key, value);
+    };
+    t.after(() => { localStorage.setItem = setItem; });
+
+    const record = ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor, zruog!'));
+    await new Promise(resolve => setImmediate(resolve));
+    const [queued] = ClassSync.loadOutbox('SPY-1');
+    assert.equal(queued.id, record.id);
+    assert.equal(queued.historyDropped, true);
+});
+
+test('an outbox that cannot be written reports saveFailed and keeps the attempt for export', async (t) => {
+    localStorage.clear();
+    ClassSync.unsaved = {};
+    const failures = [];
+    t.after(ClassSync.on('saveFailed', (classId, error, record) => failures.push(record)));
+    t.mock.method(ClassSync, 'transport', () => ({ pushAttempt: () => Promise.reject(new Error('offline')) }));
+    t.mock.method(console, 'warn', () => {});
+    const setItem = localStorage.setItem;
+    localStorage.setItem = function (key, value) {
+        if (key.endsWith('_outbox')) throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+        return setItem.call(this, key, value);
+    };
+    t.after(() => { localStorage.setItem = setItem; });
+
+    const record = ClassSync.saveAttempt('SPY-1', 'Gabriel', finishedRun('Khoor'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(failures.map(r => r.id), [record.id]);
+    assert.deepEqual(ClassSync.exportableAttempts('SPY-1').map(r => r.id), [record.id]);
+});
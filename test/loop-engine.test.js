@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core } = require('./support');
+
+const { LoopEngine } = core;
+
+// Records every event the engine emits until the returned stop() is called
+function record() {
+    const events = [];
+    const stops = ['start', 'change', 'playing', 'complete', 'blocked']
+        .map(name => LoopEngine.on(name, (...args) => events.push({ name, args })));
+    return { events, names: () => events.map(e => e.name), stop: () => stops.forEach(off => off()) };
+}
+
+test('steps through a message and emits change, then complete', (t) => {
+    const log = record();
+    t.after(log.stop);
+    LoopEngine.init('Khoor!', 3, 'caesar', 'decrypt');
+    assert.deepEqual(log.names(), ['start', 'change']);
+
+    for (let i = 0; i < 6; i++) LoopEngine.nextStep();
+    const s = LoopEngine.state;
+    assert.equal(s.accumulatedText, 'Hello!');
+    assert.equal(s.history.length, 6);
+
+    const last = log.events.filter(e => e.name === 'change').pop();
+    assert.equal(last.args[1].inputChar, '!');
+    assert.equal(last.args[1].result.isSpecial, true);
+
+    LoopEngine.nextStep();
+    assert.equal(log.names().filter(n => n === 'complete').length, 1);
+});
+
+test('preserveCase comes from the options and can change mid-run', () => {
+    LoopEngine.init('KHOOR', 3, 'caesar', 'decrypt', 'latin', { preserveCase: false });
+    LoopEngine.nextStep();
+    LoopEngine.nextStep();
+    assert.equal(LoopEngine.state.accumulatedText, 'he');
+
+    LoopEngine.setOptions({ preserveCase: true });
+    LoopEngine.nextStep();
+    assert.equal(LoopEngine.state.accumulatedText, 'heL');
+});
+
+test('Think Mode waits for a prediction and records it', () => {
+    LoopEngine.init('ab', 3, 'caesar', 'decrypt', 'latin', { thinkMode: true });
+    LoopEngine.nextStep();
+    assert.equal(LoopEngine.state.waitingForReveal, true);
+
+    LoopEngine.revealPrediction(23);
+    assert.equal(LoopEngine.state.waitingForReveal, false);
+    LoopEngine.nextStep();
+    LoopEngine.skipPrediction();
+
+    assert.deepEqual(LoopEngine.predictionStats(), { total: 2, correct: 1, wrong: 0, skipped: 1, accuracy: 100 });
+});
+
+test('Assessment Mode blocks Step Forward until the letter is answered', (t) => {
+    const log = record();
+    t.after(log.stop);
+    LoopEngine.init('Kh', 3, 'caesar', 'decrypt', 'latin', { assessment: true });
+    LoopEngine.nextStep();
+    LoopEngine.nextStep();
+    assert.equal(LoopEngine.state.currentIndex, 0);
+    assert.ok(log.names().includes('blocked'));
+
+    assert.equal(LoopEngine.submitAnswer('x').correct, false);
+    assert.equal(LoopEngine.submitAnswer('h').correct, true);
+    LoopEngine.nextStep();
+    LoopEngine.useHint('alphabet');
+    LoopEngine.submitAnswer('E');
+
+    const stats = LoopEngine.assessmentStats();
+    assert.equal(stats.letters, 2);
+    assert.equal(stats.mistakes, 1);
+    assert.equal(stats.hints, 1);
+    assert.equal(stats.score, 50);
+});
+
+test('jumping back counts a rewind and keeps the work ahead', () => {
+    LoopEngine.init('abcd', 1, 'caesar', 'encrypt');
+    LoopEngine.jumpTo(3);
+    LoopEngine.jumpTo(1);
+    const s = LoopEngine.state;
+    assert.equal(s.accumulatedText, 'bc');
+    assert.equal(s.reached, 3);
+    assert.equal(s.rewinds[3], 1);
+});
+
+test('serialize and restore continue a run where it stopped', () => {
+    LoopEngine.init('Hello', 3, 'caesar', 'encrypt', 'latin', { thinkMode: true });
+    LoopEngine.nextStep();
+    LoopEngine.revealPrediction(10);
+    LoopEngine.nextStep();
+    const saved = JSON.parse(JSON.stringify(LoopEngine.serialize()));
+
+    LoopEngine.init('other', 1);
+    LoopEngine.restore(saved, { thinkMode: true });
+    const s = LoopEngine.state;
+    assert.equal(s.currentIndex, 1);
+    assert.equal(s.accumulatedText, 'Kh');
+    assert.equal(s.waitingForReveal, true);
+    assert.equal(s.history[0].prediction.correct, true);
+});
+
+test('follow mirrors the same mission and refuses a different one', (t) => {
+    LoopEngine.init('abc', 1, 'caesar', 'encrypt', 'latin', { thinkMode: true });
+    LoopEngine.nextStep();
+    LoopEngine.revealPrediction(1);
+    LoopEngine.nextStep();
+    const presenter = JSON.parse(JSON.stringify(LoopEngine.serialize()));
+
+    LoopEngine.init('abc', 1, 'caesar', 'encrypt', 'latin', { thinkMode: true });
+    const log = record();
+    t.after(log.stop);
+    assert.equal(LoopEngine.follow(presenter, { thinkMode: true }), true);
+    const s = LoopEngine.state;
+    assert.equal(s.currentIndex, 1);
+    assert.equal(s.waitingForReveal, true);
+    assert.equal(s.history[0].prediction.guess, 1);
+    assert.deepEqual(log.names(), ['change']);
+
+    // The presenter pressed Reset: earlier answers go too
+    LoopEngine.follow({ ...presenter, currentIndex: -1, history: [], waitingForReveal: false });
+    assert.equal(s.timeline[0].prediction, undefined);
+    assert.equal(LoopEngine.follow({ ...presenter, key: '2' }), false);
+});
+
+test('autoplay steps at the given interval and stops at the end', async (t) => {
+    const log = record();
+    t.after(() => { LoopEngine.pause(); log.stop(); });
+    LoopEngine.init('abc', 1, 'caesar', 'encrypt');
+    LoopEngine.play(5);
+    assert.equal(LoopEngine.state.isPlaying, true);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(LoopEngine.state.accumulatedText, 'bcd');
+    assert.equal(LoopEngine.state.isPlaying, false);
+    assert.equal(log.events.filter(e => e.name === 'playing').pop().args[0], false);
+});
+
+test('step size moves by word, sentence or to the end', () => {
+    const text = 'Wkh hqg. Uxq!';
+    LoopEngine.init(text, 3, 'caesar', 'decrypt', 'latin', { stepSize: 'word' });
+    LoopEngine.nextStep();
+    assert.equal(LoopEngine.state.accumulatedText, 'The ');
+    assert.deepEqual(LoopEngine.state.chunk, { from: 0, to: 3 });
+
+    LoopEngine.setOptions({ stepSize: 'sentence' });
+    LoopEngine.nextStep();
+    assert.equal(LoopEngine.state.accumulatedText, 'The end. ');
+
+    LoopEngine.setOptions({ stepSize: 'end' });
+    LoopEngine.nextStep();
+    assert.equal(LoopEngine.state.accumulatedText, 'The end. Run!');
+    assert.equal(LoopEngine.state.history.length, text.length);
+});
+
+test('Think Mode stops a word or sentence step at each letter still needing a prediction', () => {
+    LoopEngine.init('Khoor zruog', 3, 'caesar', 'decrypt', 'latin', { thinkMode: true, stepSize: 'word' });
+    const s = LoopEngine.state;
+    LoopEngine.nextStep();
+    assert.equal(s.currentIndex, 0);
+    assert.equal(s.waitingForReveal, true);
+
+    for (let i = 0; i < 5; i++) {
+        LoopEngine.revealPrediction(s.timeline[s.currentIndex].result.newIndex);
+        LoopEngine.nextStep();
+    }
+    assert.equal(s.currentIndex, 5, 'the space needs no prediction');
+    LoopEngine.nextStep();
+    assert.equal(s.currentIndex, 6);
+    assert.equal(s.waitingForReveal, true);
+    LoopEngine.skipPrediction();
+
+    LoopEngine.setOptions({ stepSize: 'end' });
+    LoopEngine.nextStep();
+    assert.equal(s.currentIndex, 7);
+    assert.equal(s.waitingForReveal, true);
+    assert.equal(LoopEngine.predictionStats().total, 6);
+
+    // Letters already predicted are stepped over whole
+    LoopEngine.jumpTo(-1);
+    LoopEngine.setOptions({ stepSize: 'word' });
+    LoopEngine.nextStep();
+    assert.equal(s.currentIndex, 5);
+    assert.equal(s.waitingForReveal, false);
+});
+
+test('a chunk summary counts shifted letters, kept characters and wrap-arounds', () => {
+    LoopEngine.init('abc, xyz', 3, 'caesar', 'decrypt', 'latin', { stepSize: 'sentence' });
+    LoopEngine.nextStep();
+    const { from, to } = LoopEngine.state.chunk;
+    assert.deepEqual(LoopEngine.chunkSummary(from, to), { characters: 8, shifted: 6, kept: 2, wraps: 3 });
+});
+
+test('Assessment Mode still steps one letter at a time', () => {
+    LoopEngine.init('ab cd', 1, 'caesar', 'encrypt', 'latin', { stepSize: 'end', assessment: true });
+    LoopEngine.nextStep();
+    assert.equal(LoopEngine.state.currentIndex, 0);
+});
+
+test('history is read from the timeline instead of being copied on every step', () => {
+    LoopEngine.init('Khoor', 3, 'caesar', 'decrypt');
+    LoopEngine.jumpTo(3);
+    const s = LoopEngine.state;
+    assert.equal(LoopEngine.currentStep(), s.timeline[3]);
+    assert.deepEqual(s.history, s.timeline.slice(0, 4));
+
+    LoopEngine.prevStep();
+    assert.equal(s.history.length, 3);
+    assert.equal(s.accumulatedText, 'Hel');
+});
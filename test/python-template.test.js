@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core } = require('./support');
+
+const { CipherEngine, PythonTemplate, MiniPython } = core;
+
+// Ciphertexts a student could paste in or a teacher could type into a mission
+const HOSTILE = [
+    'say "hi" and leave',
+    "it's a trap",
+    'back\\slash \\n not a newline \\',
+    'line one\nline two\r\n\tindented',
+    '</div><img src=x onerror="alert(1)">',
+    'khoor 🕵️ zruog 👍🏽',
+    'abc\u202edcba\u202c and \u200b zero width',
+    'nul\u0000bell\u0007 del\u007f',
+    'olá, señor — ¿qué?'
+];
+
+const runProgram = (text, cipherId, key, mode, alphabet) => {
+    const result = MiniPython.run(PythonTemplate.build(text, cipherId, key, mode, alphabet));
+    assert.equal(result.error, null, text);
+    return result.output;
+};
+
+test('quote escapes quotes, backslashes and control characters', () => {
+    assert.equal(PythonTemplate.quote('say "hi"'), '"say \\"hi\\""');
+    assert.equal(PythonTemplate.quote("it's", "'"), "'it\\'s'");
+    assert.equal(PythonTemplate.quote('a\\b'), '"a\\\\b"');
+    assert.equal(PythonTemplate.quote('a\nb\r\tc'), '"a\\nb\\r\\tc"');
+    assert.equal(PythonTemplate.quote('\u0000\u007f'), '"\\x00\\x7f"');
+});
+
+test('quote keeps readable text and escapes invisible characters', () => {
+    assert.equal(PythonTemplate.quote('olá αβγ 🕵'), '"olá αβγ 🕵"');
+    assert.equal(PythonTemplate.quote('a\u202eb\u200bc'), '"a\\u202eb\\u200bc"');
+    assert.equal(PythonTemplate.quote('\u00a0'), '"\\xa0"');
+    assert.equal(PythonTemplate.quote('\u{e0041}'), '"\\U000e0041"');
+});
+
+test('generated programs keep every string on its own line', () => {
+    HOSTILE.forEach(text => {
+        const lines = PythonTemplate.lines(text, 'caesar', 3, 'decrypt');
+        const input = lines.find(l => l.code.startsWith('encrypted = '));
+        assert.ok(input, text);
+        assert.doesNotMatch(input.code, /[\n\r\u202e]/, text);
+    });
+});
+
+test('generated programs print what the cipher engine produces for hostile text', () => {
+    HOSTILE.forEach(text => {
+        ['encrypt', 'decrypt'].forEach(mode => {
+            const expected = CipherEngine.transformText(text, 3, { cipher: 'caesar', direction: mode });
+            assert.equal(runProgram(text, 'caesar', 3, mode), expected, `${mode}: ${JSON.stringify(text)}`);
+        });
+    });
+});
+
+test('custom alphabets and keywords with quote characters still run', () => {
+    const alphabet = 'a b " \' \\ <';
+    const key = CipherEngine.parseKey('vigenere', '"\\', alphabet);
+    const text = 'a"b\'\\<';
+    const expected = CipherEngine.transformText(text, key, { cipher: 'vigenere', direction: 'encrypt', alphabet });
+    assert.equal(runProgram(text, 'vigenere', key, 'encrypt', alphabet), expected);
+});
+
+test('oversized and deeply nested programs end in a Python error instead of throwing', () => {
+    assert.match(MiniPython.run('x = "a" * 10000000000').error, /MemoryError/);
+    assert.match(MiniPython.run('x = [0] * 100000000').error, /MemoryError/);
+    assert.match(MiniPython.run('x = [0] * 1000000\nfor i in range(3):\n    x = x + x').error, /MemoryError/);
+    assert.match(MiniPython.run('s = "ab" * 500000\nfor i in range(3):\n    s += s').error, /MemoryError/);
+    assert.equal(MiniPython.run('print(len([1, 2] * 3), "ab" * 2)').output, '6 abab');
+    assert.match(MiniPython.run(`x = ${'('.repeat(20000)}1${')'.repeat(20000)}`).error, /RecursionError/);
+    assert.equal(MiniPython.run('print(len)').output, '<built-in function len>');
+    assert.equal(Object.prototype.hasOwnProperty.call(MiniPython.builtins.len, 'pyName'), false);
+});
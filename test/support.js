@@ -0,0 +1,17 @@
+// Shared setup for the Node tests (run with `node --test`). The core in
+// script.js is headless; only ClassSync needs a localStorage, given here in memory.
+function memoryStorage() {
+    const items = new Map();
+    return {
+        get length() { return items.size; },
+        key(i) { return Array.from(items.keys())[i] || null; },
+        getItem(key) { return items.has(key) ? items.get(key) : null; },
+        setItem(key, value) { items.set(key, String(value)); },
+        removeItem(key) { items.delete(key); },
+        clear() { items.clear(); }
+    };
+}
+
+globalThis.localStorage = memoryStorage();
+
+module.exports = { core: require('../script.js'), memoryStorage };